@@ -0,0 +1,274 @@
+/**
+ * Relay — a small WebSocket room server for networked play.
+ * It never simulates anything: clients broadcast shots (and the host's score
+ * snapshots) and the relay fans them out to everyone in the room. Every
+ * broadcast gets a sequence number and is kept in the room history, so a
+ * client that reconnects asks for what it missed with `since`.
+ *
+ * Protocol (JSON text frames):
+ *   → { type: 'join', room?, name, clientId?, token?, since? }  no room = create one
+ *   → { type: 'leave' }
+ *   → { type: 'broadcast', data }
+ *   ← { type: 'welcome', room, clientId, token, host, members, history, reconnected }
+ *   ← { type: 'member-join' | 'member-drop' | 'member-leave', member, members, host }
+ *   ← { type: 'host', clientId }
+ *   ← { type: 'message', seq, from, data }   (echoed to the sender too)
+ *   ← { type: 'error', code, message }
+ *
+ * Members that drop keep their seat for `reconnectGrace` ms; rejoining with
+ * the same clientId and the `token` from its welcome picks it back up. The
+ * clientId is public (every member list carries it) but the token only ever
+ * goes to its own client, so knowing someone's id isn't enough to take their
+ * seat: a join with an id in use and the wrong token gets a seat of its own.
+ *
+ * Usage: node server/relay.js [--port 8787]
+ */
+
+import { randomUUID } from 'node:crypto'
+import { pathToFileURL } from 'node:url'
+import { WebSocketServer } from 'ws'
+
+export const DEFAULT_PORT = 8787
+
+// No 0/O or 1/I so codes survive being read aloud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const CODE_LENGTH = 4
+
+export class Relay {
+  constructor({ maxMembers = 6, reconnectGrace = 30000, historyLimit = 1000 } = {}) {
+    this.maxMembers = maxMembers
+    this.reconnectGrace = reconnectGrace
+    this.historyLimit = historyLimit
+    this.rooms = new Map()
+    this.closed = false
+  }
+
+  /**
+   * Attach a connection. `send` delivers one message object to the client.
+   * Returns handlers the socket layer calls on incoming text and on close.
+   */
+  connect(send) {
+    const conn = { send, room: null, member: null }
+    return {
+      receive: (raw) => this._receive(conn, raw),
+      close: () => this._drop(conn),
+    }
+  }
+
+  _receive(conn, raw) {
+    let msg
+    try {
+      msg = JSON.parse(raw)
+    } catch {
+      conn.send({ type: 'error', code: 'bad-message', message: 'Messages must be JSON' })
+      return
+    }
+    // `null`, numbers and arrays parse too
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+      conn.send({ type: 'error', code: 'bad-message', message: 'Messages must be JSON objects' })
+      return
+    }
+
+    if (msg.type === 'join') this._join(conn, msg)
+    else if (msg.type === 'leave') this._leave(conn)
+    else if (msg.type === 'broadcast') this._broadcast(conn, msg.data)
+    else conn.send({ type: 'error', code: 'bad-message', message: `Unknown message type "${msg.type}"` })
+  }
+
+  _join(conn, { room: code, name = 'Player', clientId, token, since = 0 }) {
+    if (conn.room) this._leave(conn)
+
+    let room
+    if (code) {
+      room = this.rooms.get(String(code).toUpperCase())
+      if (!room) {
+        conn.send({ type: 'error', code: 'room-not-found', message: `No room with code ${code}` })
+        return
+      }
+    } else {
+      room = this._createRoom()
+    }
+
+    const seated = clientId && this._member(room, clientId)
+    let member = seated && token && seated.token === token ? seated : null
+    const reconnected = Boolean(member)
+    if (member) {
+      clearTimeout(member.dropTimer)
+      member.dropTimer = null
+      if (member.conn && member.conn !== conn) member.conn.member = null
+    } else {
+      if (room.members.length >= this.maxMembers) {
+        conn.send({ type: 'error', code: 'room-full', message: `Room ${room.code} is full` })
+        return
+      }
+      const id = clientId && !seated ? String(clientId) : randomUUID()
+      member = { clientId: id, token: randomUUID(), name: String(name).slice(0, 24), conn: null, dropTimer: null }
+      room.members.push(member)
+    }
+
+    member.conn = conn
+    conn.room = room
+    conn.member = member
+    if (!room.host || !this._member(room, room.host)?.conn) room.host = member.clientId
+
+    conn.send({
+      type: 'welcome',
+      room: room.code,
+      clientId: member.clientId,
+      token: member.token, // private: only this client learns it
+      host: room.host,
+      members: this._members(room),
+      history: room.history.filter((m) => m.seq > since),
+      reconnected,
+    })
+    this._send(room, { type: 'member-join', member: this._describe(member), members: this._members(room), host: room.host }, member)
+  }
+
+  _leave(conn) {
+    const { room, member } = conn
+    if (!room || !member) return
+    conn.room = null
+    conn.member = null
+    clearTimeout(member.dropTimer)
+    this._remove(room, member)
+  }
+
+  // Stop holding seats: sockets closing from here on don't start drop timers
+  close() {
+    this.closed = true
+    this.rooms.forEach((room) => room.members.forEach((m) => clearTimeout(m.dropTimer)))
+  }
+
+  // Socket closed without a leave: hold the seat for a while
+  _drop(conn) {
+    const { room, member } = conn
+    if (this.closed || !room || !member || member.conn !== conn) return
+    member.conn = null
+    this._send(room, { type: 'member-drop', member: this._describe(member), members: this._members(room), host: room.host })
+    this._pickHost(room)
+    member.dropTimer = setTimeout(() => this._remove(room, member), this.reconnectGrace)
+  }
+
+  _remove(room, member) {
+    room.members = room.members.filter((m) => m !== member)
+    if (!room.members.length) {
+      this.rooms.delete(room.code)
+      return
+    }
+    this._send(room, { type: 'member-leave', member: this._describe(member), members: this._members(room), host: room.host })
+    this._pickHost(room)
+  }
+
+  _broadcast(conn, data) {
+    const { room, member } = conn
+    if (!room) {
+      conn.send({ type: 'error', code: 'not-joined', message: 'Join a room first' })
+      return
+    }
+    const msg = { type: 'message', seq: ++room.seq, from: member.clientId, data }
+    room.history.push(msg)
+    if (room.history.length > this.historyLimit) room.history.shift()
+    this._send(room, msg)
+  }
+
+  // Host is the earliest connected member; tell the room when it changes
+  _pickHost(room) {
+    const current = this._member(room, room.host)
+    if (current?.conn) return
+    const next = room.members.find((m) => m.conn)
+    if (!next || next.clientId === room.host) return
+    room.host = next.clientId
+    this._send(room, { type: 'host', clientId: room.host })
+  }
+
+  _createRoom() {
+    let code
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)]).join('')
+    } while (this.rooms.has(code))
+    const room = { code, members: [], host: null, seq: 0, history: [] }
+    this.rooms.set(code, room)
+    return room
+  }
+
+  _member(room, clientId) {
+    return room.members.find((m) => m.clientId === clientId)
+  }
+
+  _describe(member) {
+    return { clientId: member.clientId, name: member.name, connected: Boolean(member.conn) }
+  }
+
+  _members(room) {
+    return room.members.map((m) => this._describe(m))
+  }
+
+  _send(room, msg, except = null) {
+    room.members.forEach((m) => {
+      if (m.conn && m !== except) m.conn.send(msg)
+    })
+  }
+}
+
+/**
+ * Serve a Relay over WebSocket. Resolves once listening with
+ * { relay, port, close() }; pass port 0 for a free port (tests).
+ */
+export function startRelayServer({ port = DEFAULT_PORT, host, heartbeat = 15000, ...options } = {}) {
+  const relay = new Relay(options)
+  const wss = new WebSocketServer({ port, host })
+
+  wss.on('connection', (socket) => {
+    const conn = relay.connect((msg) => {
+      if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(msg))
+    })
+    socket.alive = true
+    socket.on('pong', () => { socket.alive = true })
+    socket.on('message', (raw) => conn.receive(String(raw)))
+    socket.on('close', () => conn.close())
+  })
+
+  // Drop sockets that stop answering pings (phones sleeping, Wi-Fi switching)
+  const timer = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.alive) {
+        socket.terminate()
+        return
+      }
+      socket.alive = false
+      socket.ping()
+    })
+  }, heartbeat)
+
+  return new Promise((resolve, reject) => {
+    wss.once('error', (err) => {
+      clearInterval(timer)
+      reject(err)
+    })
+    wss.once('listening', () => {
+      resolve({
+        relay,
+        port: wss.address().port,
+        close: () => new Promise((done) => {
+          clearInterval(timer)
+          relay.close()
+          wss.clients.forEach((socket) => socket.terminate())
+          wss.close(() => done())
+        }),
+      })
+    })
+  })
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const i = process.argv.indexOf('--port')
+  const port = i > 0 ? Number(process.argv[i + 1]) : Number(process.env.PORT) || DEFAULT_PORT
+  startRelayServer({ port })
+    .then(({ port: listening }) => {
+      console.log(`Relay listening on ws://localhost:${listening}`)
+    })
+    .catch((err) => {
+      console.error(err.message)
+      process.exitCode = 1
+    })
+}
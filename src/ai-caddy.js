@@ -3,6 +3,9 @@
  * Provides tips based on ball position, hole position, walls, and stroke count.
  */
 
+import { wallToPolygon, segmentHitsPolygon } from './wall-shapes.js'
+import { createSurface } from './surfaces.js'
+
 const SHOT_TIPS = {
   straight: [
     'Nice clean line to the hole — just control your power.',
@@ -24,6 +27,34 @@ const SHOT_TIPS = {
     'It\'s far — aim carefully and commit.',
     'Big drive coming up. Line it up.',
   ],
+  water: [
+    'Water on the direct line — one stroke penalty if you find it.',
+    'Careful, the pond is in play. Find a line around it.',
+  ],
+  sand: [
+    'Sand between you and the cup — it\'ll eat your speed. Hit firmer.',
+    'Trap on the line. Either go around or give it extra power.',
+  ],
+  slope: [
+    'The green breaks here — aim above the hole and let it feed down.',
+    'Read the slope. It\'ll pull the ball off a straight line.',
+  ],
+  boost: [
+    'Speed pad on the line — ease off the power, it\'ll carry you.',
+    'Boost pad ahead. Less is more on this one.',
+  ],
+}
+
+const HAZARD_REACTIONS = {
+  water: ['Splash! One stroke penalty — back to where you hit from. 💧', 'In the drink. Take your drop and reset. 💧'],
+}
+
+const HAZARD_NAMES = {
+  water: 'water',
+  sand: 'a sand trap',
+  slope: 'a sloped green',
+  heightfield: 'rolling contours',
+  boost: 'a speed pad',
 }
 
 const SCORE_REACTIONS = {
@@ -40,6 +71,9 @@ const COURSE_INTROS = {
   'Straight Shot': 'Simple opener — a straight path to the pin. Find your rhythm here.',
   'Corner Pocket': 'Trickier now — a center barrier forces you to go around. Two-shot strategy works well.',
   'Snake Lane': 'The serpentine lane! Two diagonal barriers create an S-curve. Precision over power.',
+  'Diagonal Bank': 'Angled banks everywhere — read the rebound and let the walls do the work.',
+  'Pond Crossing': 'Water guards the front of the green. Use the speed pad or play it safe around the sand.',
+  'Windmill': 'Classic windmill! Time your putt through the blades, then beat the sliding gate.',
 }
 
 function pickRandom(arr) {
@@ -49,38 +83,58 @@ function pickRandom(arr) {
 /**
  * Analyze the current shot and provide a tip.
  */
-export function analyzeShotSetup(ballPos, holePos, walls) {
+export function analyzeShotSetup(ballPos, holePos, walls, surfaces = []) {
   const dx = holePos[0] - ballPos.x
   const dz = holePos[2] - ballPos.z
   const dist = Math.sqrt(dx * dx + dz * dz)
 
-  // Check if path is blocked
-  let blocked = false
-  const steps = 20
-  for (let i = 1; i < steps; i++) {
-    const t = i / steps
-    const px = ballPos.x + dx * t
-    const pz = ballPos.z + dz * t
-    for (const w of walls) {
-      if (w.size[0] > 0.3 || w.size[2] > 0.3) { // Skip boundary walls
-        const halfX = w.size[0] / 2
-        const halfZ = w.size[2] / 2
-        if (px > w.pos[0] - halfX && px < w.pos[0] + halfX &&
-            pz > w.pos[2] - halfZ && pz < w.pos[2] + halfZ) {
-          blocked = true
-          break
-        }
-      }
-    }
-    if (blocked) break
-  }
+  // Check if the straight line to the hole crosses any wall shape
+  const blocked = walls.some((w) =>
+    segmentHitsPolygon(wallToPolygon(w), ballPos.x, ballPos.z, holePos[0], holePos[2])
+  )
+
+  // Hazards and terrain on the direct line, worst first
+  const onLine = new Set(surfaces
+    .map(createSurface)
+    .filter((sf) => segmentHitsPolygon(sf.polygon, ballPos.x, ballPos.z, holePos[0], holePos[2]))
+    .map((sf) => (sf.type === 'heightfield' ? 'slope' : sf.type)))
 
   if (dist < 0.8) return pickRandom(SHOT_TIPS.close)
   if (blocked) return pickRandom(SHOT_TIPS.blocked)
+  for (const type of ['water', 'sand', 'boost', 'slope']) {
+    if (onLine.has(type)) return pickRandom(SHOT_TIPS[type])
+  }
   if (dist > 5) return pickRandom(SHOT_TIPS.far)
   return pickRandom(SHOT_TIPS.straight)
 }
 
+/**
+ * Turn a shot-solver result (shot-solver.js) into a concrete tip:
+ * aim relative to the pin, power and what to expect.
+ */
+export function describeShot(solution, ballPos, holePos) {
+  const dx = holePos[0] - ballPos.x
+  const dz = holePos[2] - ballPos.z
+  // Signed angle from the pin line to the aim line; left is positive
+  const offset = Math.atan2(solution.aim.x * dz - solution.aim.z * dx, solution.aim.x * dx + solution.aim.z * dz)
+  const degrees = Math.round(Math.abs(offset) * 180 / Math.PI)
+
+  const aim = degrees < 2 ? 'Aim straight at the pin' : `Aim ${degrees}° ${offset > 0 ? 'left' : 'right'} of the pin`
+  const power = `${Math.round(solution.power * 100)}% power`
+  const bank = solution.cushions === 1 ? ' off one cushion' : solution.cushions > 1 ? ` off ${solution.cushions} cushions` : ''
+  const result = solution.holed
+    ? 'that one drops.'
+    : `should finish about ${solution.expectedDistance.toFixed(1)}m from the cup.`
+  return `${aim}${bank}, ${power} — ${result}`
+}
+
+/**
+ * React to the ball finding a hazard.
+ */
+export function getHazardReaction(type) {
+  return pickRandom(HAZARD_REACTIONS[type] || ['Hazard! Shake it off and go again.'])
+}
+
 /**
  * React to a scored hole.
  */
@@ -90,10 +144,14 @@ export function getScoreReaction(term) {
 }
 
 /**
- * Get course intro text.
+ * Get course intro text, with a heads-up about any hazards on the hole.
  */
-export function getCourseIntro(label) {
-  return COURSE_INTROS[label] || `Hole ${label} — find your line and commit to the shot.`
+export function getCourseIntro(label, surfaces = []) {
+  const intro = COURSE_INTROS[label] || `Hole ${label} — find your line and commit to the shot.`
+  const hazards = [...new Set(surfaces.map((sf) => HAZARD_NAMES[sf.type]).filter(Boolean))]
+  if (!hazards.length) return intro
+  const list = hazards.length > 1 ? `${hazards.slice(0, -1).join(', ')} and ${hazards[hazards.length - 1]}` : hazards[0]
+  return `${intro} Watch out for ${list}.`
 }
 
 /**
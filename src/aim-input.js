@@ -0,0 +1,501 @@
+/**
+ * Aim input — every way of aiming a shot behind one set of events:
+ *   pointer   drag and pull back (the original mouse / touch aiming)
+ *   keyboard  arrow keys turn the aim, hold Space to charge an oscillating
+ *             power meter, release to shoot
+ *   gamepad   the stick points the aim, the d-pad fine-tunes it, hold A to
+ *             charge the meter
+ *   switch    one-switch play: press to start the aim sweeping, press to lock
+ *             it and start the power meter, press to shoot; hold to cancel
+ *
+ * Headless: the page forwards key codes (KeyboardEvent.code), pointer
+ * positions and buttons, and update(dt) polls `getGamepads` (navigator's, or
+ * a mock returning standard-mapping pads). Bindings are lists of tokens —
+ * key codes, 'Mouse0', 'Pad0' (gamepad button), 'Stick0' (left stick) — and
+ * `settings` is plain JSON, so it saves as-is. captureBinding() remaps an
+ * action to the next key or button pressed.
+ *
+ * Listen with on('start' | 'aim' | 'shoot' | 'cancel' | 'stage' | 'binding').
+ * 'aim' and 'shoot' carry { source, dirX, dirZ, power }: a world x/z
+ * direction and power 0-1. 'aim' with no direction (0, 0) means a pointer
+ * drag too short to count.
+ */
+
+export const INPUT_KINDS = ['pointer', 'keyboard', 'gamepad', 'switch']
+
+// Bindable actions per kind, in display order
+export const INPUT_ACTIONS = {
+  pointer: ['aim'],
+  keyboard: ['left', 'right', 'fine', 'charge', 'cancel'],
+  gamepad: ['aim', 'left', 'right', 'fine', 'charge', 'cancel'],
+  switch: ['press'],
+}
+
+export const DEFAULT_INPUT_SETTINGS = {
+  oneSwitch: false,
+  pointer: { sensitivity: 1, bindings: { aim: ['Mouse0'] } },
+  keyboard: {
+    sensitivity: 1,
+    bindings: {
+      left: ['ArrowLeft', 'KeyA'],
+      right: ['ArrowRight', 'KeyD'],
+      fine: ['ShiftLeft', 'ShiftRight'],
+      charge: ['Space'],
+      cancel: ['Escape'],
+    },
+  },
+  gamepad: {
+    sensitivity: 1,
+    bindings: { aim: ['Stick0'], left: ['Pad14'], right: ['Pad15'], fine: ['Pad4', 'Pad5'], charge: ['Pad0'], cancel: ['Pad1'] },
+  },
+  switch: { sensitivity: 1, bindings: { press: ['Space', 'Enter', 'Mouse0', 'Pad0'] } },
+}
+
+const SENSITIVITY_RANGE = [0.25, 4]
+const FULL_DRAG = 100 // px of pointer drag for full power at sensitivity 1
+const MIN_DRAG = 10 // px; shorter drags don't shoot
+const TURN_SPEED = 1.2 // rad/s of keyboard and d-pad turning
+const FINE_TURN = 0.2 // turn speed multiplier while the fine key is held
+const CHARGE_TIME = 1.2 // seconds for the meter to fill
+const MIN_POWER = 0.03 // releasing the meter below this doesn't shoot
+const DEADZONE = 0.35 // stick deflection that starts pointing the aim
+const SWEEP_SPEED = 0.8 // rad/s of the one-switch aim sweep
+const SWEEP_ARC = Math.PI // the sweep swings half this either side of the start angle
+const SWITCH_CHARGE_TIME = 1.6
+const HOLD_TO_CANCEL = 0.8 // seconds the switch is held to cancel the aim
+
+export class AimInput {
+  /**
+   * @param settings     saved settings, merged over DEFAULT_INPUT_SETTINGS
+   * @param canBegin     (source) → whether an aim may start now
+   * @param startAngle   () → aim angle (radians in the x/z plane, from +x towards +z) new aims start at
+   * @param getGamepads  () → connected gamepads (defaults to navigator.getGamepads)
+   */
+  constructor({
+    settings = {},
+    canBegin = () => true,
+    startAngle = () => 0,
+    getGamepads = () => globalThis.navigator?.getGamepads?.() ?? [],
+  } = {}) {
+    this.settings = mergeSettings(settings)
+    this.canBegin = canBegin
+    this.startAngle = startAngle
+    this.getGamepads = getGamepads
+    this._aim = null // { source, angle, power, charging, phase }
+    this._held = new Set() // tokens down right now
+    this._pointer = null // { startX, startY, x, y } of the drag
+    this._pad = new Set() // gamepad tokens down at the last poll
+    this._switch = { stage: 'idle', sweep: 0, heldFor: 0 }
+    this._capture = null // { kind, action } waiting for a press
+    this._listeners = {}
+  }
+
+  on(event, fn) {
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(fn)
+    return this
+  }
+
+  _emit(event, data) {
+    (this._listeners[event] || []).forEach((fn) => fn(data))
+  }
+
+  get aiming() {
+    return Boolean(this._aim)
+  }
+
+  // Kind driving the aim in progress, or null
+  get source() {
+    return this._aim?.source ?? null
+  }
+
+  // One-switch stage: 'idle' | 'aim' (sweeping) | 'power' (meter running)
+  get stage() {
+    return this._switch.stage
+  }
+
+  // ── Settings ──
+
+  setOneSwitch(on) {
+    this.cancel()
+    this.settings.oneSwitch = Boolean(on)
+    return this
+  }
+
+  setSensitivity(kind, value) {
+    this.settings[kind].sensitivity = Math.min(SENSITIVITY_RANGE[1], Math.max(SENSITIVITY_RANGE[0], value))
+    return this
+  }
+
+  // Replace an action's tokens; a token moves here from any other action of the same kind
+  setBinding(kind, action, tokens) {
+    const bindings = this.settings[kind].bindings
+    for (const other of Object.keys(bindings)) {
+      if (other !== action) bindings[other] = bindings[other].filter((t) => !tokens.includes(t))
+    }
+    bindings[action] = [...tokens]
+    return this
+  }
+
+  resetBindings(kind) {
+    this.settings[kind].bindings = clone(DEFAULT_INPUT_SETTINGS[kind].bindings)
+    return this
+  }
+
+  // Bind the next matching press to `action` ('binding' fires with the token, or null if Escape aborts)
+  captureBinding(kind, action) {
+    this.cancel()
+    this._capture = { kind, action }
+    return this
+  }
+
+  cancelCapture() {
+    if (!this._capture) return
+    const { kind, action } = this._capture
+    this._capture = null
+    this._emit('binding', { kind, action, token: null })
+  }
+
+  get capturing() {
+    return this._capture
+  }
+
+  // ── Device events (return true when the input used the event) ──
+
+  keyDown(code) {
+    if (this._held.has(code)) return this._capture === null && this._handles(code)
+    this._held.add(code)
+    return this._press(code)
+  }
+
+  keyUp(code) {
+    if (!this._held.delete(code)) return false
+    return this._release(code)
+  }
+
+  pointerDown(x, y, button = 0) {
+    const token = `Mouse${button}`
+    this._held.add(token)
+    if (this._capture || this.settings.oneSwitch) return this._press(token)
+    if (!this._bound('pointer', 'aim', token) || !this._begin('pointer')) return false
+    this._pointer = { startX: x, startY: y, x, y }
+    return true
+  }
+
+  pointerMove(x, y) {
+    if (this._aim?.source !== 'pointer') return
+    this._pointer.x = x
+    this._pointer.y = y
+    const shot = this._pointerShot()
+    this._emit('aim', { source: 'pointer', ...(shot || { dirX: 0, dirZ: 0, power: 0 }) })
+  }
+
+  pointerUp(button = 0) {
+    const token = `Mouse${button}`
+    if (!this._held.delete(token)) return false
+    if (this.settings.oneSwitch) return this._release(token)
+    if (this._aim?.source !== 'pointer' || !this._bound('pointer', 'aim', token)) return false
+    const shot = this._pointerShot()
+    this._aim = null
+    this._pointer = null
+    if (shot) this._emit('shoot', { source: 'pointer', ...shot })
+    else this._emit('cancel', { source: 'pointer' })
+    return true
+  }
+
+  // Drop the aim in progress without shooting
+  cancel() {
+    const aim = this._aim
+    this._aim = null
+    this._pointer = null
+    this._setStage('idle')
+    if (aim) this._emit('cancel', { source: aim.source })
+  }
+
+  // Forget everything held down and drop the aim (the window lost focus, so key-ups won't arrive)
+  releaseAll() {
+    this._held.clear()
+    this.cancel()
+  }
+
+  // Call once a frame: polls gamepads, turns the aim and runs the meters
+  update(dt) {
+    this._pollGamepads()
+    const aim = this._aim
+    if (aim && this.settings.oneSwitch) this._updateSwitch(aim, dt)
+    else if (aim && aim.source !== 'pointer') this._updateTurning(aim, dt)
+    if (this.settings.oneSwitch && this._switch.stage !== 'idle' && this._switchHeld()) {
+      this._switch.heldFor += dt
+      if (this._switch.heldFor >= HOLD_TO_CANCEL) this.cancel()
+    }
+  }
+
+  // ── Internals ──
+
+  _press(token) {
+    if (this._capture) return this._captured(token)
+    if (this.settings.oneSwitch) {
+      if (!this._bound('switch', 'press', token)) return false
+      this._switchPress()
+      return true
+    }
+    const kind = getTokenKind(token)
+    if (kind === 'pointer') return false
+    const action = this._actionFor(kind, token)
+    if (!action) return false
+    if (action === 'cancel') {
+      if (this._aim?.source !== kind) return false
+      this.cancel()
+      return true
+    }
+    // The fine-turn modifier only matters once an aim is going
+    if (action === 'fine') return this._aim?.source === kind
+    if (!this._begin(kind)) return false
+    if (action === 'charge' && !this._aim.charging) {
+      this._aim.charging = true
+      this._aim.phase = 0
+      this._aim.power = 0
+    }
+    this._emitAim()
+    return true
+  }
+
+  _release(token) {
+    if (this.settings.oneSwitch) {
+      if (!this._bound('switch', 'press', token)) return false
+      this._switch.heldFor = 0
+      return true
+    }
+    const aim = this._aim
+    const kind = getTokenKind(token)
+    if (!aim || aim.source !== kind || !aim.charging || this._actionFor(kind, token) !== 'charge') return false
+    if (this._boundHeld(kind, 'charge')) return true // another charge key is still down
+    aim.charging = false
+    if (aim.power < MIN_POWER) {
+      aim.power = 0
+      this._emitAim()
+    } else {
+      this._shoot()
+    }
+    return true
+  }
+
+  // Would this token do anything right now? (swallows key repeats)
+  _handles(token) {
+    if (this.settings.oneSwitch) return this._bound('switch', 'press', token)
+    const kind = getTokenKind(token)
+    return kind !== 'pointer' && Boolean(this._actionFor(kind, token)) && this._aim?.source === kind
+  }
+
+  _begin(source) {
+    if (this._aim) return this._aim.source === source
+    if (!this.canBegin(source)) return false
+    this._aim = { source, angle: this.startAngle(), power: 0, charging: false, phase: 0 }
+    this._emit('start', { source })
+    return true
+  }
+
+  _shoot() {
+    const aim = this._aim
+    this._aim = null
+    this._setStage('idle')
+    this._emit('shoot', { source: aim.source, dirX: Math.cos(aim.angle), dirZ: Math.sin(aim.angle), power: aim.power })
+  }
+
+  _emitAim() {
+    const aim = this._aim
+    this._emit('aim', { source: aim.source, dirX: Math.cos(aim.angle), dirZ: Math.sin(aim.angle), power: aim.power, charging: aim.charging })
+  }
+
+  // Launch direction opposite the drag (pull back to shoot), as the demo always had it
+  _pointerShot() {
+    const p = this._pointer
+    const dx = p.x - p.startX
+    const dy = p.y - p.startY
+    const drag = Math.hypot(dx, dy)
+    if (drag <= MIN_DRAG) return null
+    const fullDrag = FULL_DRAG / this.settings.pointer.sensitivity
+    return { dirX: -dx / drag, dirZ: dy / drag, power: Math.min(drag / fullDrag, 1) }
+  }
+
+  _updateTurning(aim, dt) {
+    const kind = aim.source
+    const sensitivity = this.settings[kind].sensitivity
+    const turn = (this._boundHeld(kind, 'right') ? 1 : 0) - (this._boundHeld(kind, 'left') ? 1 : 0)
+    let changed = false
+    if (turn) {
+      aim.angle += turn * TURN_SPEED * sensitivity * (this._boundHeld(kind, 'fine') ? FINE_TURN : 1) * dt
+      changed = true
+    }
+    if (aim.charging) {
+      aim.phase += (dt * sensitivity) / CHARGE_TIME
+      aim.power = pingPong(aim.phase)
+      changed = true
+    }
+    if (changed) this._emitAim()
+  }
+
+  _switchPress() {
+    const s = this._switch
+    s.heldFor = 0
+    if (s.stage === 'idle') {
+      if (!this._begin('switch')) return
+      s.center = this._aim.angle
+      s.sweep = 0
+      this._setStage('aim')
+      this._emitAim()
+    } else if (s.stage === 'aim') {
+      this._aim.charging = true
+      this._aim.phase = 0
+      this._setStage('power')
+      this._emitAim()
+    } else if (this._aim.power < MIN_POWER) {
+      // Too soft to be meant: keep the meter running
+    } else {
+      this._aim.charging = false
+      this._shoot()
+    }
+  }
+
+  _updateSwitch(aim, dt) {
+    const s = this._switch
+    const sensitivity = this.settings.switch.sensitivity
+    if (s.stage === 'aim') {
+      // Swing back and forth across the arc at a steady angular speed, starting from the middle
+      s.sweep += dt * SWEEP_SPEED * sensitivity
+      const half = SWEEP_ARC / 2
+      aim.angle = s.center - half + SWEEP_ARC * pingPong(0.5 + s.sweep / SWEEP_ARC)
+    } else if (s.stage === 'power') {
+      aim.phase += (dt * sensitivity) / SWITCH_CHARGE_TIME
+      aim.power = pingPong(aim.phase)
+    }
+    this._emitAim()
+  }
+
+  _setStage(stage) {
+    if (this._switch.stage === stage) return
+    this._switch.stage = stage
+    this._switch.heldFor = 0
+    this._emit('stage', { stage })
+  }
+
+  _switchHeld() {
+    return this._boundHeld('switch', 'press')
+  }
+
+  // Gamepad buttons become press/release tokens; the aim stick points the aim
+  _pollGamepads() {
+    const pad = Array.from(this.getGamepads() || []).find((p) => p?.connected !== false && p?.buttons)
+    const down = new Set()
+    pad?.buttons.forEach((b, i) => {
+      if (b.pressed || b.value > 0.5) down.add(`Pad${i}`)
+    })
+    for (const token of this._pad) {
+      if (!down.has(token)) {
+        this._held.delete(token)
+        this._release(token)
+      }
+    }
+    for (const token of down) {
+      if (!this._pad.has(token)) {
+        this._held.add(token)
+        this._press(token)
+      }
+    }
+    this._pad = down
+    if (!pad?.axes) return
+
+    for (let stick = 0; stick * 2 + 1 < pad.axes.length; stick++) {
+      const x = pad.axes[stick * 2]
+      const y = pad.axes[stick * 2 + 1]
+      if (Math.hypot(x, y) < DEADZONE) continue
+      const token = `Stick${stick}`
+      if (this._capture) {
+        this._captured(token)
+        return
+      }
+      if (this.settings.oneSwitch || !this._bound('gamepad', 'aim', token)) continue
+      if (!this._begin('gamepad')) return
+      // Screen right is +x, screen down is +z
+      this._aim.angle = Math.atan2(y, x)
+      this._emitAim()
+      return
+    }
+  }
+
+  _captured(token) {
+    const { kind, action } = this._capture
+    if (token === 'Escape') {
+      this.cancelCapture()
+      return true
+    }
+    if (kind !== 'switch' && getTokenKind(token) !== kind) return false
+    // Sticks only aim; buttons do everything else
+    if ((action === 'aim' && kind === 'gamepad') !== token.startsWith('Stick')) return false
+    this._capture = null
+    this.setBinding(kind, action, [token])
+    this._emit('binding', { kind, action, token })
+    return true
+  }
+
+  _actionFor(kind, token) {
+    const bindings = this.settings[kind].bindings
+    return Object.keys(bindings).find((action) => bindings[action].includes(token)) ?? null
+  }
+
+  _bound(kind, action, token) {
+    return this.settings[kind].bindings[action]?.includes(token) ?? false
+  }
+
+  _boundHeld(kind, action) {
+    return (this.settings[kind].bindings[action] || []).some((t) => this._held.has(t))
+  }
+}
+
+// Readable name for a binding token ('KeyA' → 'A', 'Pad0' → 'Pad A')
+export function describeToken(token) {
+  if (token.startsWith('Key')) return token.slice(3)
+  if (token.startsWith('Digit')) return token.slice(5)
+  if (token.startsWith('Arrow')) return `${token.slice(5)} arrow`
+  if (token.startsWith('Mouse')) return ['Left click', 'Middle click', 'Right click'][Number(token.slice(5))] || `Mouse ${token.slice(5)}`
+  if (token.startsWith('Stick')) return token === 'Stick0' ? 'Left stick' : token === 'Stick1' ? 'Right stick' : `Stick ${token.slice(5)}`
+  if (token.startsWith('Pad')) return PAD_BUTTONS[Number(token.slice(3))] || `Pad ${token.slice(3)}`
+  return token.replace(/(Left|Right)$/, '')
+}
+
+// Standard-mapping button names
+const PAD_BUTTONS = ['Pad A', 'Pad B', 'Pad X', 'Pad Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right']
+
+function getTokenKind(token) {
+  if (token.startsWith('Mouse')) return 'pointer'
+  if (/^(Pad|Stick)\d+$/.test(token)) return 'gamepad'
+  return 'keyboard'
+}
+
+// Defaults with saved values laid over them, per kind
+function mergeSettings(saved) {
+  const settings = clone(DEFAULT_INPUT_SETTINGS)
+  settings.oneSwitch = saved.oneSwitch === true
+  for (const kind of INPUT_KINDS) {
+    const s = saved[kind]
+    if (!s) continue
+    if (typeof s.sensitivity === 'number') {
+      settings[kind].sensitivity = Math.min(SENSITIVITY_RANGE[1], Math.max(SENSITIVITY_RANGE[0], s.sensitivity))
+    }
+    for (const action of INPUT_ACTIONS[kind]) {
+      const tokens = s.bindings?.[action]
+      if (Array.isArray(tokens) && tokens.every((t) => typeof t === 'string')) settings[kind].bindings[action] = tokens
+    }
+  }
+  return settings
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value))
+}
+
+// 0 → 1 → 0 over each 2 units of t
+function pingPong(t) {
+  const u = ((t % 2) + 2) % 2
+  return u <= 1 ? u : 2 - u
+}
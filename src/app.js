@@ -7,63 +7,143 @@
 import * as THREE from 'three'
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
 import { ScoreSystem } from './score-system.js'
-import { analyzeShotSetup, getScoreReaction, getCourseIntro, analyzeStroke } from './ai-caddy.js'
+import { BallPhysics } from './ball-physics.js'
+import { parseCourse, fetchCourse, getCourseBounds } from './course-loader.js'
+import { createWallMesh } from './wall-geometry.js'
+import { createSurfaceMesh } from './surface-geometry.js'
+import { createSurface } from './surfaces.js'
+import { createObstacle } from './moving-obstacle.js'
+import { ShotRecorder, ReplayPlayer, encodeReplay, decodeReplay } from './shot-replay.js'
+import { NetSession, WebSocketTransport } from './net-sync.js'
+import { RoundHistory, createLocalStorage, createMemoryStorage } from './round-history.js'
+import classicCourse from './courses/classic.json'
+import { analyzeShotSetup, getScoreReaction, getCourseIntro, analyzeStroke, getHazardReaction, describeShot } from './ai-caddy.js'
+import { ShotSolver } from './shot-solver.js'
+import { BotPlayer, BOT_LEVELS } from './bot-player.js'
+import { generateCourse, generateHole, createSeed, getDailySeed, getSeedFromCourseId } from './course-generator.js'
+import { CourseEditor, pickWall, getWallHandles, getWallCenter } from './course-editor.js'
+import { findLayoutProblems } from './course-analysis.js'
+import { getWallPoints, rotateXZ, DEFAULT_WALL_HEIGHT } from './wall-shapes.js'
+import { ARSession } from './ar-session.js'
+import { CameraDirector } from './camera-director.js'
+import { ShotPreview, PREVIEW_LENGTHS } from './shot-preview.js'
+import { GameAudio } from './game-audio.js'
+import { AimInput, INPUT_ACTIONS, describeToken } from './aim-input.js'
+import { GameStateMachine, GOLF_TRANSITIONS } from './game-state.js'
+import { registerGameMode, getGameMode, listGameModes } from './game-modes.js'
+import { RacingMode } from './racing-mode.js'
+import { TRACKS } from './race-track.js'
+import { exportGLTF } from './spline-geometry.js'
 
 let renderer, scene, camera, controls, clock
+let director // intro flyovers, follow-cam and celebrations; OrbitControls in between
 let ball, hole, aimArrow, powerBar
 let score
+let courseRoot // everything golf puts on the field; hidden while another mode runs
+
+// Pass-and-play: one ball mesh + resting spot per player; `ball` is the active one
+const BALL_COLORS = [0xffffff, 0xffc828, 0x00edaf, 0xff4466, 0x8b5cf6, 0x00b5ad]
+let balls = []
+let ballSpots = []
+
+// Online play: seats map player slots to relay client ids; shots and host
+// snapshots queue in the inbox until the local simulation is idle
+let net = null
+let netSeats = []
+let netInbox = []
+
+// Saved rounds, personal bests and the resumable round (localStorage)
+let roundHistory
+
+// Caddy line: solver runs a few ms per frame, then the suggested path is drawn
+let caddyLineOn = false
+let caddySolver = null
+let caddyLine = null
+const caddyLineMat = new THREE.LineDashedMaterial({ color: 0x00b5ad, dashSize: 0.12, gapSize: 0.08, transparent: true, opacity: 0.85 })
+
+// Computer players: one BotPlayer (or null for a person) per player slot.
+// A bot's turn solves over frames and shoots once the think time is up.
+const BOT_THINK_TIME = 1.2 // seconds
+let bots = []
+let botTurn = null
+
+// Course editor: edits a copy of the course and re-renders the hole through
+// renderHole() after every change. Test play swaps the draft in as the course.
+let editor = null
+let editing = false
+let editorTool = 'select' // select | wall | tee | cup
+let editorDrag = null
+let editorHandles = null
+let editorGhost = null
+let editorPlaytest = null // holes handed to setCourses() by the last test play
+const editorMat = new THREE.LineBasicMaterial({ color: 0xc084fc })
+const editorHandleMat = new THREE.MeshBasicMaterial({ color: 0xc084fc })
+const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0)
+const raycaster = new THREE.Raycaster()
+const pointer = new THREE.Vector2()
+
+// WebXR AR: the session places the whole scene on a real surface (the scene
+// root takes its transform); without XR support the orbit view is all there is
+let ar = null
+let floor
+const AR_FULL_DRAG = 2 // course units of drag for full power
+const AR_MIN_DRAG = 0.1
+
+// Shot preview (dotted path while aiming)
+const PREVIEW_MODES = ['off', 'bounce', 'full']
+const PREVIEW_LABELS = { off: 'Path: Off', bounce: 'Path: 1st Bounce', full: 'Path: Full Roll' }
+const PREVIEW_MAX_DOTS = 150
+const PREVIEW_BUDGET = 3 // ms of simulation per frame; long rolls finish over the next frames
+let previewMode = 'off'
+let shotPreview = null // rebuilt for each hole on first use
+let previewDots
+let previewDrawn = null
+let aimShot = null // { vx, vz } of the shot being aimed
+
+// Sound and input settings are remembered between visits
+const AUDIO_SETTINGS_KEY = 'webar-game-kit:audio'
+const INPUT_SETTINGS_KEY = 'webar-game-kit:input'
+let settingsStorage = null // localStorage, or null when it's blocked
+let audio
+
+// Aiming by pointer drag, keyboard, gamepad or one switch (see aim-input.js);
+// the settings panel edits one kind of input at a time
+let input
+let inputKind = 'keyboard'
+
+// Game flow: title → hole intro → aiming ⇄ rolling → hole complete → round summary
+let game
+let mode = null // the game mode on the field
+const modeContexts = new Map() // mode id → its context, built on first use
+let skipTitle = false // a link asked for a round straight away
 
 // Physics state
-let ballVelocity = new THREE.Vector3()
-let ballMoving = false
-let friction = 0.985
+let physics
 let currentHole = 0
+const renderPos = { x: 0, z: 0 }
 
 // Aim state
 let isAiming = false
-let aimStart = new THREE.Vector2()
-let aimCurrent = new THREE.Vector2()
 let maxPower = 8
 
-// Course definitions
-const COURSES = [
-  {
-    par: 3, holePos: [3, 0.01, 0], ballStart: [-3, 0.15, 0],
-    walls: [
-      { pos: [0, 0.15, 2.5], size: [8, 0.3, 0.2] },
-      { pos: [0, 0.15, -2.5], size: [8, 0.3, 0.2] },
-      { pos: [-4, 0.15, 0], size: [0.2, 0.3, 5] },
-      { pos: [4, 0.15, 0], size: [0.2, 0.3, 5] },
-    ],
-    label: 'Straight Shot',
-  },
-  {
-    par: 4, holePos: [3, 0.01, 3], ballStart: [-3, 0.15, -3],
-    walls: [
-      { pos: [0, 0.15, -4], size: [8, 0.3, 0.2] },
-      { pos: [0, 0.15, 4], size: [8, 0.3, 0.2] },
-      { pos: [-4, 0.15, 0], size: [0.2, 0.3, 8] },
-      { pos: [4, 0.15, 0], size: [0.2, 0.3, 8] },
-      { pos: [0, 0.15, 0], size: [3, 0.3, 0.2] }, // center barrier
-    ],
-    label: 'Corner Pocket',
-  },
-  {
-    par: 3, holePos: [0, 0.01, 4], ballStart: [0, 0.15, -4],
-    walls: [
-      { pos: [0, 0.15, -5], size: [6, 0.3, 0.2] },
-      { pos: [0, 0.15, 5], size: [6, 0.3, 0.2] },
-      { pos: [-3, 0.15, 0], size: [0.2, 0.3, 10] },
-      { pos: [3, 0.15, 0], size: [0.2, 0.3, 10] },
-      { pos: [-1.2, 0.15, -1], size: [1.5, 0.3, 0.2] },
-      { pos: [1.2, 0.15, 1], size: [1.5, 0.3, 0.2] },
-    ],
-    label: 'Snake Lane',
-  },
-]
+// Course definitions (see course-loader.js for the format)
+const defaultCourse = parseCourse(classicCourse)
+let courses = defaultCourse.holes
+let courseId = defaultCourse.meta.id
+let courseMeta = defaultCourse.meta
+let courseSeed = null // generated courses show their seed in the HUD
+let endlessSeed = null // endless mode keeps generating holes from this seed
+
+// Replay state
+let recorder
+let replayPlayer = null
+let replayFromLink = false
+let followCam = true
 
 let wallMeshes = []
+let obstacleViews = [] // { obstacle, mesh } pairs synced every frame
 const wallMat = new THREE.MeshStandardMaterial({ color: 0x2a2a4e, roughness: 0.6, metalness: 0.3 })
+const obstacleMat = new THREE.MeshStandardMaterial({ color: 0x8b5cf6, roughness: 0.5, metalness: 0.3, emissive: 0x8b5cf6, emissiveIntensity: 0.15 })
 const groundMat = new THREE.MeshStandardMaterial({ color: 0x1a4a2a, roughness: 0.8 })
 
 function init() {
@@ -75,6 +155,7 @@ function init() {
   renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
   renderer.shadowMap.enabled = true
   renderer.shadowMap.type = THREE.PCFSoftShadowMap
+  renderer.xr.enabled = true
   container.appendChild(renderer.domElement)
 
   scene = new THREE.Scene()
@@ -91,6 +172,19 @@ function init() {
   controls.minDistance = 4
   controls.maxDistance = 16
 
+  director = new CameraDirector(camera, controls)
+  director.on('start', updateSkipButton)
+  director.on('release', updateSkipButton)
+  director.on('end', updateSkipButton)
+  // Aiming starts once the flyover ends, is skipped or is cut off
+  director.on('end', ({ shot }) => { if (shot === 'intro') endHoleIntro() })
+  director.on('release', ({ shot }) => { if (shot === 'intro') endHoleIntro() })
+
+  // Game flow; pausing freezes the game clock every update runs on
+  game = new GameStateMachine({ transitions: GOLF_TRANSITIONS })
+  game.on('change', onGameState)
+  game.on('pause', () => input.cancel())
+
   // Lights
   scene.add(new THREE.AmbientLight(0x6688aa, 0.4))
   const sun = new THREE.DirectionalLight(0xffffff, 1.2)
@@ -110,19 +204,55 @@ function init() {
   scene.add(greenLight)
 
   // Floor (extends beyond course)
-  const floor = new THREE.Mesh(new THREE.PlaneGeometry(40, 40), new THREE.MeshStandardMaterial({ color: 0x111119, roughness: 0.9 }))
+  floor = new THREE.Mesh(new THREE.PlaneGeometry(40, 40), new THREE.MeshStandardMaterial({ color: 0x111119, roughness: 0.9 }))
   floor.rotation.x = -Math.PI / 2
   floor.position.y = -0.01
   floor.receiveShadow = true
   scene.add(floor)
 
-  // Ball
-  ball = new THREE.Mesh(
-    new THREE.SphereGeometry(0.12, 32, 32),
-    new THREE.MeshStandardMaterial({ color: 0xffffff, emissive: 0xffffff, emissiveIntensity: 0.1, metalness: 0.3, roughness: 0.4 })
-  )
-  ball.castShadow = true
-  scene.add(ball)
+  // Golf's field; other game modes get a root of their own
+  courseRoot = new THREE.Group()
+  scene.add(courseRoot)
+
+  // Ball (one per player; setupPlayers rebuilds the set)
+  balls = [createBallMesh(BALL_COLORS[0])]
+  ball = balls[0]
+
+  // Headless ball physics (fixed timestep, swept wall collision)
+  physics = new BallPhysics({ radius: 0.12, friction: 0.985, restitution: 0.7 })
+  physics.on('hazard', (e) => {
+    score.addPenalty(e.penalty, e.type)
+    updateStrokeDisplay()
+    showToast(getHazardReaction(e.type), 2500)
+  })
+  physics.on('collision', (e) => audio.wallHit(e.speed, { obstacle: Boolean(e.obstacle) }))
+
+  // Procedural sound; browsers only start audio after a gesture
+  settingsStorage = createLocalStorage()
+  audio = new GameAudio(loadAudioSettings())
+  const unlockAudio = () => audio.resume()
+  window.addEventListener('pointerdown', unlockAudio)
+  window.addEventListener('keydown', unlockAudio)
+
+  // Aim input (keys that belong to a focused control are left alone)
+  input = new AimInput({ settings: loadInputSettings(), canBegin: canBeginAim, startAngle: getAngleToHole })
+  input.on('start', onAimStart)
+  input.on('aim', onAimChange)
+  input.on('shoot', onAimShoot)
+  input.on('cancel', onAimEnd)
+  input.on('stage', onSwitchStage)
+  input.on('binding', () => {
+    saveInputSettings()
+    renderInputPanel()
+  })
+  window.addEventListener('keydown', (e) => {
+    if (!input.capturing && ownsKey(e.target, e.code)) return
+    if (input.keyDown(e.code)) e.preventDefault()
+  })
+  window.addEventListener('keyup', (e) => {
+    if (input.keyUp(e.code)) e.preventDefault()
+  })
+  window.addEventListener('blur', () => input.releaseAll())
 
   // Aim arrow
   aimArrow = new THREE.Group()
@@ -141,20 +271,118 @@ function init() {
   arrowHead.position.x = 1.05
   aimArrow.add(arrowHead)
   aimArrow.visible = false
-  scene.add(aimArrow)
+  courseRoot.add(aimArrow)
+
+  // Shot preview dots; positions are rewritten in place while aiming
+  const dotGeo = new THREE.BufferGeometry()
+  dotGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(PREVIEW_MAX_DOTS * 3), 3))
+  previewDots = new THREE.Points(dotGeo, new THREE.PointsMaterial({ color: 0xffffff, size: 0.05, transparent: true, opacity: 0.8 }))
+  previewDots.frustumCulled = false
+  previewDots.visible = false
+  courseRoot.add(previewDots)
+
+  // Round history (falls back to memory when localStorage is blocked)
+  roundHistory = new RoundHistory(createLocalStorage() || createMemoryStorage())
 
   // Score system
   score = new ScoreSystem()
-  score.on('hole-scored', (entry) => {
-    const el = document.getElementById('scorecard')
-    el.innerHTML += `<div class="score-entry" style="color:${entry.diff < 0 ? '#00edaf' : entry.diff > 0 ? '#ff4466' : '#fff'}">
-      Hole ${entry.hole}: ${entry.score} (${entry.term})
-    </div>`
-    document.getElementById('total-score').textContent = `Total: ${score.totalScore} (${score.totalDiff >= 0 ? '+' : ''}${score.totalDiff})`
+  score.on('hole-scored', renderScorecard)
+  score.on('turn', updateTurnDisplay)
+
+  // Players panel
+  document.getElementById('players-start').onclick = () => {
+    if (net) {
+      startNetRound()
+      return
+    }
+    const names = document.getElementById('players-names').value.split(',').map((n) => n.trim()).filter(Boolean)
+    const turnOrder = document.getElementById('players-order').value
+    const bot = document.getElementById('players-bot').value
+    setupPlayers(names.length ? names : ['Player 1'], { turnOrder, ...getRoundRules() }, bot)
+  }
+
+  // Load first course (?course=<url> loads a course file instead,
+  // ?players=Ann,Bob starts a pass-and-play round, ?bot=<level> adds a
+  // computer player)
+  const params = new URLSearchParams(window.location.search)
+  // Game modes: golf unless ?mode=<id> picks another (?mode=racing&track=canyon)
+  registerGameMode(new RacingMode({
+    track: TRACKS[params.get('track')] ? params.get('track') : undefined,
+    storage: createLocalStorage() || createMemoryStorage(),
+    playerName: () => document.getElementById('players-names').value.split(',')[0].trim() || 'You',
+  }))
+  selectMode(getGameMode(params.get('mode')) || golfMode)
+  const playerNames = (params.get('players') || '').split(',').map((n) => n.trim()).filter(Boolean)
+  const botLevel = params.get('bot')
+  if (PREVIEW_MODES.includes(params.get('preview'))) setPreviewMode(params.get('preview'))
+  if (params.has('switch')) input.setOneSwitch(true)
+  if (playerNames.length || botLevel) {
+    document.getElementById('players-names').value = playerNames.join(', ')
+    if (botLevel) document.getElementById('players-bot').value = botLevel
+    setupPlayers(playerNames.length ? playerNames : ['Player 1'], {}, botLevel)
+  } else {
+    loadCourse(0)
+  }
+  // History panel
+  document.getElementById('round-resume').onclick = resumeRound
+  document.getElementById('history-json').onclick = () => downloadFile('round-history.json', roundHistory.exportJSON(), 'application/json')
+  document.getElementById('history-csv').onclick = () => downloadFile('round-history.csv', roundHistory.exportCSV(), 'text/csv')
+  document.getElementById('history-import').onclick = () => document.getElementById('history-file').click()
+  document.getElementById('history-file').addEventListener('change', (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    file.text()
+      .then((text) => {
+        const added = roundHistory.import(text)
+        showToast(`Imported ${added} round${added === 1 ? '' : 's'}`, 2500)
+        updateHistoryDisplay()
+      })
+      .catch((err) => showToast(err.message, 4000))
   })
+  updateHistoryDisplay()
 
-  // Load first course
-  loadCourse(0)
+  // ?room=<code> joins an online room (?room=new hosts one) on ?relay=<ws url>
+  document.getElementById('net-host').onclick = () => goOnline(null)
+  document.getElementById('net-join').onclick = () => {
+    const code = document.getElementById('net-room').value.trim().toUpperCase()
+    if (code) goOnline(code)
+  }
+  const roomCode = params.get('room')
+  if (roomCode) goOnline(roomCode === 'new' ? null : roomCode.toUpperCase(), params.get('relay'), params.get('name'))
+
+  // Generated courses: Course panel, ?seed=<seed>, ?daily or ?endless[=<seed>]
+  document.getElementById('course-seed-play').onclick = () => {
+    const seed = document.getElementById('course-seed').value.trim()
+    if (seed) playGeneratedCourse(seed)
+  }
+  document.getElementById('course-random').onclick = () => playGeneratedCourse(createSeed())
+  document.getElementById('course-daily').onclick = () => playGeneratedCourse(getDailySeed(), { daily: true })
+  document.getElementById('course-endless').onclick = () => playGeneratedCourse(createSeed(), { endless: true })
+
+  // ?replay=<code> plays a shared replay once the course is ready
+  const courseUrl = params.get('course')
+  const replayCode = params.get('replay')
+  const seedParam = params.get('seed') || params.get('endless')
+  if (params.has('daily')) playGeneratedCourse(getDailySeed(), { daily: true })
+  else if (params.has('endless')) playGeneratedCourse(seedParam || createSeed(), { endless: true })
+  else if (seedParam) playGeneratedCourse(seedParam)
+
+  // Links that set up a round (players, rooms, seeds, courses, replays) skip the title
+  skipTitle = ['players', 'bot', 'room', 'seed', 'daily', 'endless', 'course', 'replay', 'mode'].some((key) => params.has(key))
+
+  if (courseUrl) {
+    fetchCourse(courseUrl)
+      .then((data) => setCourses(data))
+      .then(() => updateHistoryDisplay())
+      .catch((err) => {
+        console.error(err)
+        showToast('Could not load course — playing the default', 4000)
+      })
+      .finally(() => { if (replayCode) openSharedReplay(replayCode) })
+  } else if (replayCode) {
+    openSharedReplay(replayCode)
+  }
 
   // Input handlers
   renderer.domElement.addEventListener('pointerdown', onPointerDown)
@@ -162,6 +390,7 @@ function init() {
   renderer.domElement.addEventListener('pointerup', onPointerUp)
 
   window.addEventListener('resize', () => {
+    if (renderer.xr.isPresenting) return
     camera.aspect = window.innerWidth / window.innerHeight
     camera.updateProjectionMatrix()
     renderer.setSize(window.innerWidth, window.innerHeight)
@@ -169,55 +398,360 @@ function init() {
 
   // Reset button
   document.getElementById('reset-btn').onclick = () => {
-    ballVelocity.set(0, 0, 0)
-    ballMoving = false
-    const course = COURSES[currentHole]
+    // Online, a reset would put this client out of step with the room
+    if (editing || !physics.inPlay || isNetRound() || bots[score.turn]) return
+    const course = courses[currentHole]
+    physics.setPosition(course.ballStart[0], course.ballStart[2])
     ball.position.set(...course.ballStart)
     updateStrokeDisplay()
+    requestCaddyLine()
   }
 
-  animate()
+  // Replay controls
+  document.getElementById('replay-btn').onclick = () => {
+    if (editing || physics.moving || isAiming) return
+    if (!recorder.shots.length) {
+      showToast('No shots on this hole yet', 2000)
+      return
+    }
+    startReplay(recorder.toReplay())
+  }
+  document.getElementById('replay-play').onclick = () => {
+    if (replayPlayer.isPlaying) replayPlayer.pause()
+    else replayPlayer.play()
+    updateReplayBar()
+  }
+  document.getElementById('replay-scrub').addEventListener('input', (e) => {
+    replayPlayer.pause().seek(Number(e.target.value) * replayPlayer.duration)
+    updateReplayBar()
+  })
+  document.getElementById('replay-speed').onclick = () => {
+    replayPlayer.setPlaybackRate(replayPlayer.playbackRate === 1 ? 0.25 : 1)
+    updateReplayBar()
+  }
+  document.getElementById('replay-follow').onclick = () => {
+    followCam = !followCam
+    updateReplayBar()
+  }
+  document.getElementById('replay-share').onclick = () => {
+    const url = new URL(window.location.href)
+    url.searchParams.set('replay', encodeReplay(replayPlayer.replay))
+    navigator.clipboard?.writeText(url.toString())
+      .then(() => showToast('Replay link copied', 2000))
+      .catch(() => showToast('Could not copy replay link', 2000))
+  }
+  document.getElementById('replay-close').onclick = stopReplay
+
+  // Hole intro: skip with the button, Escape or a tap on the green
+  document.getElementById('skip-intro').onclick = () => director.skip()
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !editing && director.skip()) e.preventDefault()
+  })
+
+  // Caddy line toggle
+  document.getElementById('caddy-btn').onclick = (e) => {
+    caddyLineOn = !caddyLineOn
+    e.currentTarget.classList.toggle('active', caddyLineOn)
+    e.currentTarget.setAttribute('aria-pressed', String(caddyLineOn))
+    if (caddyLineOn) requestCaddyLine()
+    else clearCaddyLine()
+  }
+
+  // Shot preview: off → first bounce → full roll
+  document.getElementById('preview-btn').onclick = () => {
+    setPreviewMode(PREVIEW_MODES[(PREVIEW_MODES.indexOf(previewMode) + 1) % PREVIEW_MODES.length])
+  }
+
+  // Sound
+  document.getElementById('mute-btn').onclick = () => {
+    audio.toggleMute()
+    saveAudioSettings()
+  }
+  document.getElementById('volume').oninput = (e) => {
+    audio.setVolume(Number(e.target.value))
+    if (audio.muted && audio.volume > 0) audio.setMuted(false)
+    saveAudioSettings()
+  }
+  updateAudioControls()
+
+  // Input settings
+  document.getElementById('input-kind').onchange = (e) => {
+    inputKind = e.target.value
+    renderInputPanel()
+  }
+  document.getElementById('input-one-switch').onchange = (e) => {
+    input.setOneSwitch(e.target.checked)
+    saveInputSettings()
+    renderInputPanel()
+    announce(e.target.checked ? 'One-switch mode on' : 'One-switch mode off')
+  }
+  document.getElementById('input-sensitivity').oninput = (e) => {
+    input.setSensitivity(inputKind, Number(e.target.value))
+    saveInputSettings()
+    renderInputPanel()
+  }
+  document.getElementById('input-reset').onclick = () => {
+    input.resetBindings(inputKind)
+    saveInputSettings()
+    renderInputPanel()
+  }
+  renderInputPanel()
+
+  // Course editor
+  document.getElementById('editor-btn').onclick = () => (editing ? closeEditor() : openEditor())
+  document.querySelectorAll('[data-editor-tool]').forEach((btn) => {
+    btn.onclick = () => setEditorTool(btn.dataset.editorTool)
+  })
+  document.getElementById('editor-prev').onclick = () => editor.selectHole(editor.holeIndex - 1)
+  document.getElementById('editor-next').onclick = () => editor.selectHole(editor.holeIndex + 1)
+  document.getElementById('editor-add').onclick = () => editor.addHole()
+  document.getElementById('editor-remove').onclick = () => {
+    if (!editor.removeHole()) showToast('A course needs at least one hole', 2000)
+  }
+  document.getElementById('editor-delete').onclick = () => editor.removeWall()
+  document.getElementById('editor-name').addEventListener('input', (e) => editor.setName(e.target.value))
+  document.getElementById('editor-label').addEventListener('input', (e) => editor.setLabel(e.target.value))
+  document.getElementById('editor-par').addEventListener('change', (e) => editor.setPar(e.target.value))
+  document.getElementById('editor-test').onclick = testPlayEditor
+  document.getElementById('editor-export').onclick = exportEditorCourse
+  document.getElementById('editor-gltf').onclick = exportEditorModel
+  document.getElementById('editor-import').onclick = () => document.getElementById('editor-file').click()
+  document.getElementById('editor-file').addEventListener('change', (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    file.text()
+      .then((text) => {
+        editor.load(text)
+        showToast(`Loaded ${editor.meta.name}`, 2000)
+      })
+      .catch((err) => showToast(err.errors?.[0] ?? err.message, 4000))
+  })
+  document.getElementById('editor-close').onclick = () => closeEditor()
+  window.addEventListener('keydown', onEditorKey)
+
+  // AR button only where immersive-ar is available; otherwise stay in orbit view
+  ARSession.isSupported().then((supported) => {
+    if (!supported) return
+    ar = new ARSession()
+    ar.on('transform', applyARTransform)
+    ar.on('state', updateARHint)
+    ar.on('aim', onARAim)
+    ar.on('aim-end', onARShoot)
+    ar.on('end', onAREnd)
+    document.getElementById('ar-btn').hidden = false
+  })
+  document.getElementById('ar-btn').onclick = startAR
+  document.getElementById('ar-smaller').onclick = () => ar.scaleBy(1 / 1.25)
+  document.getElementById('ar-bigger').onclick = () => ar.scaleBy(1.25)
+  document.getElementById('ar-reposition').onclick = () => ar.reposition()
+  document.getElementById('ar-exit').onclick = () => ar.end()
+  // Taps on overlay buttons shouldn't also place the course or start an aim
+  document.getElementById('ar-overlay').addEventListener('beforexrselect', (e) => {
+    if (e.target.closest('button')) e.preventDefault()
+  })
+
+  // Game screens; P or Escape pauses, and so does leaving the tab
+  document.getElementById('pause-btn').onclick = () => togglePause()
+  document.getElementById('pause-resume').onclick = () => game.resume()
+  document.getElementById('pause-quit').onclick = quitToTitle
+  document.getElementById('summary-again').onclick = () => startMode(mode)
+  document.getElementById('summary-title').onclick = quitToTitle
+  window.addEventListener('keydown', onPauseKey)
+  document.addEventListener('visibilitychange', () => { if (document.hidden) pauseGame() })
+  if (!skipTitle) onGameState()
+  else if (mode === golfMode) enterRound()
+  else startMode(mode)
+
+  renderer.setAnimationLoop(animate)
 }
 
 // ── Course Loading ──
-function loadCourse(index) {
-  currentHole = index % COURSES.length
-  const course = COURSES[currentHole]
 
+// Swap in a course from the course loader and restart the round
+function setCourses(course) {
+  courses = course.holes
+  courseId = course.meta.id || course.meta.name
+  courseMeta = course.meta
+  courseSeed = course.meta.seed ?? null
+  endlessSeed = null
+  score.reset()
+  clearScorecard()
+  loadCourse(0)
+}
+
+// Build a course from a seed and put the seed in the URL so the layout can be shared
+function playGeneratedCourse(seed, { daily = false, endless = false } = {}) {
+  if (editing || physics.moving || game.is('hole-complete') || replayPlayer || isNetRound()) return
+  const name = daily ? 'Daily challenge' : endless ? 'Endless' : undefined
+  setCourses(parseCourse(generateCourse(seed, { name })))
+  if (endless) endlessSeed = seed
+  document.getElementById('course-seed').value = seed
+
+  const url = new URL(window.location.href)
+  ;['course', 'seed', 'daily', 'endless'].forEach((key) => url.searchParams.delete(key))
+  if (daily) url.searchParams.set('daily', '')
+  else url.searchParams.set(endless ? 'endless' : 'seed', seed)
+  window.history.replaceState(null, '', url)
+  updateHistoryDisplay()
+}
+
+// Rebuild a generated course from its id (replays and online rounds carry only the id)
+function loadCourseById(id, holeCount = 6) {
+  const seed = getSeedFromCourseId(id)
+  if (seed === null) return false
+  setCourses(parseCourse(generateCourse(seed, { holes: holeCount })))
+  return true
+}
+
+// New round with a fresh player list (pass-and-play); `botLevel` adds a
+// computer player after the people
+function setupPlayers(names, options, botLevel) {
+  if (editing || physics.moving || replayPlayer || game.is('hole-complete')) return
+  bots = names.map(() => null)
+  if (botLevel && BOT_LEVELS[botLevel]) {
+    const bot = new BotPlayer({ level: botLevel })
+    names = [...names, bot.name]
+    bots.push(bot)
+  }
+  balls.forEach((b) => courseRoot.remove(b))
+  balls = names.map((_, i) => createBallMesh(BALL_COLORS[i % BALL_COLORS.length]))
+  score.setPlayers(names, options)
+  clearScorecard()
+  loadCourse(0)
+}
+
+function createBallMesh(color) {
+  const mesh = new THREE.Mesh(
+    new THREE.SphereGeometry(0.12, 32, 32),
+    new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.1, metalness: 0.3, roughness: 0.4 })
+  )
+  mesh.castShadow = true
+  courseRoot.add(mesh)
+  return mesh
+}
+
+// Stroke limit and scoring rule from the Players panel
+function getRoundRules() {
+  const limit = Number(document.getElementById('players-limit').value)
+  return { maxStrokes: limit > 0 ? limit : Infinity, scoring: document.getElementById('players-scoring').value }
+}
+
+function renderScorecard() {
+  const rows = score.card.rows.sort((a, b) => a.hole - b.hole || a.playerIndex - b.playerIndex)
+  // Player names come from links and other room members: text only, never markup
+  document.getElementById('scorecard').replaceChildren(...rows.map((entry) => {
+    const who = score.isMultiplayer ? `${entry.player} · ` : ''
+    const el = document.createElement('div')
+    el.className = 'score-entry'
+    el.style.color = entry.diff < 0 ? '#00edaf' : entry.diff > 0 ? '#ff4466' : '#fff'
+    el.textContent = `${who}Hole ${entry.hole}: ${entry.score} (${entry.label})`
+    return el
+  }))
+  updateTotals()
+}
+
+function clearScorecard() {
+  document.getElementById('scorecard').replaceChildren()
+  document.getElementById('total-score').textContent = ''
+}
+
+function loadCourse(index, { flyover = true } = {}) {
+  currentHole = index % courses.length
+  const course = courses[currentHole]
+  renderHole(course)
+  if (ar?.session) ar.setCourseBounds(getCourseBounds(course.walls))
+
+  // Reset balls — everyone tees off from the same spot
+  ballSpots = balls.map((b) => {
+    b.visible = true
+    b.position.set(course.ballStart[0], course.ballStart[1] + physics.getHeight(course.ballStart[0], course.ballStart[2]), course.ballStart[2])
+    return { x: course.ballStart[0], z: course.ballStart[2], inCup: false }
+  })
+
+  updateHoleLabel()
+  score.startHole(course.par)
+  activatePlayerBall(score.turn)
+  updateStrokeDisplay()
+  recorder = new ShotRecorder({ course: courseId, hole: currentHole, timestep: physics.timestep })
+  if (flyover) playHoleIntro()
+
+  // AI caddy course intro
+  const intro = getCourseIntro(course.label, course.surfaces)
+  updateCaddyTip(intro)
+}
+
+function updateHoleLabel() {
+  const course = courses[currentHole]
+  document.getElementById('hole-label').textContent = `Hole ${currentHole + 1}: ${course.label}${courseSeed ? ` · seed ${courseSeed}` : ''}`
+  const average = roundHistory.getHoleAverages(courseId).find((h) => h.hole === currentHole + 1)
+  document.getElementById('par-label').textContent = `Par ${course.par}${average ? ` · avg ${average.average.toFixed(1)}` : ''}`
+}
+
+// Tee-to-pin flyover; aiming starts when it ends (behind the title screen the hole just waits)
+function playHoleIntro() {
+  if (game.is('title') || !canDirect()) return
+  director.playIntro(courses[currentHole])
+  game.go('hole-intro')
+}
+
+function endHoleIntro() {
+  if (game.is('hole-intro')) game.go('aiming')
+}
+
+// Build the green, surfaces, walls, obstacles and cup for a hole and hand
+// them to physics (the course editor re-renders through this on every edit)
+function renderHole(course) {
   // Clear old walls
-  wallMeshes.forEach((w) => scene.remove(w))
   wallMeshes = []
+  shotPreview = null
 
   // Remove old hole/green
-  scene.children.filter((c) => c.userData?.courseElement).forEach((c) => scene.remove(c))
+  courseRoot.children.filter((c) => c.userData?.courseElement).forEach((c) => {
+    courseRoot.remove(c)
+    disposeCourseElement(c)
+  })
 
   // Green (course surface)
+  const bounds = getCourseBounds(course.walls)
   const green = new THREE.Mesh(
-    new THREE.PlaneGeometry(
-      Math.max(...course.walls.map((w) => Math.abs(w.pos[0]) + w.size[0] / 2)) * 2 + 0.5,
-      Math.max(...course.walls.map((w) => Math.abs(w.pos[2]) + w.size[2] / 2)) * 2 + 0.5
-    ),
+    new THREE.PlaneGeometry(bounds.maxX - bounds.minX + 0.5, bounds.maxZ - bounds.minZ + 0.5),
     groundMat
   )
   green.rotation.x = -Math.PI / 2
-  green.position.y = 0.001
+  green.position.set((bounds.minX + bounds.maxX) / 2, 0.001, (bounds.minZ + bounds.maxZ) / 2)
   green.receiveShadow = true
   green.userData.courseElement = true
-  scene.add(green)
+  courseRoot.add(green)
+
+  // Terrain surfaces (sand, water, slopes, boost pads)
+  physics.setSurfaces(course.surfaces)
+  course.surfaces.forEach((def) => {
+    const mesh = createSurfaceMesh(createSurface(def))
+    mesh.userData.courseElement = true
+    courseRoot.add(mesh)
+  })
 
   // Walls
   course.walls.forEach((w) => {
-    const mesh = new THREE.Mesh(new THREE.BoxGeometry(...w.size), wallMat)
-    mesh.position.set(...w.pos)
-    mesh.castShadow = true
-    mesh.receiveShadow = true
+    const mesh = createWallMesh(w, wallMat)
     mesh.userData.courseElement = true
-    scene.add(mesh)
+    courseRoot.add(mesh)
     wallMeshes.push(mesh)
   })
 
+  // Moving obstacles (CurveAnimator-driven; physics owns their clock)
+  const obstacles = course.obstacles.map(createObstacle)
+  physics.setObstacles(obstacles)
+  obstacleViews = obstacles.map((obstacle) => {
+    const mesh = createObstacleMesh(obstacle)
+    mesh.userData.courseElement = true
+    courseRoot.add(mesh)
+    return { obstacle, mesh }
+  })
+  syncObstacles()
+
   // Hole
-  if (hole) scene.remove(hole)
   const holeGroup = new THREE.Group()
   const holeMesh = new THREE.Mesh(
     new THREE.CircleGeometry(0.2, 32),
@@ -242,185 +776,1226 @@ function loadCourse(index) {
 
   holeGroup.position.set(course.holePos[0], course.holePos[1], course.holePos[2])
   holeGroup.userData.courseElement = true
-  scene.add(holeGroup)
+  courseRoot.add(holeGroup)
   hole = holeGroup
 
-  // Reset ball
-  ball.position.set(...course.ballStart)
-  ballVelocity.set(0, 0, 0)
-  ballMoving = false
+  physics.setWalls(course.walls)
+}
 
-  // Update UI
-  document.getElementById('hole-label').textContent = `Hole ${currentHole + 1}: ${course.label}`
+// Free a removed course element's geometry; the editor rebuilds the hole on
+// every drag, so it would pile up otherwise (materials are mostly shared)
+function disposeCourseElement(object) {
+  object.traverse((child) => {
+    child.geometry?.dispose()
+    // Most elements share the course materials; ones flagged ownMaterial made their own
+    if (object.userData.ownMaterial) child.material?.dispose()
+  })
+}
+
+function createObstacleMesh(obstacle) {
+  const group = new THREE.Group()
+
+  if (obstacle.type === 'windmill') {
+    const { blades = 4, bladeLength = 1.2, bladeWidth = 0.12 } = obstacle.def
+    const hub = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.18, 0.5, 16), wallMat)
+    hub.position.y = 0.25
+    hub.castShadow = true
+    group.add(hub)
+    for (let i = 0; i < blades; i++) {
+      const pivot = new THREE.Group()
+      pivot.rotation.y = (i / blades) * Math.PI * 2
+      const blade = new THREE.Mesh(new THREE.BoxGeometry(bladeLength, 0.08, bladeWidth), obstacleMat)
+      blade.position.set(bladeLength / 2, 0.35, 0)
+      blade.castShadow = true
+      pivot.add(blade)
+      group.add(pivot)
+    }
+  } else {
+    group.add(createWallMesh(obstacle.def.shape, obstacleMat))
+  }
+
+  return group
+}
+
+function syncObstacles() {
+  obstacleViews.forEach(({ obstacle, mesh }) => {
+    mesh.position.set(obstacle.x, obstacle.type === 'windmill' ? 0 : obstacle.y, obstacle.z)
+    mesh.rotation.y = obstacle.angle
+  })
+}
+
+// ── Course editor ──
+
+function openEditor() {
+  if (editing || ar?.session || physics.moving || game.is('hole-complete') || replayPlayer || isNetRound()) return
+  // Back from a test play: carry on with the same draft
+  if (!editor || courses !== editorPlaytest) {
+    editor = new CourseEditor({ meta: courseMeta, holes: courses })
+    editor.on('load', renderEditor)
+    editor.on('change', renderEditor)
+    editor.on('select', renderEditorHandles)
+    editor.holeIndex = currentHole
+  }
+  editing = true
+  botTurn = null
+  input.cancel()
+  director.stop()
+  clearCaddyLine()
+  document.body.classList.add('editing')
+  document.getElementById('editor-btn').setAttribute('aria-pressed', 'true')
+  balls.forEach((b) => { b.visible = false })
+  ball.visible = true
+  renderEditor()
+}
+
+// Leave the editor; `restore` puts the round's hole back on the green
+function closeEditor({ restore = true } = {}) {
+  if (!editing) return
+  if (editorDrag) onEditorPointerUp()
+  editing = false
+  editor.select(-1)
+  document.body.classList.remove('editing')
+  document.getElementById('editor-btn').setAttribute('aria-pressed', 'false')
+  if (restore) loadCourse(currentHole, { flyover: false })
+}
+
+function renderEditor() {
+  const course = editor.hole
+  renderHole(course)
+  ball.position.set(course.ballStart[0], course.ballStart[1] + physics.getHeight(course.ballStart[0], course.ballStart[2]), course.ballStart[2])
+
+  // Dotted paths show where the moving obstacles sweep
+  obstacleViews.forEach(({ obstacle }) => {
+    const path = obstacle.animator.createDebugVisualization(courseRoot, { color: 0xc084fc, count: 48, size: 0.03 })
+    path.userData.courseElement = true
+    path.userData.ownMaterial = true // a new material every call
+  })
+  renderEditorHandles()
+
+  document.getElementById('hole-label').textContent = `Editing hole ${editor.holeIndex + 1}/${editor.holes.length}: ${course.label}`
   document.getElementById('par-label').textContent = `Par ${course.par}`
-  score.currentStrokes = 0
+  // Leave the field being typed in alone
+  const fields = { 'editor-name': editor.meta.name ?? '', 'editor-label': course.label, 'editor-par': course.par }
+  Object.entries(fields).forEach(([id, value]) => {
+    const el = document.getElementById(id)
+    if (document.activeElement !== el) el.value = value
+  })
+  // Reachability needs a distance field; wait for the drag to end
+  if (!editorDrag) updateEditorStatus()
+}
+
+// Outline and drag handles for the selected wall
+function renderEditorHandles() {
+  if (editorHandles) {
+    courseRoot.remove(editorHandles)
+    disposeCourseElement(editorHandles)
+    editorHandles = null
+  }
+  const wall = editor.selectedWall
+  document.getElementById('editor-delete').disabled = !wall
+  if (!wall) return
+
+  const y = (wall.size?.[1] ?? wall.height ?? DEFAULT_WALL_HEIGHT) + 0.02
+  const { resize, rotate } = getWallHandles(wall)
+  editorHandles = new THREE.Group()
+  const outline = getWallPoints(wall).map(([x, z]) => new THREE.Vector3(x, y, z))
+  editorHandles.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(outline), editorMat))
+  const resizeHandle = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.1, 0.1), editorHandleMat)
+  resizeHandle.position.set(resize[0], y, resize[1])
+  const rotateHandle = new THREE.Mesh(new THREE.SphereGeometry(0.06, 12, 12), editorHandleMat)
+  rotateHandle.position.set(rotate[0], y, rotate[1])
+  editorHandles.add(resizeHandle, rotateHandle)
+  courseRoot.add(editorHandles)
+}
+
+// Validation errors (any hole) first, then whether this hole can be holed at all
+function updateEditorStatus() {
+  const errors = editor.getErrors()
+  const problems = errors.length ? errors : findLayoutProblems(editor.hole)
+  const el = document.getElementById('editor-status')
+  el.textContent = problems.length ? problems.slice(0, 2).join('; ') : 'Playable'
+  el.classList.toggle('error', problems.length > 0)
+}
+
+function setEditorTool(tool) {
+  editorTool = tool
+  document.querySelectorAll('[data-editor-tool]').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.editorTool === tool)
+    btn.setAttribute('aria-pressed', String(btn.dataset.editorTool === tool))
+  })
+}
+
+// Play the hole on the bench as a one-hole round; drafts keep their own history
+function testPlayEditor() {
+  const errors = editor.getErrors()
+  if (errors.length) {
+    showToast(errors[0], 4000)
+    return
+  }
+  const course = editor.toCourse()
+  course.holes = [course.holes[editor.holeIndex]]
+  course.meta.id = `editor:${course.meta.id || course.meta.name}`
+  closeEditor({ restore: false })
+  setCourses(course)
+  editorPlaytest = courses
+  updateHistoryDisplay()
+}
+
+function exportEditorCourse() {
+  const errors = editor.getErrors()
+  downloadFile(`${getEditorFileName()}.json`, editor.exportJSON(), 'application/json')
+  if (errors.length) showToast(`Exported, but it won't load yet: ${errors[0]}`, 4000)
+}
+
+// The hole being edited as a GLB (green, walls, cup, surfaces and obstacle paths) for other 3D tools
+function exportEditorModel() {
+  const model = new THREE.Group()
+  courseRoot.children.filter((c) => c.userData?.courseElement).forEach((c) => model.add(c.clone()))
+  exportGLTF(model)
+    .then((glb) => downloadFile(`${getEditorFileName()}-hole-${editor.holeIndex + 1}.glb`, glb, 'model/gltf-binary'))
+    .catch((err) => showToast(`Could not export the model: ${err.message}`, 4000))
+}
+
+function getEditorFileName() {
+  const name = (editor.meta.name || 'course').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  return name || 'course'
+}
+
+// Pointer → point on the green (y = 0), or null when looking past the horizon
+function getGroundPoint(e) {
+  const rect = renderer.domElement.getBoundingClientRect()
+  pointer.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1)
+  raycaster.setFromCamera(pointer, camera)
+  const hit = raycaster.ray.intersectPlane(groundPlane, new THREE.Vector3())
+  return hit ? [hit.x, hit.z] : null
+}
+
+// Angle of (x, z) around a centre, in the degrees a box wall's rotation uses
+function getEditorAngle([cx, cz], [x, z]) {
+  return (Math.atan2(-(z - cz), x - cx) * 180) / Math.PI
+}
+
+function onEditorPointerDown(e) {
+  const p = getGroundPoint(e)
+  if (!p) return
+  const [x, z] = p
+  const course = editor.hole
+  const near = (q, r) => Math.hypot(q[0] - x, q[1] - z) < r
+
+  if (editorTool === 'tee') editor.setTee(x, z)
+  else if (editorTool === 'cup') editor.setCup(x, z)
+  else if (editorTool === 'wall') editorDrag = { type: 'draw', from: p, to: p }
+  else {
+    // Handles of the selected wall, then the tee and cup, then any wall
+    const handles = editor.selectedWall && getWallHandles(editor.selectedWall)
+    if (handles && near(handles.resize, 0.15)) editorDrag = { type: 'resize' }
+    else if (handles && near(handles.rotate, 0.15)) editorDrag = { type: 'rotate', start: getEditorAngle(handles.center, p), turned: 0 }
+    else if (near([course.ballStart[0], course.ballStart[2]], 0.2)) editorDrag = { type: 'tee' }
+    else if (near([course.holePos[0], course.holePos[2]], 0.25)) editorDrag = { type: 'cup' }
+    else {
+      const index = pickWall(course, x, z)
+      editor.select(index)
+      if (index >= 0) {
+        const [cx, cz] = getWallCenter(course.walls[index])
+        editorDrag = { type: 'move', dx: cx - x, dz: cz - z }
+      }
+    }
+  }
+  // Empty green: leave the drag to the orbit controls
+  if (editorDrag) controls.enabled = false
+}
+
+function onEditorPointerMove(e) {
+  if (!editorDrag) return
+  const p = getGroundPoint(e)
+  if (!p) return
+  const [x, z] = p
+  const index = editor.selected
+
+  if (editorDrag.type === 'draw') {
+    editorDrag.to = p
+    updateEditorGhost(editorDrag.from, p)
+  } else if (editorDrag.type === 'move') {
+    editor.moveWall(index, x + editorDrag.dx, z + editorDrag.dz)
+  } else if (editorDrag.type === 'resize') {
+    // Sizes are symmetric about the centre, measured along the wall's own axes
+    const wall = editor.selectedWall
+    const [cx, cz] = getWallCenter(wall)
+    const rad = (wall.type || 'box') === 'box' ? ((wall.rotation || 0) * Math.PI) / 180 : 0
+    const [lx, lz] = rotateXZ(x - cx, z - cz, -rad)
+    editor.resizeWall(index, Math.abs(lx) * 2, Math.abs(lz) * 2)
+  } else if (editorDrag.type === 'rotate') {
+    // Whole degrees, or 15° steps with Shift held
+    const { center } = getWallHandles(editor.selectedWall)
+    let delta = getEditorAngle(center, p) - editorDrag.start
+    delta = ((delta + 540) % 360) - 180
+    const target = e.shiftKey ? Math.round(delta / 15) * 15 : Math.round(delta)
+    editor.rotateWall(index, target - editorDrag.turned)
+    editorDrag.turned = target
+  } else if (editorDrag.type === 'tee') {
+    editor.setTee(x, z)
+  } else if (editorDrag.type === 'cup') {
+    editor.setCup(x, z)
+  }
+}
+
+function onEditorPointerUp() {
+  if (!editorDrag) return
+  const drag = editorDrag
+  editorDrag = null
+  controls.enabled = true
+  if (drag.type === 'draw') {
+    updateEditorGhost(null)
+    const [fx, fz] = drag.from
+    const [tx, tz] = drag.to
+    if (Math.hypot(tx - fx, tz - fz) > 0.1) editor.addWall(drag.from, drag.to)
+  }
+  updateEditorStatus()
+}
+
+// Line from the drag start while a new wall is being drawn (null clears it)
+function updateEditorGhost(from, to) {
+  if (!from) {
+    if (editorGhost) {
+      courseRoot.remove(editorGhost)
+      editorGhost.geometry.dispose()
+      editorGhost = null
+    }
+    return
+  }
+  const points = [from, to].map(([x, z]) => new THREE.Vector3(x, DEFAULT_WALL_HEIGHT / 2, z))
+  if (!editorGhost) {
+    editorGhost = new THREE.Line(new THREE.BufferGeometry(), editorMat)
+    courseRoot.add(editorGhost)
+  }
+  editorGhost.geometry.setFromPoints(points)
+}
+
+// Delete/Backspace removes the selected wall, R turns it 15° (Shift+R back), Esc deselects
+function onEditorKey(e) {
+  if (!editing || e.target.closest?.('input, select, textarea')) return
+  if ((e.key === 'Delete' || e.key === 'Backspace') && editor.selectedWall) {
+    e.preventDefault()
+    editor.removeWall()
+  } else if (e.key.toLowerCase() === 'r' && editor.selectedWall) {
+    editor.rotateWall(editor.selected, e.shiftKey ? -15 : 15)
+  } else if (e.key === 'Escape') {
+    editor.select(-1)
+  }
+}
+
+// ── AR ──
+
+async function startAR() {
+  if (!ar || ar.session || editing || replayPlayer) return
+  const overlay = document.getElementById('ar-overlay')
+  let session
+  try {
+    session = await ar.start({ domOverlay: overlay })
+  } catch (err) {
+    console.error(err)
+    showToast('Could not start AR — staying in 3D view', 3000)
+    return
+  }
+  renderer.xr.setReferenceSpaceType(ar.referenceSpaceType)
+  try {
+    await renderer.xr.setSession(session)
+  } catch (err) {
+    // The session is open but the renderer can't present it: close it rather than leave AR half-started
+    console.error(err)
+    ar.end()
+    onAREnd()
+    showToast('Could not start AR — staying in 3D view', 3000)
+    return
+  }
+
+  // Camera feed instead of the backdrop; the course floats until placed
+  scene.background = null
+  scene.fog = null
+  floor.visible = false
+  input.cancel()
+  director.stop()
+  controls.enabled = false
+  document.body.classList.add('ar')
+  overlay.appendChild(document.getElementById('toast'))
+  ar.setCourseBounds(getCourseBounds(courses[currentHole].walls))
   updateStrokeDisplay()
+}
 
-  // AI caddy course intro
-  const intro = getCourseIntro(course.label)
-  updateCaddyTip(intro)
+function onAREnd() {
+  scene.background = new THREE.Color(0x08080f)
+  scene.fog = new THREE.Fog(0x08080f, 15, 35)
+  scene.position.set(0, 0, 0)
+  scene.rotation.set(0, 0, 0)
+  scene.scale.setScalar(1)
+  scene.visible = true
+  floor.visible = true
+  controls.enabled = true
+  hideAim()
+  document.body.classList.remove('ar')
+  document.body.appendChild(document.getElementById('toast'))
+}
+
+// The whole scene is the course root in AR
+function applyARTransform({ position, yaw, scale, visible }) {
+  if (!ar.session) return
+  scene.position.set(...position)
+  scene.rotation.y = yaw
+  scene.scale.setScalar(scale)
+  scene.visible = visible
+}
+
+function updateARHint({ state }) {
+  const hints = {
+    starting: 'Starting AR…',
+    placing: 'Point at a floor or table, then tap to place the course',
+    placed: 'Drag back from anywhere and release to shoot',
+  }
+  document.getElementById('ar-hint').textContent = hints[state] ?? ''
+  document.getElementById('ar-reposition').disabled = state !== 'placed'
+}
+
+// AR drags are in course units on the green: pull back, the ball goes the other way
+function getARShot({ from, to }) {
+  const dx = to.x - from.x
+  const dz = to.z - from.z
+  const drag = Math.hypot(dx, dz)
+  if (drag < AR_MIN_DRAG) return null
+  return { dirX: -dx / drag, dirZ: -dz / drag, power: Math.min(drag / AR_FULL_DRAG, 1) }
+}
+
+function onARAim(aim) {
+  if (!isAiming) {
+    if (!canAim()) return
+    isAiming = true
+  }
+  const shot = getARShot(aim)
+  if (!shot) {
+    hideAim()
+    return
+  }
+  showAim(shot.dirX, shot.dirZ, shot.power)
+}
+
+function onARShoot(aim) {
+  if (!isAiming) return
+  isAiming = false
+  hideAim()
+  const shot = getARShot(aim)
+  if (!shot) return
+  const speed = shot.power * maxPower * 0.5
+  playShot(shot.dirX * speed, shot.dirZ * speed)
 }
 
 // ── Input ──
 function onPointerDown(e) {
-  if (ballMoving) return
+  if (editing) {
+    onEditorPointerDown(e)
+    return
+  }
+  if (director.skip()) return
+  input.pointerDown(e.clientX, e.clientY, e.button)
+}
+
+function onPointerMove(e) {
+  if (editing) onEditorPointerMove(e)
+  input.pointerMove(e.clientX, e.clientY)
+}
+
+function onPointerUp(e) {
+  if (editing) onEditorPointerUp()
+  input.pointerUp(e.button)
+}
+
+// Gate for every kind of input; a press during the hole intro skips it instead
+function canBeginAim() {
+  if (editing || isAiming || renderer.xr.isPresenting || game.paused || mode !== golfMode) return false
+  if (director.skip()) return false
+  return canAim()
+}
+
+// Keyboard, gamepad and one-switch aims start pointing at the cup
+function getAngleToHole() {
+  const [hx, , hz] = courses[currentHole].holePos
+  return Math.atan2(hz - physics.position.z, hx - physics.position.x)
+}
+
+function onAimStart() {
   isAiming = true
-  aimStart.set(e.clientX, e.clientY)
-  aimCurrent.copy(aimStart)
   controls.enabled = false
 
   // AI caddy shot setup analysis
-  const course = COURSES[currentHole]
-  const tip = analyzeShotSetup(ball.position, course.holePos, course.walls)
+  const course = courses[currentHole]
+  const tip = analyzeShotSetup(ball.position, course.holePos, course.walls, course.surfaces)
   updateCaddyTip(tip)
 }
 
-function onPointerMove(e) {
-  if (!isAiming) return
-  aimCurrent.set(e.clientX, e.clientY)
+// A drag too short to count has no direction
+function onAimChange({ dirX, dirZ, power }) {
+  if (!dirX && !dirZ) hideAim()
+  else showAim(dirX, dirZ, power)
+}
 
-  const dx = aimCurrent.x - aimStart.x
-  const dy = aimCurrent.y - aimStart.y
-  const drag = Math.sqrt(dx * dx + dy * dy)
+function onAimShoot({ dirX, dirZ, power }) {
+  onAimEnd()
+  const speed = power * maxPower * 0.5
+  playShot(dirX * speed, dirZ * speed)
+}
 
-  if (drag > 10) {
-    // Show aim arrow
-    const angle = Math.atan2(dy, dx)
-    const power = Math.min(drag / 100, 1)
+function onAimEnd() {
+  isAiming = false
+  controls.enabled = true
+  hideAim()
+}
 
-    aimArrow.position.copy(ball.position)
-    aimArrow.position.y = 0.15
-    // Arrow points opposite to drag direction (pull back to shoot forward)
-    aimArrow.rotation.y = -angle + Math.PI / 2
-    aimArrow.scale.setScalar(0.5 + power * 1.5)
-    aimArrow.visible = true
+// Aim arrow along the launch direction, the power bar and (when on) the path preview
+function showAim(dirX, dirZ, power) {
+  aimArrow.position.copy(ball.position)
+  aimArrow.position.y = 0.15
+  aimArrow.rotation.y = Math.atan2(-dirZ, dirX)
+  aimArrow.scale.setScalar(0.5 + power * 1.5)
+  aimArrow.visible = true
+  const speed = power * maxPower * 0.5
+  aimShot = { vx: dirX * speed, vz: dirZ * speed }
+
+  const powerEl = document.getElementById('power-fill')
+  powerEl.style.width = `${power * 100}%`
+  powerEl.style.background = power > 0.7 ? '#ff4466' : power > 0.4 ? '#ffc828' : '#00edaf'
+}
 
-    // Update power bar
-    const powerEl = document.getElementById('power-fill')
-    powerEl.style.width = `${power * 100}%`
-    powerEl.style.background = power > 0.7 ? '#ff4466' : power > 0.4 ? '#ffc828' : '#00edaf'
+function hideAim() {
+  aimArrow.visible = false
+  aimShot = null
+  previewDots.visible = false
+  document.getElementById('power-fill').style.width = '0%'
+}
+
+// Can the local player start an aim right now?
+function canAim() {
+  if (!game.is('aiming') || replayPlayer || !physics.inPlay) return false
+  if (!isMyTurn()) {
+    showToast(`${score.currentPlayer.name} is playing`, 1500)
+    return false
   }
+  return true
 }
 
-function onPointerUp() {
-  if (!isAiming) return
-  controls.enabled = true
+// A stroke by the local player: shared with the room, then played here
+function playShot(vx, vz) {
+  if (isNetRound()) {
+    net.sendShot({ x: physics.position.x, z: physics.position.z, vx, vz, time: physics.time, hole: currentHole, player: score.turn })
+  }
+  launchShot(vx, vz)
+}
 
-  const dx = aimCurrent.x - aimStart.x
-  const dy = aimCurrent.y - aimStart.y
-  const drag = Math.sqrt(dx * dx + dy * dy)
+// Play a stroke from the active ball (local or received from the room)
+function launchShot(vx, vz) {
+  clearCaddyLine()
+  recorder.record(physics, vx, vz)
+  physics.launch(vx, vz)
+  audio.putt(Math.hypot(vx, vz) / (maxPower * 0.5))
+  game.go('rolling')
+  if (followCam && canDirect()) director.follow(ball)
 
-  if (drag > 10) {
-    const power = Math.min(drag / 100, 1) * maxPower
-    const angle = Math.atan2(dy, dx)
+  score.addStroke()
+  updateStrokeDisplay()
+}
 
-    // Launch ball opposite to drag direction
-    ballVelocity.x = -Math.cos(angle) * power * 0.5
-    ballVelocity.z = Math.sin(angle) * power * 0.5
-    ballVelocity.y = 0
-    ballMoving = true
+// ── Input settings ──
 
-    score.addStroke()
-    updateStrokeDisplay()
+const INPUT_KIND_HINTS = {
+  pointer: 'Sensitivity: less drag for full power',
+  keyboard: 'Sensitivity: turn and meter speed',
+  gamepad: 'Sensitivity: d-pad turn and meter speed',
+  switch: 'Sensitivity: aim sweep and meter speed',
+}
+const SWITCH_STAGE_HINTS = {
+  idle: 'press to aim',
+  aim: 'aim sweeping — press to lock it',
+  power: 'power meter running — press to shoot',
+}
 
-    // AI caddy shot tip (delayed until ball stops)
-    const course = COURSES[currentHole]
-    setTimeout(() => {
-      if (!ballMoving) {
-        const tip = analyzeStroke(ball.position, course.holePos, score.currentStrokes, course.par)
-        updateCaddyTip(tip)
-      }
-    }, 2000)
+function loadInputSettings() {
+  try {
+    return JSON.parse(settingsStorage?.getItem(INPUT_SETTINGS_KEY)) || {}
+  } catch {
+    return {}
   }
+}
 
-  isAiming = false
-  aimArrow.visible = false
-  document.getElementById('power-fill').style.width = '0%'
+function saveInputSettings() {
+  settingsStorage?.setItem(INPUT_SETTINGS_KEY, JSON.stringify(input.settings))
+}
+
+// Settings for the selected kind of input: one button per action shows its
+// keys; clicking it binds the next key or button pressed
+function renderInputPanel() {
+  const settings = input.settings[inputKind]
+  const capture = input.capturing
+  document.getElementById('input-kind').value = inputKind
+  document.getElementById('input-one-switch').checked = input.settings.oneSwitch
+  const sensitivity = document.getElementById('input-sensitivity')
+  sensitivity.value = String(settings.sensitivity)
+  sensitivity.title = INPUT_KIND_HINTS[inputKind]
+  document.getElementById('input-sensitivity-value').textContent = `${settings.sensitivity}×`
+
+  const list = document.getElementById('input-bindings')
+  list.replaceChildren(...INPUT_ACTIONS[inputKind].map((action) => {
+    const row = document.createElement('div')
+    row.className = 'input-binding'
+    const label = document.createElement('span')
+    label.textContent = action
+    const btn = document.createElement('button')
+    btn.className = 'ctrl-btn'
+    const waiting = capture?.kind === inputKind && capture.action === action
+    btn.textContent = waiting ? 'Press…' : settings.bindings[action].map(describeToken).join(' / ') || '—'
+    btn.setAttribute('aria-label', `${action}: ${btn.textContent}. Activate to rebind`)
+    btn.onclick = () => {
+      input.captureBinding(inputKind, action)
+      renderInputPanel()
+      announce(`Press a key or button for ${action}, or Escape to keep it`)
+    }
+    row.append(label, btn)
+    return row
+  }))
+  updateAimHint()
+}
+
+function updateAimHint() {
+  document.querySelector('.aim-hint').textContent = input.settings.oneSwitch
+    ? `one switch: ${SWITCH_STAGE_HINTS[input.stage]} • hold to cancel`
+    : 'click + drag to aim • pull back to shoot • or arrows + hold Space'
+}
+
+function onSwitchStage({ stage }) {
+  updateAimHint()
+  if (stage !== 'idle') announce(SWITCH_STAGE_HINTS[stage])
+}
+
+// Keys typed into a field are the field's, not the game's; so are Space and
+// Enter on a button reached with the keyboard (a clicked one keeps focus too,
+// but isn't :focus-visible)
+function ownsKey(target, code) {
+  if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return true
+  return (code === 'Space' || code === 'Enter') && target?.tagName === 'BUTTON' && target.matches(':focus-visible')
+}
+
+// ── Shot preview ──
+
+function setPreviewMode(mode) {
+  previewMode = mode
+  const btn = document.getElementById('preview-btn')
+  btn.textContent = PREVIEW_LABELS[mode]
+  btn.classList.toggle('active', mode !== 'off')
+  btn.setAttribute('aria-pressed', String(mode !== 'off'))
+  if (mode === 'off') previewDots.visible = false
+}
+
+// Once a frame while aiming: simulate the aimed shot and lay the dots on the
+// ground (the preview skips the simulation when the aim hasn't changed)
+function updateShotPreview() {
+  if (!shotPreview) shotPreview = new ShotPreview(courses[currentHole], { physics: getSolverOptions().physics, maxDots: PREVIEW_MAX_DOTS })
+  const result = shotPreview.predict(physics.position, aimShot.vx, aimShot.vz, {
+    time: physics.time,
+    bounces: PREVIEW_LENGTHS[previewMode],
+    budget: PREVIEW_BUDGET,
+  })
+  previewDots.visible = true
+  if (result === previewDrawn) return
+  previewDrawn = result
+
+  const dots = shotPreview.dots
+  const positions = previewDots.geometry.attributes.position
+  for (let i = 0; i < result.count; i++) {
+    const x = dots[i * 2]
+    const z = dots[i * 2 + 1]
+    positions.setXYZ(i, x, physics.getHeight(x, z) + 0.03, z)
+  }
+  positions.needsUpdate = true
+  previewDots.geometry.setDrawRange(0, result.count)
+  // Red when the line ends in the water
+  previewDots.material.color.setHex(result.hazard ? 0xff4466 : 0xffffff)
+}
+
+// ── Sound ──
+
+function loadAudioSettings() {
+  try {
+    const { volume, muted } = JSON.parse(settingsStorage?.getItem(AUDIO_SETTINGS_KEY)) || {}
+    return { volume: typeof volume === 'number' ? volume : 0.8, muted: muted === true }
+  } catch {
+    return {}
+  }
+}
+
+function saveAudioSettings() {
+  settingsStorage?.setItem(AUDIO_SETTINGS_KEY, JSON.stringify({ volume: audio.volume, muted: audio.muted }))
+  updateAudioControls()
+}
+
+function updateAudioControls() {
+  const btn = document.getElementById('mute-btn')
+  const silent = !audio.audible
+  btn.innerHTML = silent ? '&#128263;' : '&#128266;'
+  btn.classList.toggle('active', audio.muted)
+  btn.setAttribute('aria-pressed', String(audio.muted))
+  btn.setAttribute('aria-label', audio.muted ? 'Unmute sound' : 'Mute sound')
+  document.getElementById('volume').value = String(audio.volume)
 }
 
 // ── Physics ──
 function updatePhysics(dt) {
-  if (!ballMoving) return
-
-  const speed = ballVelocity.length()
-  if (speed < 0.01) {
-    ballVelocity.set(0, 0, 0)
-    ballMoving = false
-    checkHole()
-    return
+  const wasMoving = physics.moving
+  physics.update(dt)
+  syncObstacles()
+  // The time-trial clock runs only while the player is at the ball
+  if (physics.inPlay && game.is('aiming', 'rolling')) {
+    score.tick(dt)
+    if (score.scoring.id === 'time') updateStrokeDisplay()
   }
+  if (!physics.inPlay || (!wasMoving && !physics.moving)) return
 
-  // Apply velocity
-  ball.position.x += ballVelocity.x * dt
-  ball.position.z += ballVelocity.z * dt
-  ball.position.y = 0.12 // Keep on ground
+  // Render between fixed steps so motion stays smooth at any frame rate
+  physics.getRenderPosition(renderPos)
+  ball.position.set(renderPos.x, physics.radius + physics.getHeight(renderPos.x, renderPos.z), renderPos.z)
 
-  // Ball rotation (visual only)
-  ball.rotation.x += ballVelocity.z * dt * 5
-  ball.rotation.z -= ballVelocity.x * dt * 5
+  const surface = physics.getSurfaceAt(physics.position.x, physics.position.z)
+  audio.roll(physics.moving && !game.paused ? physics.speed : 0, surface?.type)
 
-  // Friction
-  ballVelocity.multiplyScalar(friction)
+  // Ball rotation (visual only)
+  ball.rotation.x += physics.velocity.z * dt * 5
+  ball.rotation.z -= physics.velocity.x * dt * 5
 
-  // Wall collisions
-  const course = COURSES[currentHole]
-  course.walls.forEach((w) => {
-    const halfX = w.size[0] / 2
-    const halfZ = w.size[2] / 2
-    const bx = ball.position.x
-    const bz = ball.position.z
-    const br = 0.12
-
-    // Check collision
-    const closestX = Math.max(w.pos[0] - halfX, Math.min(bx, w.pos[0] + halfX))
-    const closestZ = Math.max(w.pos[2] - halfZ, Math.min(bz, w.pos[2] + halfZ))
-    const distX = bx - closestX
-    const distZ = bz - closestZ
-    const dist = Math.sqrt(distX * distX + distZ * distZ)
-
-    if (dist < br) {
-      // Bounce
-      if (Math.abs(distX) > Math.abs(distZ)) {
-        ballVelocity.x *= -0.7
-        ball.position.x = closestX + Math.sign(distX) * br
-      } else {
-        ballVelocity.z *= -0.7
-        ball.position.z = closestZ + Math.sign(distZ) * br
-      }
-    }
-  })
+  if (wasMoving && !physics.moving && game.is('rolling')) checkHole()
 }
 
 function checkHole() {
-  const course = COURSES[currentHole]
+  const course = courses[currentHole]
   const hx = course.holePos[0]
   const hz = course.holePos[2]
   const dist = Math.sqrt((ball.position.x - hx) ** 2 + (ball.position.z - hz) ** 2)
+  const who = score.isMultiplayer ? `${score.currentPlayer.name}: ` : ''
+  let finished = false
 
   if (dist < 0.25) {
     // Ball in hole!
     ball.position.set(hx, -0.1, hz) // sink ball
-    ballMoving = false
+    physics.sink()
+    ballSpots[score.turn].inCup = true
 
     const entry = score.scoreHole(course.par)
     const reaction = getScoreReaction(entry.term)
-    showToast(reaction, 4000)
+    showToast(who + reaction, 4000)
+    announceScore(who, entry)
+    if (canDirect()) director.celebrate(course.holePos)
+    audio.cupDrop()
+    audio.scoreCue(entry.term)
 
     if (navigator.vibrate) navigator.vibrate([50, 50, 100])
+    finished = true
+  } else if (score.reachedStrokeLimit) {
+    const entry = score.pickUp(course.par)
+    audio.scoreCue(entry.term)
+    showToast(`${who}Stroke limit reached — ball picked up`, 2500)
+    announceScore(who, entry)
+    ballSpots[score.turn].inCup = true
+    ball.visible = false
+    finished = true
+  }
+  if (director.shot === 'follow') director.release()
+
+  // Give the toast a moment before the next turn (or hole); online guests
+  // hand over on the host's snapshot, which is already paced
+  if (finished && !isNetGuest()) {
+    game.go('hole-complete')
+    game.wait(1.5, advanceTurn)
+  } else {
+    // AI caddy read on where the stroke left the ball
+    if (!finished) updateCaddyTip(analyzeStroke(ball.position, course.holePos, score.currentStrokes, course.par))
+    advanceTurn()
+  }
+}
 
-    // Next hole after delay
-    setTimeout(() => {
-      if (currentHole < COURSES.length - 1) {
-        loadCourse(currentHole + 1)
-      } else {
-        showToast(`Game over! Total: ${score.totalScore} (${score.totalDiff >= 0 ? '+' : ''}${score.totalDiff})`, 6000)
-      }
-    }, 1500)
+// Hand the green to whoever plays next, or move on once everyone is done
+function advanceTurn() {
+  if (replayPlayer) {
+    game.wait(0.5, advanceTurn)
+    return
+  }
+  // Online guests wait for the host's snapshot to hand over the turn
+  if (isNetGuest()) {
+    game.go('hole-complete')
+    pumpNet()
+    return
+  }
+  const course = courses[currentHole]
+  if (!ballSpots[score.turn].inCup) {
+    ballSpots[score.turn].x = physics.position.x
+    ballSpots[score.turn].z = physics.position.z
+  }
+
+  const distances = ballSpots.map((spot) => Math.hypot(spot.x - course.holePos[0], spot.z - course.holePos[2]))
+  const next = score.nextTurn(distances)
+  // Endless mode: there's always another hole
+  if (!next && endlessSeed && currentHole >= courses.length - 1) courses.push(generateHole(endlessSeed, courses.length))
+  const over = !next && currentHole >= courses.length - 1
+  if (next) {
+    activatePlayerBall(next.index)
+  } else if (!over) {
+    loadCourse(currentHole + 1)
+  } else {
+    showGameOver()
+  }
+
+  if (!over && seatVacated(score.turn)) {
+    forfeitTurn()
+    return
+  }
+  saveRoundProgress(over)
+  if (isNetRound()) net.sendScore(score, { hole: currentHole, balls: ballSpots.map((spot) => ({ ...spot })), over })
+  pumpNet()
+}
+
+function showGameOver() {
+  game.go('round-summary')
+  const { note } = getGolfSummary()
+  // The summary screen sits outside the AR overlay, so AR gets the result as a toast
+  if (ar?.session) showToast(note, 6000)
+  announce(note)
+}
+
+// The hole's result and the running total, for screen readers
+function announceScore(who, entry) {
+  const total = score.standings.find((row) => row.playerIndex === score.turn)
+  announce(`${who}${entry.term}, ${entry.score} on a par ${entry.par}.${total ? ` Total ${total.label}.` : ''}`)
+}
+
+// Point physics and the `ball` handle at a player's ball
+function activatePlayerBall(index) {
+  const spot = ballSpots[index]
+  ball = balls[index]
+  input.cancel()
+  if (!game.is('title')) game.go('aiming')
+  if (spot.inCup) physics.sink()
+  else physics.setPosition(spot.x, spot.z)
+  updateStrokeDisplay()
+  requestCaddyLine()
+  botTurn = null
+  if (bots[index] && !spot.inCup) startBotTurn(bots[index])
+}
+
+// ── Computer players ──
+
+// Solve for the pose obstacles will have when the bot shoots
+function startBotTurn(bot, thinkTime = BOT_THINK_TIME) {
+  const launchAt = physics.time + thinkTime
+  botTurn = {
+    bot,
+    launchAt,
+    readyAt: game.time + thinkTime,
+    solver: bot.createSolver(courses[currentHole], physics.position, { ...getSolverOptions(), time: launchAt }),
+  }
+  updateCaddyTip(`${bot.name} is lining up a shot…`)
+}
+
+function updateBotTurn() {
+  if (!game.is('aiming')) return
+  const solution = botTurn.solver.step(6)
+  if (!solution) return
+
+  // The obstacle clock only runs on holes with obstacles; elsewhere wait on the frame clock
+  const moving = physics.obstacles.length > 0
+  if (moving && physics.time > botTurn.launchAt + physics.timestep * 2) {
+    // Solved too late for that pose: aim again further ahead
+    startBotTurn(botTurn.bot, (physics.time - botTurn.launchAt) + BOT_THINK_TIME)
+    return
+  }
+  if (moving ? physics.time < botTurn.launchAt : game.time < botTurn.readyAt) return
+
+  const shot = botTurn.bot.execute(solution, maxPower * 0.5)
+  botTurn = null
+  launchShot(shot.vx, shot.vz)
+}
+
+// ── Caddy line ──
+
+// Start solving from the resting ball (only shown to whoever is putting)
+function requestCaddyLine() {
+  clearCaddyLine()
+  if (!caddyLineOn || physics.moving || !physics.inPlay || !isMyTurn()) return
+  caddySolver = new ShotSolver(courses[currentHole], physics.position, getSolverOptions())
+  updateCaddyTip('Reading the green…')
+}
+
+// Shot solver settings that match the live simulation
+function getSolverOptions() {
+  return {
+    time: physics.time,
+    maxSpeed: maxPower * 0.5,
+    physics: { radius: physics.radius, friction: physics.friction, restitution: physics.restitution, timestep: physics.timestep },
+  }
+}
+
+function updateCaddySolver() {
+  const solution = caddySolver.step(6)
+  if (!solution) return
+  caddySolver = null
+
+  const points = solution.path.map(([x, z]) => new THREE.Vector3(x, physics.getHeight(x, z) + 0.03, z))
+  caddyLine = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), caddyLineMat)
+  caddyLine.computeLineDistances()
+  courseRoot.add(caddyLine)
+  updateCaddyTip(describeShot(solution, physics.position, courses[currentHole].holePos))
+}
+
+function clearCaddyLine() {
+  caddySolver = null
+  if (!caddyLine) return
+  courseRoot.remove(caddyLine)
+  caddyLine.geometry.dispose()
+  caddyLine = null
+}
+
+// Jump to a saved or received round: hole, scorecard, turn and every ball spot
+function applyRoundState({ score: state, hole: holeIndex, balls: spots }) {
+  const rebuild = balls.length !== state.players.length
+  if (rebuild) {
+    balls.forEach((b) => courseRoot.remove(b))
+    balls = state.players.map((_, i) => createBallMesh(BALL_COLORS[i % BALL_COLORS.length]))
+  }
+  if (rebuild || holeIndex !== currentHole) loadCourse(holeIndex)
+  score.restore(state)
+
+  const course = courses[currentHole]
+  ballSpots = spots.map((spot) => ({ ...spot }))
+  ballSpots.forEach((spot, i) => {
+    if (spot.inCup) balls[i].position.set(course.holePos[0], -0.1, course.holePos[2])
+    else balls[i].position.set(spot.x, physics.radius + physics.getHeight(spot.x, spot.z), spot.z)
+  })
+  activatePlayerBall(score.turn)
+  renderScorecard()
+  updateTurnDisplay()
+}
+
+// ── Round history ──
+
+// Called at every turn handover: keep the round resumable, file it when over
+function saveRoundProgress(over) {
+  if (over) {
+    roundHistory.recordRound(score, { course: courseId })
+    roundHistory.clearProgress()
+  } else if (!isNetRound()) {
+    roundHistory.saveProgress({
+      course: courseId,
+      hole: currentHole,
+      score: score.toJSON(),
+      balls: ballSpots.map((spot) => ({ ...spot })),
+      bots: bots.map((bot) => bot?.level ?? null),
+    })
+  }
+  updateHistoryDisplay()
+}
+
+function resumeRound() {
+  const saved = roundHistory.loadProgress()
+  if (!saved || saved.course !== courseId || !courses[saved.hole]) return
+  if (editing || isNetRound() || physics.moving || game.is('hole-complete') || replayPlayer) return
+  bots = saved.score.players.map((p, i) => (saved.bots?.[i] ? new BotPlayer({ level: saved.bots[i], name: p.name }) : null))
+  applyRoundState(saved)
+  showToast(`Resumed on hole ${saved.hole + 1}`, 2000)
+  updateHistoryDisplay()
+}
+
+function updateHistoryDisplay() {
+  const saved = roundHistory.loadProgress()
+  const resumable = saved && saved.course === courseId && score.players.every((p) => !p.holes.length && !p.strokes)
+  document.getElementById('round-resume').hidden = !resumable
+
+  const best = roundHistory.getPersonalBest(courseId, { holeCount: courses.length })
+  document.getElementById('personal-best').textContent = best
+    ? `Best: ${best.player} ${best.score} (${best.diff >= 0 ? '+' : ''}${best.diff})`
+    : 'No finished rounds yet'
+}
+
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = name
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// ── Online play ──
+
+function isNetRound() {
+  return Boolean(net) && netSeats.length > 0
+}
+
+function isNetGuest() {
+  return isNetRound() && !net.isHost
+}
+
+// Offline (or before the host starts a round) anyone may play the active
+// ball, unless it belongs to a computer player
+function isMyTurn() {
+  if (bots[score.turn]) return false
+  return !isNetRound() || netSeats[score.turn] === net.clientId
+}
+
+// Host only: the player's client left the room for good
+function seatVacated(index) {
+  return isNetRound() && net.isHost && Boolean(netSeats[index]) && !net.members.some((m) => m.clientId === netSeats[index])
+}
+
+function forfeitTurn() {
+  const name = score.currentPlayer.name
+  score.pickUp()
+  ballSpots[score.turn].inCup = true
+  ball.visible = false
+  showToast(`${name} left — ball picked up`, 2500)
+  advanceTurn()
+}
+
+function goOnline(room, relayUrl, name) {
+  if (net) net.leave()
+  const url = relayUrl || `ws://${window.location.hostname || 'localhost'}:8787`
+  const playerName = name || document.getElementById('players-names').value.split(',')[0].trim() || 'Player'
+  // Keep the client id and its reconnect token across reloads so a refresh reclaims the seat
+  const clientId = sessionStorage.getItem('net-client-id') || undefined
+  const token = sessionStorage.getItem('net-token')
+  const session = new NetSession(new WebSocketTransport(url), { name: playerName, room, clientId, token })
+  net = session
+  netSeats = []
+  netInbox = []
+
+  session.on('members', updateNetStatus)
+  session.on('status', updateNetStatus)
+  session.on('host', ({ isHost }) => {
+    updateNetStatus()
+    if (!isHost) return
+    showToast('You are now the host', 2000)
+    // Finish a handover the old host never sent
+    if (game.is('hole-complete') && !physics.moving) advanceTurn()
+  })
+  session.on('member-leave', (member) => {
+    showToast(`${member.name} left`, 2000)
+    if (seatVacated(score.turn) && game.is('aiming', 'hole-intro')) forfeitTurn()
+  })
+  session.on('member-join', (member) => showToast(`${member.name} joined`, 2000))
+  session.on('start', applyNetStart)
+  session.on('shot', queueNet)
+  session.on('score', queueNet)
+  session.on('sync', syncNetHistory)
+
+  session.join()
+    .then(() => {
+      sessionStorage.setItem('net-client-id', session.clientId)
+      sessionStorage.setItem('net-token', session.token)
+      document.getElementById('net-room').value = session.room
+      const link = new URL(window.location.href)
+      link.searchParams.set('room', session.room)
+      window.history.replaceState(null, '', link)
+      showToast(`Room ${session.room}${session.isHost ? ' — share the code, then Start round' : ''}`, 4000)
+    })
+    .catch((err) => {
+      if (net === session) net = null
+      showToast(err.message || 'Could not reach the relay', 3000)
+      updateNetStatus()
+    })
+  updateNetStatus()
+}
+
+function startNetRound() {
+  if (!net.isHost) {
+    showToast('Waiting for the host to start', 2000)
+    return
+  }
+  if (physics.moving || game.is('hole-complete') || replayPlayer) return
+  const rules = getRoundRules()
+  const options = { turnOrder: document.getElementById('players-order').value, scoring: rules.scoring, maxStrokes: Number.isFinite(rules.maxStrokes) ? rules.maxStrokes : null }
+  net.startRound({ course: courseId, options })
+  applyNetStart({ players: net.members, course: courseId, options })
+}
+
+function applyNetStart({ players, course, options = {} }) {
+  if (course && course !== courseId && !loadCourseById(course)) showToast('The host is playing a different course', 3000)
+  if (replayPlayer) stopReplay()
+  physics.stop()
+  // A new round starts from wherever this client is, the title screen included
+  if (mode !== golfMode) selectMode(golfMode)
+  game.go('aiming')
+  netInbox = []
+  netSeats = players.map((p) => p.clientId)
+  setupPlayers(players.map((p) => p.name), { ...options, maxStrokes: options.maxStrokes ?? Infinity })
+}
+
+// Catch up on what the room broadcast before we (re)joined
+function syncNetHistory({ history, reconnected }) {
+  const messages = reconnected ? history.filter((m) => !m.own) : history
+  const start = messages.map((m) => m.kind).lastIndexOf('start')
+  let rest = messages.slice(start + 1)
+  if (start >= 0) applyNetStart(messages[start])
+  if (!reconnected) {
+    // The latest snapshot supersedes the shots before it
+    const snapshot = rest.map((m) => m.kind).lastIndexOf('score')
+    if (snapshot >= 0) rest = rest.slice(snapshot)
+  }
+  rest.forEach(queueNet)
+}
+
+function queueNet(msg) {
+  netInbox.push(msg)
+  pumpNet()
+}
+
+// Apply queued shots and snapshots in order once the green is idle
+function pumpNet() {
+  while (netInbox.length && !physics.moving && !game.is('rolling') && !replayPlayer) {
+    const msg = netInbox[0]
+    if (msg.kind === 'shot' && game.is('hole-complete')) return
+    netInbox.shift()
+    if (msg.kind === 'score') applyNetScore(msg)
+    else applyNetShot(msg)
+  }
+}
+
+function applyNetShot(msg) {
+  // Out of step (e.g. missed a snapshot); the host's next snapshot corrects it
+  if (msg.hole !== currentHole || msg.player !== score.turn) return
+  physics.setTime(msg.time)
+  physics.setPosition(msg.x, msg.z)
+  launchShot(msg.vx, msg.vz)
+}
+
+// The host's snapshot is authoritative: scorecard, turn and every ball spot
+function applyNetScore(msg) {
+  applyRoundState(msg)
+  if (msg.over) {
+    saveRoundProgress(true)
+    showGameOver()
   }
 }
 
+function updateNetStatus() {
+  const el = document.getElementById('net-status')
+  if (!net) {
+    el.textContent = ''
+    return
+  }
+  const online = net.members.filter((m) => m.connected).length
+  el.textContent = net.status === 'joined'
+    ? `Room ${net.room} · ${online} online${net.isHost ? ' · host' : ''}`
+    : net.status === 'reconnecting' ? 'Reconnecting…' : net.status === 'connecting' ? 'Connecting…' : 'Offline'
+}
+
+// ── Replays ──
+function openSharedReplay(code) {
+  let replay
+  try {
+    replay = decodeReplay(code)
+  } catch (err) {
+    console.error(err)
+    showToast('Could not read replay link', 3000)
+    return
+  }
+  if (replay.course !== courseId) loadCourseById(replay.course, Math.max(6, replay.hole + 1))
+  if (replay.course !== courseId || !courses[replay.hole]) {
+    showToast('This replay was recorded on a different course', 3000)
+    return
+  }
+  loadCourse(replay.hole)
+  replayFromLink = true
+  startReplay(replay)
+}
+
+function startReplay(replay) {
+  replayPlayer = new ReplayPlayer(replay, courses[replay.hole])
+  replayPlayer.on('complete', updateReplayBar)
+  replayPlayer.play()
+  input.cancel()
+  director.stop()
+  controls.enabled = false
+  document.getElementById('replay-bar').classList.add('show')
+  updateReplayBar()
+}
+
+function stopReplay() {
+  replayPlayer = null
+  controls.enabled = true
+  document.getElementById('replay-bar').classList.remove('show')
+
+  if (replayFromLink) {
+    // Shared replays are view-only; start the round from the first hole
+    replayFromLink = false
+    loadCourse(0)
+    return
+  }
+
+  // Put the live ball and obstacles back where the replay found them
+  physics.setTime(physics.time)
+  syncObstacles()
+  const course = courses[currentHole]
+  if (physics.inPlay) ball.position.set(physics.position.x, physics.radius + physics.getHeight(physics.position.x, physics.position.z), physics.position.z)
+  else ball.position.set(course.holePos[0], -0.1, course.holePos[2])
+  if (net) pumpNet()
+}
+
+function updateReplay(dt) {
+  const state = replayPlayer.update(dt)
+  ball.position.set(state.x, physics.radius + physics.getHeight(state.x, state.z), state.z)
+  physics.obstacles.forEach((o) => o.setTime(state.time))
+  syncObstacles()
+
+  if (followCam) {
+    // Keep the orbit offset while the target tracks the ball
+    const offset = camera.position.clone().sub(controls.target)
+    controls.target.lerp(ball.position, Math.min(1, dt * 4))
+    camera.position.copy(controls.target).add(offset)
+  }
+
+  document.getElementById('replay-scrub').value = String(state.progress)
+  if (replayPlayer.isPlaying) updateReplayBar()
+}
+
+function updateReplayBar() {
+  if (!replayPlayer) return
+  document.getElementById('replay-play').textContent = replayPlayer.isPlaying ? '❚❚' : '▶'
+  document.getElementById('replay-speed').textContent = replayPlayer.playbackRate === 1 ? '1×' : '¼×'
+  document.getElementById('replay-follow').classList.toggle('active', followCam)
+  const state = replayPlayer.getState()
+  document.getElementById('replay-info').textContent = `Shot ${state.shot + 1}/${replayPlayer.replay.shots.length}`
+}
+
 function updateStrokeDisplay() {
-  document.getElementById('stroke-count').textContent = `Strokes: ${score.currentStrokes}`
+  // Time trial shows the running hole clock next to the strokes
+  const clock = score.scoring.id === 'time' ? ` · ${score.currentPlayer.time.toFixed(1)}s` : ''
+  document.getElementById('stroke-count').textContent = `Strokes: ${score.currentStrokes}${clock}`
+  if (ar?.session) {
+    const course = courses[currentHole]
+    document.getElementById('ar-status').textContent = `Hole ${currentHole + 1} · Par ${course.par} · Strokes ${score.currentStrokes}${clock}`
+  }
+}
+
+function updateTurnDisplay() {
+  const el = document.getElementById('turn-label')
+  const you = isNetRound() && isMyTurn() ? ' (you)' : ''
+  el.textContent = score.isMultiplayer ? `${score.currentPlayer.name}${you} to play` : ''
+  el.style.color = `#${BALL_COLORS[score.turn % BALL_COLORS.length].toString(16).padStart(6, '0')}`
+}
+
+function updateTotals() {
+  const el = document.getElementById('total-score')
+  const standings = score.standings
+  if (!score.isMultiplayer) {
+    el.textContent = `Total: ${standings[0].label}`
+    return
+  }
+  el.replaceChildren(...standings.map((row) => {
+    const line = document.createElement('div')
+    line.textContent = `${row.rank}. ${row.player} ${row.label}`
+    return line
+  }))
 }
 
 function updateCaddyTip(tip) {
@@ -433,6 +2008,24 @@ function updateCaddyTip(tip) {
   }
 }
 
+// ── Camera ──
+
+// Scripted shots are for the orbit view: not in AR, the editor or replays
+function canDirect() {
+  return !renderer.xr.isPresenting && !editing && !replayPlayer
+}
+
+function updateSkipButton() {
+  document.getElementById('skip-intro').classList.toggle('show', director.shot === 'intro')
+}
+
+// Read out to screen readers through the live region (re-set, so a repeat is read again)
+function announce(msg) {
+  const el = document.getElementById('announcer')
+  el.textContent = ''
+  setTimeout(() => { el.textContent = msg }, 50)
+}
+
 function showToast(msg, duration = 3000) {
   const el = document.getElementById('toast')
   el.textContent = msg
@@ -440,18 +2033,223 @@ function showToast(msg, duration = 3000) {
   setTimeout(() => el.classList.remove('show'), duration)
 }
 
-function animate() {
-  requestAnimationFrame(animate)
-  const dt = clock.getDelta()
-  controls.update()
-  updatePhysics(dt)
+// ── Game flow ──
+
+// Mini golf, the kit's own game; the rest of this file is its implementation
+const golfMode = registerGameMode({
+  id: 'golf',
+  name: 'Mini golf',
+  description: 'Hole out in as few strokes as you can',
+  transitions: GOLF_TRANSITIONS,
+  firstState: 'hole-intro',
+  start: startGolfRound,
+  update: (ctx, dt) => updateGolf(dt),
+  stop: stopGolf,
+  enter: () => {
+    setHud({ title: 'Mini Golf' })
+    updateHoleLabel()
+    updateStrokeDisplay()
+  },
+  getSummary: getGolfSummary,
+  // Online the room keeps playing; the editor and AR have no pause screen
+  canPause: () => !isNetRound() && !editing && !renderer.xr.isPresenting,
+})
+
+// Play / Play again: a fresh round on the same course with the same players
+function startGolfRound() {
+  // Online, the host starts rounds for the whole room
+  if (isNetRound()) {
+    startNetRound()
+    return
+  }
+  if (replayPlayer) stopReplay()
+  physics.stop()
+  score.reset()
+  clearScorecard()
+  game.go('aiming')
+  loadCourse(0)
+  updateHistoryDisplay()
+}
+
+// Straight into the round a link set up, skipping the title
+function enterRound() {
+  game.go('aiming')
+  if (!replayPlayer) playHoleIntro()
+}
+
+// Back to the title mid-round; the round stays resumable from its last handover
+function stopGolf() {
+  if (replayPlayer) stopReplay()
+  input.cancel()
+  physics.stop()
+  audio.roll(0)
+  botTurn = null
+  director.stop()
+  clearCaddyLine()
+}
+
+function getGolfSummary() {
+  const standings = score.standings
+  const [winner, runnerUp] = standings
+  let note
+  if (!score.isMultiplayer) note = `Game over! Total: ${winner.label}`
+  else if (runnerUp.rank === winner.rank) note = `Game over! Tied at ${winner.label}`
+  else note = `Game over! ${winner.player} wins — ${winner.label}`
+  return {
+    title: 'Round complete',
+    rows: standings.map((row) => ({ label: `${row.rank}. ${row.player}`, value: row.label })),
+    note,
+  }
+}
+
+// Golf's frame: physics (or the editor / a replay), solvers, the shot preview and bots
+function updateGolf(dt) {
+  if (editing) {
+    // Obstacles keep moving so their sweep can be judged against the walls
+    physics.setTime(physics.time + dt)
+    syncObstacles()
+  } else if (replayPlayer) updateReplay(dt)
+  else updatePhysics(dt)
+  if (caddySolver && !replayPlayer && !editing) updateCaddySolver()
+  if (aimShot && previewMode !== 'off') updateShotPreview()
+  // Bots only play while aiming, so they sit out the hole intro like a player would
+  if (botTurn && !replayPlayer && !editing) updateBotTurn()
 
   // Animate flag
   if (hole) {
     const flag = hole.children[2]
     if (flag) {
-      flag.position.x = 0.25 + Math.sin(clock.getElapsedTime() * 3) * 0.02
+      flag.position.x = 0.25 + Math.sin(game.time * 3) * 0.02
+    }
+  }
+}
+
+// Put a mode on the field (from the title screen); the previous one is hidden
+function selectMode(next) {
+  if (next === mode) return
+  if (mode) {
+    const previous = getModeContext(mode)
+    mode.leave?.(previous)
+    previous.root.visible = false
+  }
+  mode = next
+  const ctx = getModeContext(mode)
+  ctx.root.visible = true
+  document.body.dataset.mode = mode.id
+  game.setTransitions(mode.transitions)
+  mode.enter?.(ctx)
+}
+
+function startMode(next) {
+  selectMode(next)
+  next.start(getModeContext(next))
+}
+
+function quitToTitle() {
+  mode.stop?.(getModeContext(mode))
+  game.go('title')
+}
+
+// Each mode gets its own root group; golf's is the course
+function getModeContext(m) {
+  if (!modeContexts.has(m.id)) {
+    let root = courseRoot
+    if (m !== golfMode) {
+      root = new THREE.Group()
+      root.visible = false
+      scene.add(root)
     }
+    modeContexts.set(m.id, {
+      root, game, scene, camera, controls, renderer, director, input, audio,
+      ui: { showToast, announce, setHud },
+    })
+  }
+  return modeContexts.get(m.id)
+}
+
+function pauseGame() {
+  if (game.is('round-summary') || mode.canPause?.(getModeContext(mode)) === false) return false
+  return game.pause()
+}
+
+function togglePause() {
+  return game.paused ? game.resume() : pauseGame()
+}
+
+// P or Escape, unless Escape already cancelled an aim, skipped an intro or left a field
+function onPauseKey(e) {
+  if (e.defaultPrevented || e.repeat || e.target.closest?.('input, select, textarea')) return
+  if (e.code !== 'KeyP' && e.key !== 'Escape') return
+  if (togglePause()) e.preventDefault()
+}
+
+// Screens follow the state through body[data-state]; focus moves into the one shown
+function onGameState() {
+  document.body.dataset.state = game.state
+  if (game.state === 'title') {
+    renderTitleScreen()
+    document.querySelector(`#title-modes [data-mode="${CSS.escape(mode.id)}"]`)?.focus()
+  } else if (game.state === 'round-summary') {
+    renderRoundSummary()
+    document.getElementById('summary-again').focus()
+  } else if (game.state === 'paused') {
+    document.getElementById('pause-resume').focus()
+  }
+}
+
+// Mode names and descriptions can come from plugins: text only, never markup
+function renderTitleScreen() {
+  document.getElementById('title-modes').replaceChildren(...listGameModes().map((m) => {
+    const btn = createText('button', `\u25B6 ${m.name}`, 'ctrl-btn screen-mode')
+    btn.dataset.mode = m.id
+    btn.append(createText('small', m.description ?? ''))
+    btn.onclick = () => startMode(getGameMode(m.id))
+    return btn
+  }))
+}
+
+// Labels carry player names (links, other room members, saved records): text only, never markup
+function renderRoundSummary() {
+  const { title, rows, boards = [], note = '' } = mode.getSummary(getModeContext(mode))
+  const renderRow = ({ label, value }) => {
+    const el = document.createElement('div')
+    el.className = 'summary-row'
+    el.append(createText('span', label), createText('span', value))
+    return el
+  }
+  document.getElementById('summary-heading').textContent = title
+  document.getElementById('summary-rows').replaceChildren(
+    ...rows.map(renderRow),
+    ...boards.flatMap((board) => [createText('h3', board.title, 'summary-board'), ...board.rows.map(renderRow)])
+  )
+  document.getElementById('summary-note').textContent = note
+}
+
+function createText(tag, text, className = '') {
+  const el = document.createElement(tag)
+  if (className) el.className = className
+  el.textContent = text
+  return el
+}
+
+// The HUD's title, detail pill and status line (golf keeps its own labels up to date)
+function setHud({ title, detail, status } = {}) {
+  if (title !== undefined) document.getElementById('hud-title').textContent = title
+  if (detail !== undefined) document.getElementById('hole-label').textContent = detail
+  if (status !== undefined) document.getElementById('stroke-count').textContent = status
+}
+
+// Runs from the renderer's animation loop, which hands over the XR frame in AR
+function animate(time, frame) {
+  // Game time: 0 while paused, so everything below holds still
+  const dt = game.tick(clock.getDelta())
+  if (frame && ar?.session) ar.update(frame)
+  input.update(dt)
+  mode.update(getModeContext(mode), dt)
+  if (!renderer.xr.isPresenting && !mode.ownsCamera) {
+    // The director drives the camera during its shots, OrbitControls otherwise
+    if (director.active) director.update(dt)
+    else controls.update()
   }
 
   renderer.render(scene, camera)
@@ -0,0 +1,312 @@
+/**
+ * AR session — an `immersive-ar` WebXR session that places the course on a
+ * real floor or table and turns screen taps into aim drags on the green.
+ * Pure session logic over a pluggable XR runtime: no Three.js, no DOM, so a
+ * mock runtime can drive it frame by frame in Node.
+ *
+ * Runtime interface (navigator.xr, or a mock with the same shape):
+ *   isSessionSupported(mode)             → Promise<boolean>
+ *   requestSession(mode, init)           → Promise<session>
+ * Session: requestReferenceSpace(type), requestHitTestSource({ space }),
+ *   addEventListener('select' | 'selectstart' | 'selectend' | 'end', fn), end()
+ * Frame (passed to update()): getViewerPose(space), getHitTestResults(source),
+ *   getPose(space, base), trackedAnchors (optional)
+ * Hit results: getPose(space), createAnchor() (optional, 'anchors' feature)
+ * Poses are { transform: { position: { x, y, z }, orientation: { x, y, z, w } } }.
+ *
+ * Flow: start() → 'placing' (the course previews on the surface under the
+ * screen centre) → a tap places it and anchors it → 'placed' (drags aim) →
+ * end(). Listen with on('state' | 'transform' | 'aim-start' | 'aim' | 'aim-end' | 'end' | 'error');
+ * 'error' carries { error } when start() fails, which also rejects.
+ */
+
+import { rotateXZ } from './wall-shapes.js'
+
+export const AR_MODE = 'immersive-ar'
+
+// Real-world width the course is fitted to, metres (zoom scales from there)
+export const AR_FIT_WIDTH = { table: 0.8, floor: 2.4 }
+
+// A hit above this height (local-floor space) counts as a table
+const TABLE_HEIGHT = 0.3
+// Surfaces whose normal is further than this from straight up are walls, not ground
+const MIN_UP = 0.8
+const ZOOM_RANGE = [0.25, 4]
+
+export class ARSession {
+  /**
+   * @param runtime  the XR runtime (defaults to navigator.xr)
+   */
+  constructor(runtime = globalThis.navigator?.xr) {
+    this.runtime = runtime
+    this.session = null
+    this.state = 'idle' // idle | starting | placing | placed | ended
+    this.referenceSpaceType = null
+    this.surface = 'table'
+    this.zoom = 1
+    this.position = { x: 0, y: 0, z: 0 } // world point under the course centre
+    this.yaw = 0
+    this.center = [0, 0] // course x/z that sits on `position`
+    this.courseWidth = 1
+    this.anchor = null
+    this._space = null
+    this._hitSource = null
+    this._lastHit = null
+    this._aim = null
+    this._listeners = {}
+  }
+
+  static async isSupported(runtime = globalThis.navigator?.xr) {
+    if (!runtime?.isSessionSupported) return false
+    try {
+      return await runtime.isSessionSupported(AR_MODE)
+    } catch {
+      return false
+    }
+  }
+
+  on(event, fn) {
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(fn)
+    return this
+  }
+
+  _emit(event, data) {
+    (this._listeners[event] || []).forEach((fn) => fn(data))
+  }
+
+  _setState(state) {
+    this.state = state
+    this._emit('state', { state })
+  }
+
+  /**
+   * Request the session and its hit-test source. Resolves with the runtime's
+   * session so the renderer can present it (use `referenceSpaceType` for its
+   * reference space). `domOverlay` is the element shown over the camera feed.
+   */
+  async start({ domOverlay = null } = {}) {
+    if (this.session) return this.session
+    this._setState('starting')
+    let session
+    try {
+      session = await this.runtime.requestSession(AR_MODE, {
+        requiredFeatures: ['hit-test'],
+        optionalFeatures: ['anchors', 'local-floor', ...(domOverlay ? ['dom-overlay'] : [])],
+        ...(domOverlay ? { domOverlay: { root: domOverlay } } : {}),
+      })
+    } catch (err) {
+      this._setState('idle')
+      this._emit('error', { error: err })
+      throw err
+    }
+    this.session = session
+
+    try {
+      // local-floor puts y = 0 on the floor, which tells tables from floors
+      try {
+        this._space = await session.requestReferenceSpace('local-floor')
+        this.referenceSpaceType = 'local-floor'
+      } catch {
+        this._space = await session.requestReferenceSpace('local')
+        this.referenceSpaceType = 'local'
+      }
+      const viewer = await session.requestReferenceSpace('viewer')
+      this._hitSource = await session.requestHitTestSource({ space: viewer })
+    } catch (err) {
+      // Don't leave a half-started session open: close it and go back to idle
+      this.session = null
+      this._space = null
+      this._hitSource = null
+      this.referenceSpaceType = null
+      try {
+        await session.end()
+      } catch {
+        // already ended
+      }
+      this._setState('idle')
+      this._emit('error', { error: err })
+      throw err
+    }
+
+    session.addEventListener('select', () => {
+      if (this.state === 'placing') this.place()
+    })
+    session.addEventListener('selectstart', (e) => {
+      if (this.state === 'placed') this._aim = { source: e.inputSource, from: null, to: null }
+    })
+    session.addEventListener('selectend', () => this._endAim())
+    session.addEventListener('end', () => this._cleanUp())
+
+    this._setState('placing')
+    return session
+  }
+
+  end() {
+    if (this.session) this.session.end()
+  }
+
+  // Course area to fit and centre (call again on every hole)
+  setCourseBounds({ minX, maxX, minZ, maxZ }) {
+    this.center = [(minX + maxX) / 2, (minZ + maxZ) / 2]
+    this.courseWidth = Math.max(maxX - minX, maxZ - minZ, 0.1)
+    this._emit('transform', this.getTransform())
+  }
+
+  // World metres per course unit
+  get scale() {
+    return (AR_FIT_WIDTH[this.surface] / this.courseWidth) * this.zoom
+  }
+
+  scaleBy(factor) {
+    this.zoom = Math.min(ZOOM_RANGE[1], Math.max(ZOOM_RANGE[0], this.zoom * factor))
+    this._emit('transform', this.getTransform())
+  }
+
+  /**
+   * Where the course root goes in world space: course point p lands on
+   * position + R(yaw) · scale · p. Apply as position / rotation.y / scale.
+   */
+  getTransform() {
+    const s = this.scale
+    const [ox, oz] = rotateXZ(this.center[0] * s, this.center[1] * s, this.yaw)
+    return {
+      position: [this.position.x - ox, this.position.y, this.position.z - oz],
+      yaw: this.yaw,
+      scale: s,
+      visible: this.state === 'placed' || (this.state === 'placing' && Boolean(this._lastHit)),
+    }
+  }
+
+  // World point → course x/z
+  toCourse({ x, z }) {
+    const s = this.scale
+    const [lx, lz] = rotateXZ(x - this.position.x, z - this.position.z, -this.yaw)
+    return { x: lx / s + this.center[0], z: lz / s + this.center[1] }
+  }
+
+  // Pin the course where the preview is; anchored when the runtime can
+  place() {
+    if (this.state !== 'placing' || !this._lastHit) return false
+    const hit = this._lastHit
+    this._setState('placed')
+    this._emit('transform', this.getTransform())
+    hit.result.createAnchor?.()
+      .then((anchor) => {
+        if (this.state === 'placed' && !this.anchor) this.anchor = anchor
+        else anchor.delete?.()
+      })
+      .catch(() => {}) // unanchored placement still works, it just may drift
+    return true
+  }
+
+  // Pick the course up again (the next tap re-places it)
+  reposition() {
+    if (this.state !== 'placed') return
+    this._dropAnchor()
+    this._aim = null
+    this._setState('placing')
+  }
+
+  // Call once per XR frame
+  update(frame) {
+    if (!this.session || !this._space) return
+    if (this.state === 'placing') this._updatePlacement(frame)
+    else if (this.state === 'placed') {
+      this._followAnchor(frame)
+      this._updateAim(frame)
+    }
+  }
+
+  _updatePlacement(frame) {
+    const result = frame.getHitTestResults(this._hitSource).find((r) => {
+      const pose = r.getPose(this._space)
+      return pose && getUp(pose.transform.orientation) >= MIN_UP
+    })
+    if (!result) {
+      if (this._lastHit) {
+        this._lastHit = null
+        this._emit('transform', this.getTransform())
+      }
+      return
+    }
+    const { position } = result.getPose(this._space).transform
+    this._lastHit = { result, position }
+    this.position = { x: position.x, y: position.y, z: position.z }
+    if (this.referenceSpaceType === 'local-floor') this.surface = position.y > TABLE_HEIGHT ? 'table' : 'floor'
+
+    // Turn the course so its near edge faces the player
+    const viewer = frame.getViewerPose(this._space)
+    if (viewer) {
+      const v = viewer.transform.position
+      this.yaw = Math.atan2(v.x - position.x, v.z - position.z)
+    }
+    this._emit('transform', this.getTransform())
+  }
+
+  // Anchors absorb tracking corrections; follow them so the course stays put
+  _followAnchor(frame) {
+    if (!this.anchor || (frame.trackedAnchors && !frame.trackedAnchors.has(this.anchor))) return
+    const pose = frame.getPose(this.anchor.anchorSpace, this._space)
+    if (!pose) return
+    const p = pose.transform.position
+    if (Math.hypot(p.x - this.position.x, p.y - this.position.y, p.z - this.position.z) < 1e-4) return
+    this.position = { x: p.x, y: p.y, z: p.z }
+    this._emit('transform', this.getTransform())
+  }
+
+  // A screen touch is a transient input whose ray follows the finger; where
+  // it meets the green is the drag point, in course coordinates
+  _updateAim(frame) {
+    if (!this._aim) return
+    const pose = frame.getPose(this._aim.source.targetRaySpace, this._space)
+    const point = pose && intersectGround(pose.transform, this.position.y)
+    if (!point) return
+    const p = this.toCourse(point)
+    if (!this._aim.from) {
+      this._aim.from = p
+      this._emit('aim-start', { from: p })
+    }
+    this._aim.to = p
+    this._emit('aim', { from: this._aim.from, to: p })
+  }
+
+  _endAim() {
+    const aim = this._aim
+    this._aim = null
+    if (aim?.from) this._emit('aim-end', { from: aim.from, to: aim.to })
+  }
+
+  _dropAnchor() {
+    this.anchor?.delete?.()
+    this.anchor = null
+  }
+
+  _cleanUp() {
+    this._dropAnchor()
+    this._hitSource?.cancel?.()
+    this._hitSource = null
+    this._lastHit = null
+    this._aim = null
+    this.session = null
+    this._space = null
+    this._setState('ended')
+    this._emit('end', {})
+  }
+}
+
+// y of a pose's up axis (1 = facing straight up)
+function getUp({ x, z }) {
+  return 1 - 2 * (x * x + z * z)
+}
+
+// Ray along the pose's -z axis against the plane y = height
+function intersectGround({ position: o, orientation: q }, height) {
+  const dx = -2 * (q.x * q.z + q.w * q.y)
+  const dy = -2 * (q.y * q.z - q.w * q.x)
+  const dz = -(1 - 2 * (q.x * q.x + q.y * q.y))
+  if (Math.abs(dy) < 1e-6) return null
+  const t = (height - o.y) / dy
+  if (t <= 0) return null
+  return { x: o.x + dx * t, z: o.z + dz * t }
+}
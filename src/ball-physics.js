@@ -0,0 +1,339 @@
+/**
+ * BallPhysics — headless mini-golf ball simulation.
+ * Extracted from the demo's per-frame updatePhysics so shots can run in Node
+ * (no DOM, WebGL or Three.js) and be reproduced exactly.
+ *
+ * Features:
+ * - Fixed-timestep accumulator (identical results at 30, 60 or 144 fps)
+ * - Frame-rate-independent rolling friction
+ * - Swept circle-vs-wall collision (fast shots can't tunnel through thin walls)
+ * - Normal-based bounce off boxes, rotated boxes, line segments and convex polygons
+ * - Terrain surfaces: slopes/heightfields, sand, water hazards, boost pads
+ * - Moving obstacles (see moving-obstacle.js) that knock the ball and carry it along
+ * - Interpolated render position between steps
+ * - collision / hazard / stop events
+ */
+
+import { wallToPolygon, sweepCircle, circleOverlap } from './wall-shapes.js'
+import { createSurface, getSurfaceAt } from './surfaces.js'
+
+const EPSILON = 1e-6
+const MAX_COLLISION_ITERATIONS = 4
+
+export class BallPhysics {
+  constructor({
+    walls = [],
+    surfaces = [],
+    obstacles = [], // MovingObstacle instances, posed from this.time
+    radius = 0.12,
+    friction = 0.985, // velocity kept per 1/60 s, the original per-frame value
+    restitution = 0.7,
+    timestep = 1 / 120,
+    stopSpeed = 0.01,
+    gravity = 7, // rolling sphere: 5/7 g
+    restingGradient = 0.05, // slopes gentler than this can hold a stopped ball
+    settleTime = 0.25, // a slow ball pinned on a steeper slope (wall, valley) rests after this long
+    maxStepsPerUpdate = 30,
+  } = {}) {
+    this.radius = radius
+    this.friction = friction
+    this.restitution = restitution
+    this.timestep = timestep
+    this.stopSpeed = stopSpeed
+    this.gravity = gravity
+    this.restingGradient = restingGradient
+    this.settleTime = settleTime
+    this.maxStepsPerUpdate = maxStepsPerUpdate
+
+    this.position = { x: 0, z: 0 }
+    this.previousPosition = { x: 0, z: 0 }
+    this.velocity = { x: 0, z: 0 }
+    this.shotStart = { x: 0, z: 0 }
+    this.moving = false
+    this.inPlay = true
+    this.time = 0
+
+    this._accumulator = 0
+    this._slowTime = 0
+    this._listeners = {}
+    this.setWalls(walls)
+    this.setSurfaces(surfaces)
+    this.setObstacles(obstacles)
+  }
+
+  on(event, fn) {
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(fn)
+    return this
+  }
+
+  _emit(event, data) {
+    (this._listeners[event] || []).forEach((fn) => fn(data))
+  }
+
+  setWalls(walls) {
+    this.walls = walls
+    this._shapes = walls.map(wallToPolygon)
+    return this
+  }
+
+  setSurfaces(surfaces) {
+    this.surfaces = surfaces
+    this._surfaces = surfaces.map(createSurface)
+    return this
+  }
+
+  setObstacles(obstacles) {
+    this.obstacles = obstacles
+    obstacles.forEach((o) => o.setTime(this.time))
+    return this
+  }
+
+  // Jump the shared clock (obstacle poses) — e.g. to replay from a recorded time
+  setTime(t) {
+    this.time = t
+    this.obstacles.forEach((o) => o.setTime(t))
+    return this
+  }
+
+  getSurfaceAt(x, z) {
+    return getSurfaceAt(this._surfaces, x, z)
+  }
+
+  // Terrain height under (x, z); plain green is 0
+  getHeight(x, z) {
+    const surface = this.getSurfaceAt(x, z)
+    return surface?.heightAt ? surface.heightAt(x, z) : 0
+  }
+
+  setPosition(x, z) {
+    this.position.x = x
+    this.position.z = z
+    this.previousPosition.x = x
+    this.previousPosition.z = z
+    this.inPlay = true
+    this.stop()
+    return this
+  }
+
+  // Ball dropped in the cup: obstacles keep moving but no longer touch it
+  sink() {
+    this.inPlay = false
+    this.stop()
+    return this
+  }
+
+  launch(vx, vz) {
+    this.shotStart.x = this.position.x
+    this.shotStart.z = this.position.z
+    this.velocity.x = vx
+    this.velocity.z = vz
+    this.moving = true
+    this._accumulator = 0
+    this._slowTime = 0
+    return this
+  }
+
+  stop() {
+    this.velocity.x = 0
+    this.velocity.z = 0
+    this.moving = false
+    this._accumulator = 0
+    return this
+  }
+
+  get speed() {
+    return Math.hypot(this.velocity.x, this.velocity.z)
+  }
+
+  // Call in animation loop with deltaTime in seconds; returns steps taken
+  update(dt) {
+    // With moving obstacles the clock runs even while the ball rests
+    if (!this.moving && !this.obstacles.length) return 0
+
+    this._accumulator += dt
+    let steps = 0
+    while (this._accumulator >= this.timestep && (this.moving || this.obstacles.length)) {
+      this.step()
+      this._accumulator -= this.timestep
+      if (++steps >= this.maxStepsPerUpdate) {
+        // Spiral-of-death guard: drop the backlog rather than freeze the tab
+        this._accumulator = 0
+        break
+      }
+    }
+    return steps
+  }
+
+  // Advance exactly one fixed timestep
+  step() {
+    const h = this.timestep
+
+    if (!this.moving) {
+      this._advanceClock(h)
+      // A resting ball only moves if an obstacle sweeps into it
+      if (this.inPlay && this._resolveOverlaps(this.obstacles)) {
+        this.moving = true
+        this._slowTime = 0
+      }
+      return
+    }
+
+    const pos = this.position
+    const vel = this.velocity
+    this.previousPosition.x = pos.x
+    this.previousPosition.z = pos.z
+
+    // Surface forces use the ground under the ball at the start of the step
+    const surface = this.getSurfaceAt(pos.x, pos.z)
+    const gradient = surface?.gradientAt ? surface.gradientAt(pos.x, pos.z) : null
+    if (gradient) {
+      vel.x -= this.gravity * gradient[0] * h
+      vel.z -= this.gravity * gradient[1] * h
+      // Rolling resistance on contoured ground, so balls settle in dips
+      const speed = this.speed
+      const drop = Math.min(speed, this.gravity * this.restingGradient * h)
+      if (speed > 0) {
+        vel.x -= (vel.x / speed) * drop
+        vel.z -= (vel.z / speed) * drop
+      }
+    }
+    if (surface?.type === 'boost') {
+      vel.x += surface.direction[0] * surface.acceleration * h
+      vel.z += surface.direction[1] * surface.acceleration * h
+    }
+
+    let remaining = 1
+    for (let i = 0; i < MAX_COLLISION_ITERATIONS && remaining > EPSILON; i++) {
+      const dx = vel.x * h * remaining
+      const dz = vel.z * h * remaining
+      const hit = this._sweep(pos.x, pos.z, dx, dz, h * remaining)
+
+      if (!hit) {
+        pos.x += dx
+        pos.z += dz
+        break
+      }
+
+      pos.x += dx * hit.t + hit.nx * EPSILON
+      pos.z += dz * hit.t + hit.nz * EPSILON
+      this._bounce(hit)
+      remaining *= 1 - hit.t
+    }
+
+    this._advanceClock(h)
+    this._resolveOverlaps(this.obstacles)
+
+    // Friction is defined per 1/60 s frame; scale it to the step length
+    const damping = Math.pow(surface?.friction ?? this.friction, h * 60)
+    vel.x *= damping
+    vel.z *= damping
+
+    const landed = this.getSurfaceAt(pos.x, pos.z)
+    if (landed?.type === 'water') {
+      const x = pos.x
+      const z = pos.z
+      this.setPosition(this.shotStart.x, this.shotStart.z)
+      this._emit('hazard', { type: 'water', surface: landed.def, penalty: landed.penalty, x, z, resetTo: { ...this.shotStart } })
+      return
+    }
+
+    // A steep slope keeps the ball rolling unless something holds it in place
+    const slow = this.speed < this.stopSpeed
+    this._slowTime = slow ? this._slowTime + h : 0
+    const steep = gradient && Math.hypot(gradient[0], gradient[1]) > this.restingGradient
+    if (slow && (!steep || this._slowTime >= this.settleTime)) {
+      this.stop()
+      this._emit('stop', { x: pos.x, z: pos.z, time: this.time })
+    }
+  }
+
+  _advanceClock(h) {
+    this.time += h
+    this.obstacles.forEach((o) => o.setTime(this.time))
+  }
+
+  // Run until the ball rests (or maxTime elapses) — for tests and tooling
+  simulate({ maxTime = 30 } = {}) {
+    const start = this.time
+    let steps = 0
+    while (this.moving && this.time - start < maxTime) {
+      this.step()
+      steps++
+    }
+    return { x: this.position.x, z: this.position.z, time: this.time - start, steps, resting: !this.moving }
+  }
+
+  // Position blended between the last two steps for smooth rendering
+  getRenderPosition(out = { x: 0, z: 0 }) {
+    const alpha = this.moving ? this._accumulator / this.timestep : 1
+    out.x = this.previousPosition.x + (this.position.x - this.previousPosition.x) * alpha
+    out.z = this.previousPosition.z + (this.position.z - this.previousPosition.z) * alpha
+    return out
+  }
+
+  // Reflect the velocity relative to the surface (walls have none, obstacles may move)
+  _bounce(hit) {
+    const vel = this.velocity
+    const svx = hit.surfaceVelocity?.x || 0
+    const svz = hit.surfaceVelocity?.z || 0
+    const vn = (vel.x - svx) * hit.nx + (vel.z - svz) * hit.nz
+    if (vn >= 0) return false
+
+    vel.x -= (1 + this.restitution) * vn * hit.nx
+    vel.z -= (1 + this.restitution) * vn * hit.nz
+    this._emit('collision', {
+      wall: hit.obstacle ? null : this.walls[hit.index], index: hit.index,
+      obstacle: hit.obstacle || null,
+      normal: { x: hit.nx, z: hit.nz }, speed: -vn,
+      x: this.position.x, z: this.position.z,
+    })
+    return true
+  }
+
+  // Earliest time of impact along (dx, dz) against walls and obstacles
+  _sweep(px, pz, dx, dz, duration) {
+    let best = null
+    this._shapes.forEach((poly, index) => {
+      const hit = sweepCircle(poly, px, pz, dx, dz, this.radius)
+      if (hit && (!best || hit.t < best.t)) best = { ...hit, index }
+    })
+    this.obstacles.forEach((obstacle, index) => {
+      // Sweep in the obstacle's frame so its own motion counts
+      const v = obstacle.getVelocityAt(px, pz)
+      const rdx = dx - v.x * duration
+      const rdz = dz - v.z * duration
+      if (!obstacle.isNear(px, pz, this.radius, Math.hypot(rdx, rdz))) return
+      obstacle.polygons.forEach((poly) => {
+        const hit = sweepCircle(poly, px, pz, rdx, rdz, this.radius)
+        if (hit && (!best || hit.t < best.t)) {
+          const surfaceVelocity = obstacle.getVelocityAt(px + dx * hit.t, pz + dz * hit.t)
+          best = { ...hit, index, obstacle, surfaceVelocity }
+        }
+      })
+    })
+    return best
+  }
+
+  // Push the ball out of anything it still overlaps (resting contact, spawn,
+  // obstacles moving into it); returns true if the ball was hit
+  _resolveOverlaps(obstacles = []) {
+    const pos = this.position
+    let hit = false
+    const resolve = (poly, extra) => {
+      const o = circleOverlap(poly, pos.x, pos.z, this.radius)
+      if (!o) return
+      pos.x += o.nx * o.depth
+      pos.z += o.nz * o.depth
+      if (this._bounce({ ...o, ...extra })) hit = true
+    }
+    this._shapes.forEach((poly, index) => resolve(poly, { index }))
+    obstacles.forEach((obstacle, index) => {
+      if (!obstacle.isNear(pos.x, pos.z, this.radius)) return
+      obstacle.polygons.forEach((poly) => resolve(poly, {
+        index, obstacle, surfaceVelocity: obstacle.getVelocityAt(pos.x, pos.z),
+      }))
+    })
+    return hit
+  }
+}
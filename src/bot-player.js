@@ -0,0 +1,186 @@
+/**
+ * Bot player — a computer opponent built on the caddy's shot solver.
+ * The bot picks the solver's best line, then misses it by its skill:
+ *
+ *   aimNoise     standard deviation of the aim error, degrees
+ *   powerError   standard deviation of the power error, fraction of the power
+ *   banks        whether it plays bank shots (false: direct lines only)
+ *   solver       ShotSolver options (coarser grids think faster but worse)
+ *
+ * playRound() runs a whole round headless through ScoreSystem, the same turn
+ * flow the demo uses, and simulateRounds() repeats that to measure how a
+ * course plays — average strokes per hole for balancing par.
+ */
+
+import { BallPhysics } from './ball-physics.js'
+import { ScoreSystem } from './score-system.js'
+import { ShotSolver, CUP_RADIUS } from './shot-solver.js'
+import { createObstacle } from './moving-obstacle.js'
+import { createRandom, gaussian } from './random.js'
+
+export const BOT_LEVELS = {
+  easy: {
+    aimNoise: 7,
+    powerError: 0.18,
+    banks: false,
+    solver: { angleStep: 12, powerLevels: 4, refineCandidates: 1, refineSamples: 3 },
+  },
+  medium: {
+    aimNoise: 3.5,
+    powerError: 0.1,
+    banks: false,
+    solver: { angleStep: 8, powerLevels: 5, refineCandidates: 2, refineSamples: 3 },
+  },
+  hard: {
+    aimNoise: 1.5,
+    powerError: 0.05,
+    banks: true,
+    solver: { angleStep: 6, powerLevels: 6, refineCandidates: 2, refineSamples: 4 },
+  },
+  pro: {
+    aimNoise: 0.5,
+    powerError: 0.02,
+    banks: true,
+    solver: {},
+  },
+}
+
+export class BotPlayer {
+  /**
+   * @param name     ScoreSystem player name (defaults to "Bot (<level>)")
+   * @param level    key of BOT_LEVELS; aimNoise, powerError, banks and
+   *                 solver override it
+   * @param seed     seed for the bot's errors (same seed, same round)
+   * @param cache    reuse solutions from the same spot (headless rounds)
+   */
+  constructor({ name, level = 'medium', seed = Date.now(), cache = false, ...skill } = {}) {
+    if (!BOT_LEVELS[level]) throw new Error(`Unknown bot level "${level}" (expected ${Object.keys(BOT_LEVELS).join(', ')})`)
+    const base = BOT_LEVELS[level]
+    this.level = level
+    this.name = name || `Bot (${level})`
+    this.skill = { ...base, ...skill, solver: { ...base.solver, ...skill.solver } }
+    this.random = createRandom(seed)
+    this._cache = cache ? new Map() : null
+  }
+
+  /**
+   * A solver for the bot's next shot; step() it over frames or solve() it.
+   * `options` are ShotSolver options (time, maxSpeed, physics).
+   */
+  createSolver(hole, ballPos, options = {}) {
+    return new ShotSolver(hole, ballPos, { ...this.skill.solver, ...options, banks: this.skill.banks })
+  }
+
+  /**
+   * Turn the solver's ideal shot into the one the bot actually hits.
+   * Returns { vx, vz, angle, power, intended } — intended is the solution.
+   */
+  execute(solution, maxSpeed = 4) {
+    const { aimNoise, powerError } = this.skill
+    const angle = solution.angle + (gaussian(this.random) * aimNoise * Math.PI) / 180
+    const power = Math.min(1, Math.max(0.02, solution.power * (1 + gaussian(this.random) * powerError)))
+    const speed = power * maxSpeed
+    return { vx: Math.cos(angle) * speed, vz: Math.sin(angle) * speed, angle, power, intended: solution }
+  }
+
+  // Solve and execute in one go (headless play)
+  planShot(hole, ballPos, options = {}) {
+    const solution = this._solve(hole, ballPos, options)
+    return this.execute(solution, options.maxSpeed)
+  }
+
+  _solve(hole, ballPos, options) {
+    if (!this._cache) return this.createSolver(hole, ballPos, options).solve()
+    // Nearby spots share a solution: 2.5 cm apart on the green, up to 20 cm on
+    // long shots where that moves the aim less than the bot's own error.
+    // With moving obstacles the pose counts too.
+    const x = Array.isArray(ballPos) ? ballPos[0] : ballPos.x
+    const z = Array.isArray(ballPos) ? ballPos[2] : ballPos.z
+    const away = Math.hypot(x - hole.holePos[0], z - hole.holePos[2])
+    const cell = away > 3 ? 0.2 : away > 1 ? 0.1 : 0.025
+    const when = hole.obstacles?.length ? Math.round((options.time ?? 0) * 4) : 0
+    const key = `${hole.label}|${hole.holePos}|${cell}|${Math.round(x / cell)}|${Math.round(z / cell)}|${when}`
+    if (!this._cache.has(key)) this._cache.set(key, this.createSolver(hole, ballPos, options).solve())
+    return this._cache.get(key)
+  }
+}
+
+/**
+ * Play a round headless. `players` are BotPlayers, in turn order.
+ * Options: scoring, turnOrder, maxStrokes (stops a hopeless hole; default 10),
+ * maxSpeed (full-power launch speed, the demo's 4), physics (BallPhysics
+ * options), onShot({ hole, player, from, to, holed, hazard }) after every
+ * stroke (hole is the index). Returns the finished ScoreSystem.
+ */
+export function playRound(holes, players, { scoring = 'stroke', turnOrder = 'away', maxStrokes = 10, maxSpeed = 4, physics: physicsOptions = {}, onShot } = {}) {
+  const score = new ScoreSystem({ players: players.map((p) => p.name), scoring, turnOrder, maxStrokes })
+
+  holes.forEach((hole, h) => {
+    const physics = new BallPhysics({
+      ...physicsOptions,
+      walls: hole.walls,
+      surfaces: hole.surfaces || [],
+      obstacles: (hole.obstacles || []).map(createObstacle),
+    })
+    let hazard = null
+    physics.on('hazard', (e) => {
+      hazard = e
+      score.addPenalty(e.penalty ?? 1, e.type)
+    })
+    const target = { x: hole.holePos[0], z: hole.holePos[2] }
+    const spots = players.map(() => ({ x: hole.ballStart[0], z: hole.ballStart[2], inCup: false }))
+
+    score.startHole(hole.par)
+    while (!score.isHoleComplete) {
+      const spot = spots[score.turn]
+      const player = score.turn
+      const from = { x: spot.x, z: spot.z }
+      hazard = null
+      physics.setPosition(spot.x, spot.z)
+      const shot = players[score.turn].planShot(hole, spot, { time: physics.time, maxSpeed, physics: physicsOptions })
+      physics.launch(shot.vx, shot.vz)
+      score.addStroke()
+      const { time } = physics.simulate()
+      score.tick(time)
+
+      spot.x = physics.position.x
+      spot.z = physics.position.z
+      const holed = !physics.moving && Math.hypot(spot.x - target.x, spot.z - target.z) < CUP_RADIUS
+      onShot?.({ hole: h, player, from, to: hazard ? { x: hazard.x, z: hazard.z } : { x: spot.x, z: spot.z }, holed, hazard: hazard?.type ?? null })
+      if (holed) {
+        spot.inCup = true
+        score.scoreHole()
+      } else if (score.reachedStrokeLimit) {
+        spot.inCup = true
+        score.pickUp()
+      }
+      score.nextTurn(spots.map((s) => Math.hypot(s.x - target.x, s.z - target.z)))
+    }
+  })
+  return score
+}
+
+/**
+ * Play `rounds` solo rounds with one bot and summarise each hole:
+ * [{ hole, label, par, average, best, worst, pickedUp, distribution: { strokes: count } }].
+ * `onRound(score, i)` is called after every round. Other options as playRound();
+ * bot options (level, seed, aimNoise, ...) go in `bot`.
+ */
+export function simulateRounds(holes, { rounds = 100, bot = {}, onRound, ...options } = {}) {
+  const player = new BotPlayer({ cache: true, seed: 1, ...bot })
+  const stats = holes.map((hole, i) => ({ hole: i + 1, label: hole.label, par: hole.par, total: 0, best: Infinity, worst: 0, pickedUp: 0, distribution: {} }))
+
+  for (let r = 0; r < rounds; r++) {
+    const score = playRound(holes, [player], options)
+    score.players[0].holes.forEach((entry, i) => {
+      const row = stats[i]
+      row.total += entry.score
+      row.best = Math.min(row.best, entry.score)
+      row.worst = Math.max(row.worst, entry.score)
+      if (entry.pickedUp) row.pickedUp++
+      row.distribution[entry.score] = (row.distribution[entry.score] || 0) + 1
+    })
+    onRound?.(score, r)
+  }
+  return stats.map(({ total, ...row }) => ({ ...row, average: rounds ? total / rounds : 0 }))
+}
@@ -0,0 +1,260 @@
+/**
+ * Camera director — scripted camera shots that borrow the camera from
+ * OrbitControls and give it back: a skippable hole-intro flyover from the tee
+ * to the pin, a follow-cam on the rolling ball and a celebration orbit round
+ * the cup. The flyover and the orbit are CurveAnimator paths.
+ *
+ * Every shot blends in from wherever the camera is, so shots can interrupt
+ * each other, and ends by easing into a pose OrbitControls accepts (inside
+ * its distance and polar limits) before re-enabling it, so the orbit picks up
+ * without a jump. While `active`, call update(dt) instead of controls.update().
+ *
+ * Listen with on('start' | 'end' | 'waypoint' | 'release'); events carry
+ * { shot } ('intro' | 'follow' | 'celebrate'), 'end' adds { skipped } and
+ * 'waypoint' adds { name } ('tee', 'pin') as the flyover passes them.
+ */
+
+import * as THREE from 'three'
+import { CurveAnimator } from './curve-animator.js'
+import { getCourseBounds } from './course-loader.js'
+
+const BLEND_TIME = 0.6 // seconds to ease from the previous camera into a shot
+const HAND_BACK_TIME = 1 // seconds to ease into the orbit pose at the end
+const INTRO_BLEND_TIME = 1.5 // the swoop into a flyover can cross the whole green
+const INTRO_SPEED = 3 // flyover metres per second
+const INTRO_DURATION = [3, 7] // seconds, shortest and longest flyover
+const HOME_POLAR = 0.85 // radians from straight down onto the green
+const CELEBRATE_DURATION = 4
+const CELEBRATE_RADIUS = 2.2
+const CELEBRATE_HEIGHT = 1.3
+const CELEBRATE_POINTS = 12
+const FOLLOW_RATE = 4 // how quickly the follow-cam catches up with the ball, 1/s
+const UP = new THREE.Vector3(0, 1, 0)
+
+export class CameraDirector {
+  /**
+   * @param camera    the scene's camera
+   * @param controls  OrbitControls driving that camera between shots
+   */
+  constructor(camera, controls) {
+    this.camera = camera
+    this.controls = controls
+    this.target = controls.target.clone() // where the camera looks
+    this._shot = null
+    this._orbit = null // the player's own view, from before the director took over
+    this._listeners = {}
+  }
+
+  on(event, fn) {
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(fn)
+    return this
+  }
+
+  _emit(event, data) {
+    (this._listeners[event] || []).forEach((fn) => fn(data))
+  }
+
+  // Name of the running shot ('intro' | 'follow' | 'celebrate' | 'hand-back'), or null
+  get shot() {
+    return this._shot?.name ?? null
+  }
+
+  // True while the director owns the camera
+  get active() {
+    return Boolean(this._shot)
+  }
+
+  /**
+   * Fly from behind the tee down to the pin, then settle on a view of the
+   * whole hole. `hole` is a course hole (ballStart, holePos, walls).
+   */
+  playIntro(hole) {
+    const tee = new THREE.Vector3(...hole.ballStart).setY(0)
+    const cup = new THREE.Vector3(...hole.holePos).setY(0)
+    const dir = cup.clone().sub(tee)
+    const length = dir.length()
+    if (length > 1e-6) dir.divideScalar(length)
+    else dir.set(1, 0, 0)
+    const side = new THREE.Vector3(-dir.z, 0, dir.x)
+    const at = (base, along, across, up) => base.clone().addScaledVector(dir, along).addScaledVector(side, across).setY(up)
+
+    // Centripetal, so the camera doesn't overshoot where points bunch up on short holes
+    const animator = new CurveAnimator([
+      at(tee, -2.5, 0.6, 3.5),
+      at(tee, -0.6, 0.2, 1.4),
+      at(tee, length / 2, 1.4, 2),
+      at(cup, -1, 0.3, 1.1),
+      at(cup, 0.8, -1, 1.8),
+    ], {
+      mode: 'time',
+      duration: THREE.MathUtils.clamp(length / INTRO_SPEED, ...INTRO_DURATION),
+      alpha: 'centripetal',
+      easing: 'easeInOutSine',
+      orientToDirection: false,
+      waypoints: [{ name: 'tee', point: 1 }, { name: 'pin', point: 3 }],
+    })
+    animator.on('waypoint', ({ name }) => this._emit('waypoint', { shot: 'intro', name }))
+    animator.play()
+
+    const home = this._homePose(hole, tee, cup, dir)
+    this._start('intro', {
+      step: (shot, dt) => {
+        animator.update(dt)
+        shot.position.copy(animator.getPoint(animator.progress))
+        // Look a little ahead down the line so the pin is in view before the camera gets there
+        const u = animator.distanceTraveled / (animator.totalLength || 1)
+        shot.target.lerpVectors(tee, cup, THREE.MathUtils.smoothstep(u, 0, 0.8))
+        return !animator.isComplete
+      },
+      next: home,
+      blend: INTRO_BLEND_TIME,
+    })
+  }
+
+  // Cut the intro short (the hand-back still eases in); false when no intro is playing
+  skip() {
+    if (this.shot !== 'intro') return false
+    this._end(true)
+    return true
+  }
+
+  // Track `object` (the ball) keeping the current viewing angle, until release()
+  follow(object) {
+    const offset = this.camera.position.clone().sub(this.active ? this.target : this.controls.target)
+    this._start('follow', {
+      step: (shot, dt) => {
+        shot.target.lerp(object.position, Math.min(1, dt * FOLLOW_RATE))
+        shot.position.copy(shot.target).add(offset)
+        return true
+      },
+      blend: 0,
+    })
+  }
+
+  // Circle the cup once, then give the player back the view they had
+  celebrate(holePos) {
+    const cup = new THREE.Vector3(holePos[0], 0, holePos[2])
+    // Start the circle where the camera already is, so it swings on rather than cutting
+    const start = Math.atan2(this.camera.position.z - cup.z, this.camera.position.x - cup.x)
+    const points = Array.from({ length: CELEBRATE_POINTS }, (_, i) => {
+      const a = start + (i / CELEBRATE_POINTS) * Math.PI * 2
+      return new THREE.Vector3(cup.x + Math.cos(a) * CELEBRATE_RADIUS, CELEBRATE_HEIGHT, cup.z + Math.sin(a) * CELEBRATE_RADIUS)
+    })
+    const animator = new CurveAnimator(points, {
+      mode: 'time', duration: CELEBRATE_DURATION, closed: true, easing: 'easeInOutSine', orientToDirection: false,
+    })
+    animator.play()
+    this._start('celebrate', {
+      step: (shot, dt) => {
+        animator.update(dt)
+        shot.position.copy(animator.getPoint(animator.progress))
+        shot.target.copy(cup)
+        return !animator.isComplete
+      },
+    })
+  }
+
+  // End the running shot and ease back into orbit from where the camera is
+  release() {
+    if (!this._shot || this.shot === 'hand-back') return
+    this._end(false, { target: this.target.clone(), position: this.camera.position.clone() })
+  }
+
+  // Hand the camera straight back without easing (replays, editor, AR)
+  stop() {
+    if (!this._shot) return
+    const name = this._shot.name
+    this._shot = null
+    this._release(name)
+  }
+
+  update(dt) {
+    const shot = this._shot
+    if (!shot) return
+    shot.elapsed += dt
+    const running = shot.step(shot, dt)
+    const k = shot.blend > 0 ? THREE.MathUtils.smootherstep(shot.elapsed / shot.blend, 0, 1) : 1
+    this.camera.position.lerpVectors(shot.from.position, shot.position, k)
+    this.target.lerpVectors(shot.from.target, shot.target, k)
+    this.camera.lookAt(this.target)
+    if (!running) this._end(false)
+  }
+
+  // Take the camera (from OrbitControls or the previous shot) for a new shot
+  _start(name, { step, next = null, blend = BLEND_TIME }) {
+    if (!this._shot) {
+      this.target.copy(this.controls.target)
+      this._orbit = { position: this.camera.position.clone(), target: this.target.clone() }
+      this.controls.enabled = false
+    } else if (this._shot.name !== 'hand-back') {
+      this._emit('end', { shot: this._shot.name, skipped: false })
+    }
+    this._shot = {
+      name,
+      step,
+      next,
+      blend,
+      elapsed: 0,
+      from: { position: this.camera.position.clone(), target: this.target.clone() },
+      position: this.camera.position.clone(),
+      target: this.target.clone(),
+    }
+    this._emit('start', { shot: name })
+  }
+
+  // Finish the running shot: ease into `pose` (default: its next pose, else
+  // the player's old view), then release to OrbitControls
+  _end(skipped, pose = this._shot.next || this._orbit) {
+    const shot = this._shot
+    if (shot.name === 'hand-back') {
+      this._shot = null
+      this._release(shot.handing)
+      return
+    }
+    this._emit('end', { shot: shot.name, skipped })
+    const { position, target } = this._clampToOrbit(pose)
+    // Already there (a follow-cam stopping inside the orbit limits): no need to ease
+    if (position.distanceTo(this.camera.position) < 0.01 && target.distanceTo(this.target) < 0.01) {
+      this._shot = null
+      this._release(shot.name)
+      return
+    }
+    this._shot = {
+      name: 'hand-back',
+      handing: shot.name,
+      step: (s) => s.elapsed < HAND_BACK_TIME,
+      blend: HAND_BACK_TIME,
+      elapsed: 0,
+      from: { position: this.camera.position.clone(), target: this.target.clone() },
+      position,
+      target,
+    }
+  }
+
+  _release(shot) {
+    this.controls.target.copy(this.target)
+    this.controls.enabled = true
+    this.camera.lookAt(this.target)
+    this._emit('release', { shot })
+  }
+
+  // Nearest pose to `pose` that OrbitControls won't snap away from
+  _clampToOrbit({ position, target }) {
+    const c = this.controls
+    const spherical = new THREE.Spherical().setFromVector3(position.clone().sub(target))
+    spherical.radius = THREE.MathUtils.clamp(spherical.radius, c.minDistance, c.maxDistance)
+    spherical.phi = THREE.MathUtils.clamp(spherical.phi, c.minPolarAngle, c.maxPolarAngle)
+    spherical.makeSafe()
+    return { position: target.clone().add(new THREE.Vector3().setFromSpherical(spherical)), target: target.clone() }
+  }
+
+  // The whole hole from behind the tee, at a distance that fits its walls
+  _homePose(hole, tee, cup, dir) {
+    const bounds = getCourseBounds(hole.walls)
+    const size = Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ)
+    const target = tee.clone().lerp(cup, 0.5)
+    const offset = dir.clone().multiplyScalar(-Math.sin(HOME_POLAR)).addScaledVector(UP, Math.cos(HOME_POLAR))
+    return { target, position: target.clone().addScaledVector(offset, size * 1.1) }
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Course analysis — recommended par, difficulty and resting-spot heatmaps
+ * from simulated bot rounds, plus layout checks for holes that can't be won.
+ * Headless; tools/analyze-course.js is the command-line front end.
+ *
+ * Par is the rounded average score of the reference bot ('hard' unless
+ * told otherwise), so re-running with the same seed gives the same report.
+ */
+
+import { simulateRounds } from './bot-player.js'
+import { createDistanceField } from './distance-field.js'
+import { getCourseBounds } from './course-loader.js'
+
+// Average strokes (reference bot) → rating
+export const DIFFICULTY_RATINGS = [
+  { max: 2.5, label: 'easy' },
+  { max: 3.5, label: 'moderate' },
+  { max: 4.5, label: 'hard' },
+  { max: Infinity, label: 'brutal' },
+]
+
+export function getDifficultyRating(average) {
+  return DIFFICULTY_RATINGS.find((r) => average < r.max).label
+}
+
+/**
+ * Static checks, no simulation: can a ball get from the tee to the cup at
+ * all? Returns a list of problems (empty when the layout is playable).
+ */
+export function findLayoutProblems(hole) {
+  const problems = []
+  const field = createDistanceField(hole)
+  const [tx, , tz] = hole.ballStart
+  const [hx, , hz] = hole.holePos
+  const bounds = getCourseBounds(hole.walls)
+  const inside = (x, z) => x > bounds.minX && x < bounds.maxX && z > bounds.minZ && z < bounds.maxZ
+
+  if (!inside(tx, tz)) problems.push('tee is outside the walls')
+  if (!inside(hx, hz)) problems.push('cup is outside the walls')
+  // Walls or water closing off the cup (or the tee) leave the tee with no finite distance
+  if (!problems.length && field.distanceAt(tx, tz) === Infinity) problems.push('no open path from the tee to the cup')
+  return problems
+}
+
+/**
+ * Simulate `rounds` bot rounds and report every hole:
+ *   { hole, label, par, recommendedPar, average, stdDev, best, worst,
+ *     holedRate, holeInOneRate, rating, heatmap, hazards, problems, warnings }
+ * plus course totals { par, recommendedPar, average, rating, unwinnable }.
+ *
+ * Options: rounds, bot (BotPlayer options, default { level: 'hard' }),
+ * cellSize (heatmap resolution), maxStrokes, onRound(score, i).
+ * Holes that fail findLayoutProblems() are not simulated.
+ */
+export function analyzeCourse(course, { rounds = 100, bot = { level: 'hard' }, cellSize = 0.25, maxStrokes = 10, onRound } = {}) {
+  const holes = course.holes
+  const problems = holes.map(findLayoutProblems)
+  const playable = holes.map((_, i) => i).filter((i) => !problems[i].length)
+  const heatmaps = holes.map((hole) => createHeatmap(hole, cellSize))
+  const hazards = holes.map(() => 0)
+
+  const stats = playable.length
+    ? simulateRounds(playable.map((i) => holes[i]), {
+      rounds,
+      bot,
+      maxStrokes,
+      onRound,
+      onShot: ({ hole, to, holed, hazard }) => {
+        const index = playable[hole]
+        if (hazard) hazards[index]++
+        else if (!holed) addToHeatmap(heatmaps[index], to.x, to.z)
+      },
+    })
+    : []
+
+  const report = holes.map((hole, i) => {
+    const row = {
+      hole: i + 1,
+      label: hole.label,
+      par: hole.par,
+      recommendedPar: null,
+      average: null,
+      stdDev: null,
+      best: null,
+      worst: null,
+      holedRate: 0,
+      holeInOneRate: 0,
+      rating: 'unwinnable',
+      heatmap: heatmaps[i],
+      hazards: hazards[i],
+      problems: problems[i],
+      warnings: [],
+    }
+    const k = playable.indexOf(i)
+    if (k < 0) return row
+
+    const s = stats[k]
+    const counts = Object.entries(s.distribution).map(([strokes, n]) => [Number(strokes), n])
+    const variance = counts.reduce((sum, [strokes, n]) => sum + n * (strokes - s.average) ** 2, 0) / rounds
+    Object.assign(row, {
+      recommendedPar: Math.max(1, Math.round(s.average)),
+      average: s.average,
+      stdDev: Math.sqrt(variance),
+      best: s.best,
+      worst: s.worst,
+      holedRate: (rounds - s.pickedUp) / rounds,
+      holeInOneRate: (s.distribution[1] || 0) / rounds,
+      rating: getDifficultyRating(s.average),
+    })
+
+    if (s.pickedUp === rounds) row.warnings.push(`never holed out in ${rounds} rounds — likely unwinnable`)
+    else if (s.pickedUp / rounds > 0.25) row.warnings.push(`picked up at the ${maxStrokes}-stroke limit in ${Math.round((s.pickedUp / rounds) * 100)}% of rounds`)
+    if (row.recommendedPar !== hole.par) row.warnings.push(`par ${hole.par} looks ${row.recommendedPar > hole.par ? 'low' : 'high'} — plays like a par ${row.recommendedPar}`)
+    return row
+  })
+
+  const played = report.filter((r) => r.average !== null)
+  const average = played.reduce((sum, r) => sum + r.average, 0) / (played.length || 1)
+  return {
+    name: course.meta?.name,
+    rounds,
+    bot,
+    holes: report,
+    par: holes.reduce((sum, h) => sum + h.par, 0),
+    recommendedPar: played.reduce((sum, r) => sum + r.recommendedPar, 0),
+    average: played.reduce((sum, r) => sum + r.average, 0),
+    rating: played.length ? getDifficultyRating(average) : 'unwinnable',
+    unwinnable: report.filter((r) => r.problems.length || r.holedRate === 0).map((r) => r.hole),
+  }
+}
+
+// Resting-spot counts on a grid over the hole's walls
+function createHeatmap(hole, cellSize) {
+  const bounds = getCourseBounds(hole.walls)
+  const cols = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) / cellSize))
+  const rows = Math.max(1, Math.ceil((bounds.maxZ - bounds.minZ) / cellSize))
+  return { cellSize, minX: bounds.minX, minZ: bounds.minZ, cols, rows, counts: new Array(cols * rows).fill(0), max: 0 }
+}
+
+function addToHeatmap(heatmap, x, z) {
+  const i = Math.floor((x - heatmap.minX) / heatmap.cellSize)
+  const j = Math.floor((z - heatmap.minZ) / heatmap.cellSize)
+  if (i < 0 || j < 0 || i >= heatmap.cols || j >= heatmap.rows) return
+  const n = ++heatmap.counts[j * heatmap.cols + i]
+  if (n > heatmap.max) heatmap.max = n
+}
@@ -0,0 +1,296 @@
+/**
+ * Course editor — the editing model behind the demo's editor mode.
+ * Holds a working copy of a course and applies edits (walls, tee, cup,
+ * par, label, holes) to it; the app renders the hole and turns pointer
+ * drags into these calls. Headless, so edits can be scripted or tested.
+ *
+ * Positions snap to a 5 cm grid and angles to whole degrees so exported
+ * course files stay readable. Every edit emits 'change' ({ hole, reason });
+ * switching holes or loading a course emits 'load'.
+ */
+
+import { COURSE_FORMAT, COURSE_VERSION, validateCourse, parseCourse, getCourseBounds } from './course-loader.js'
+import { getWallPoints, getPolygonBounds, wallToPolygon, circleOverlap, rotateXZ, DEFAULT_WALL_HEIGHT } from './wall-shapes.js'
+
+export const EDITOR_GRID = 0.05
+const MIN_WALL_SIZE = 0.05
+const WALL_THICKNESS = 0.2
+const HANDLE_OFFSET = 0.3
+
+export function snap(v, step = EDITOR_GRID) {
+  return Math.round(Math.round(v / step) * step * 100) / 100
+}
+
+// A fresh 6×4 green with the tee and cup at either end
+export function createBlankHole(label = 'New Hole') {
+  const box = (x, z, w, d) => ({ pos: [x, DEFAULT_WALL_HEIGHT / 2, z], size: [w, DEFAULT_WALL_HEIGHT, d] })
+  return {
+    label,
+    par: 2,
+    ballStart: [-2.2, 0.15, 0],
+    holePos: [2.2, 0.01, 0],
+    walls: [box(0, -2, 6, 0.2), box(0, 2, 6, 0.2), box(-3, 0, 0.2, 4), box(3, 0, 0.2, 4)],
+    surfaces: [],
+    obstacles: [],
+  }
+}
+
+// Centre of a wall in x/z, the pivot for rotating and resizing. The corner
+// average stays put when the corners turn around it, so shapes don't drift.
+export function getWallCenter(wall) {
+  if ((wall.type || 'box') === 'box') return [wall.pos[0], wall.pos[2]]
+  const points = getWallPoints(wall)
+  return [0, 1].map((k) => points.reduce((sum, p) => sum + p[k], 0) / points.length)
+}
+
+/**
+ * Where the app draws a wall's drag handles, in world x/z:
+ * resize at a corner, rotate just off the wall's local +x end.
+ */
+export function getWallHandles(wall) {
+  const [cx, cz] = getWallCenter(wall)
+  if ((wall.type || 'box') === 'box') {
+    const rad = ((wall.rotation || 0) * Math.PI) / 180
+    const hx = wall.size[0] / 2
+    const hz = wall.size[2] / 2
+    const [rx, rz] = rotateXZ(hx, hz, rad)
+    const [ox, oz] = rotateXZ(hx + HANDLE_OFFSET, 0, rad)
+    return { center: [cx, cz], resize: [cx + rx, cz + rz], rotate: [cx + ox, cz + oz] }
+  }
+  const b = getPolygonBounds(getWallPoints(wall))
+  return { center: [cx, cz], resize: [b.maxX, b.maxZ], rotate: [b.maxX + HANDLE_OFFSET, cz] }
+}
+
+/**
+ * Index of the wall under (x, z), or -1. `tolerance` widens thin walls so
+ * they can be grabbed; later walls win, matching draw order.
+ */
+export function pickWall(hole, x, z, tolerance = 0.05) {
+  for (let i = hole.walls.length - 1; i >= 0; i--) {
+    if (circleOverlap(wallToPolygon(hole.walls[i]), x, z, tolerance)) return i
+  }
+  return -1
+}
+
+export class CourseEditor {
+  /**
+   * @param course  parsed course ({ meta, holes }); copied, never mutated
+   */
+  constructor(course = { meta: { name: 'Untitled Course' }, holes: [createBlankHole('Hole 1')] }) {
+    this._listeners = {}
+    this.load(course)
+  }
+
+  on(event, fn) {
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(fn)
+    return this
+  }
+
+  _emit(event, data) {
+    (this._listeners[event] || []).forEach((fn) => fn(data))
+  }
+
+  // Replace the working course (JSON string or parsed course); throws CourseValidationError
+  load(course) {
+    const parsed = typeof course === 'string' ? parseCourse(course) : course
+    // An edited generated course is no longer what its seed builds
+    const { seed, generator, ...meta } = parsed.meta
+    if (seed !== undefined) delete meta.id
+    this.meta = meta
+    this.holes = parsed.holes.map(cloneHole)
+    this.holeIndex = 0
+    this.selected = -1
+    this._emit('load', { hole: 0 })
+    return this
+  }
+
+  get hole() {
+    return this.holes[this.holeIndex]
+  }
+
+  get selectedWall() {
+    return this.hole.walls[this.selected] ?? null
+  }
+
+  selectHole(index) {
+    this.holeIndex = Math.max(0, Math.min(this.holes.length - 1, index))
+    this.selected = -1
+    this._emit('load', { hole: this.holeIndex })
+  }
+
+  addHole() {
+    this.holes.splice(this.holeIndex + 1, 0, createBlankHole(`Hole ${this.holes.length + 1}`))
+    this.selectHole(this.holeIndex + 1)
+  }
+
+  removeHole() {
+    if (this.holes.length === 1) return false
+    this.holes.splice(this.holeIndex, 1)
+    this.selectHole(Math.min(this.holeIndex, this.holes.length - 1))
+    return true
+  }
+
+  select(index) {
+    this.selected = index >= 0 && index < this.hole.walls.length ? index : -1
+    this._emit('select', { hole: this.holeIndex, wall: this.selected })
+  }
+
+  // ── Walls ──
+
+  // Box wall from one point to another (drag-to-draw); returns its index
+  addWall(from, to, thickness = WALL_THICKNESS) {
+    const dx = to[0] - from[0]
+    const dz = to[1] - from[1]
+    const wall = {
+      pos: [snap((from[0] + to[0]) / 2), DEFAULT_WALL_HEIGHT / 2, snap((from[1] + to[1]) / 2)],
+      size: [Math.max(MIN_WALL_SIZE, snap(Math.hypot(dx, dz))), DEFAULT_WALL_HEIGHT, thickness],
+      rotation: normalizeDegrees(Math.round((Math.atan2(-dz, dx) * 180) / Math.PI)),
+    }
+    this.hole.walls.push(wall)
+    this.selected = this.hole.walls.length - 1
+    this._changed('add-wall')
+    return this.selected
+  }
+
+  removeWall(index = this.selected) {
+    if (!this.hole.walls[index]) return false
+    this.hole.walls.splice(index, 1)
+    this.selected = -1
+    this._changed('remove-wall')
+    return true
+  }
+
+  // Put the wall's centre at (x, z); every wall type moves as a whole
+  moveWall(index, x, z) {
+    const wall = this.hole.walls[index]
+    const [cx, cz] = getWallCenter(wall)
+    const dx = snap(x) - cx
+    const dz = snap(z) - cz
+    if (!dx && !dz) return
+    if ((wall.type || 'box') === 'box') wall.pos = [snap(x), wall.pos[1], snap(z)]
+    else transformWall(wall, ([px, pz]) => [px + dx, pz + dz])
+    this._changed('move-wall')
+  }
+
+  // Box walls take a new width and depth; other walls scale to fit the width
+  resizeWall(index, width, depth) {
+    const wall = this.hole.walls[index]
+    width = Math.max(MIN_WALL_SIZE, snap(width))
+    depth = Math.max(MIN_WALL_SIZE, snap(depth))
+    if ((wall.type || 'box') === 'box') {
+      wall.size = [width, wall.size[1], depth]
+    } else {
+      const b = getPolygonBounds(getWallPoints(wall))
+      const scale = width / Math.max(MIN_WALL_SIZE, b.maxX - b.minX)
+      const [cx, cz] = getWallCenter(wall)
+      transformWall(wall, ([px, pz]) => [cx + (px - cx) * scale, cz + (pz - cz) * scale])
+    }
+    this._changed('resize-wall')
+  }
+
+  // Turn a wall about its centre by `degrees` (box walls keep it in `rotation`)
+  rotateWall(index, degrees) {
+    const wall = this.hole.walls[index]
+    if (!degrees) return
+    if ((wall.type || 'box') === 'box') {
+      wall.rotation = normalizeDegrees((wall.rotation || 0) + degrees)
+    } else {
+      const [cx, cz] = getWallCenter(wall)
+      const rad = (degrees * Math.PI) / 180
+      transformWall(wall, ([px, pz]) => {
+        const [x, z] = rotateXZ(px - cx, pz - cz, rad)
+        return [cx + x, cz + z]
+      })
+    }
+    this._changed('rotate-wall')
+  }
+
+  // ── Tee, cup, par and label ──
+
+  setTee(x, z) {
+    this.hole.ballStart = [snap(x), this.hole.ballStart[1], snap(z)]
+    this._changed('tee')
+  }
+
+  setCup(x, z) {
+    this.hole.holePos = [snap(x), this.hole.holePos[1], snap(z)]
+    this._changed('cup')
+  }
+
+  setPar(par) {
+    par = Math.round(Number(par))
+    if (!(par >= 1)) return
+    this.hole.par = par
+    this._changed('par')
+  }
+
+  setLabel(label) {
+    this.hole.label = String(label)
+    this._changed('label')
+  }
+
+  setName(name) {
+    this.meta.name = String(name)
+    this._changed('name')
+  }
+
+  // ── Export ──
+
+  // Course-file object for the current state
+  toJSON() {
+    return {
+      format: COURSE_FORMAT,
+      version: COURSE_VERSION,
+      meta: { ...this.meta },
+      holes: this.holes.map(cloneHole),
+    }
+  }
+
+  // Millimetres are plenty; rotated shapes would otherwise export long fractions
+  exportJSON() {
+    return JSON.stringify(this.toJSON(), (_, v) => (typeof v === 'number' ? Math.round(v * 1000) / 1000 : v), 2)
+  }
+
+  // Validation errors for the whole course (empty when it can be played)
+  getErrors() {
+    return validateCourse(this.toJSON())
+  }
+
+  // The working course parsed for play (throws CourseValidationError)
+  toCourse() {
+    return parseCourse(this.toJSON())
+  }
+
+  // Green size, for framing the camera
+  getBounds() {
+    return getCourseBounds(this.hole.walls)
+  }
+
+  _changed(reason) {
+    this._emit('change', { hole: this.holeIndex, reason })
+  }
+}
+
+// Rewrite a wall's points in place with fn([x, z]) → [x, z]
+function transformWall(wall, fn) {
+  const type = wall.type || 'box'
+  if (type === 'box') {
+    const [x, z] = fn([wall.pos[0], wall.pos[2]])
+    wall.pos = [x, wall.pos[1], z]
+  } else if (type === 'segment') {
+    wall.from = fn(wall.from)
+    wall.to = fn(wall.to)
+  } else {
+    wall.points = wall.points.map(fn)
+  }
+}
+
+function normalizeDegrees(deg) {
+  return ((deg % 360) + 360) % 360
+}
+
+// Deep copy through JSON: course data is plain arrays and numbers
+function cloneHole(hole) {
+  return JSON.parse(JSON.stringify(hole))
+}
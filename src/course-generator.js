@@ -0,0 +1,190 @@
+/**
+ * Course generator — seeded procedural holes in the course-data format.
+ * The same seed always builds the same course, so the seed is all players
+ * need to share a layout (daily challenges use the date as the seed).
+ *
+ * Each hole is a walled rectangle with a tee at one end, a cup at the other
+ * and one or two barrier layouts in between. Every hole is checked for a
+ * rolling path from the tee to the cup (see distance-field.js) and rebuilt
+ * until it has one. Par comes from that path's length — a quick estimate;
+ * tools/analyze-course.js gives a simulated one.
+ */
+
+import { COURSE_FORMAT, COURSE_VERSION, validateCourse } from './course-loader.js'
+import { createDistanceField } from './distance-field.js'
+import { wallToPolygon, circleOverlap } from './wall-shapes.js'
+import { createRandom } from './random.js'
+
+export const GENERATOR_VERSION = 1
+
+const ID_PREFIX = 'seed:'
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const MAX_ATTEMPTS = 20
+const CLEARANCE = 0.6 // barriers stay this far from the tee and the cup
+const WALL_HEIGHT = 0.3
+const SHOT_LENGTH = 4.5 // about a full-power roll in the demo
+
+// Barrier layouts; each returns walls (in a hole spanning ±w/2 × ±d/2) and a name
+const LAYOUTS = {
+  gate(rand, w, d) {
+    const x = (rand() - 0.5) * w * 0.3
+    const gap = 0.9 + rand() * 0.7
+    const gapZ = (rand() - 0.5) * (d - gap - 1)
+    const top = d / 2 - (gapZ + gap / 2)
+    const bottom = gapZ - gap / 2 + d / 2
+    return {
+      name: 'Gate',
+      walls: [
+        box(x, gapZ + gap / 2 + top / 2, 0.2, top),
+        box(x, gapZ - gap / 2 - bottom / 2, 0.2, bottom),
+      ],
+    }
+  },
+  dogleg(rand, w, d) {
+    const x = (rand() - 0.5) * w * 0.4
+    const length = d * (0.55 + rand() * 0.2)
+    const fromTop = rand() < 0.5
+    const z = fromTop ? -d / 2 + length / 2 : d / 2 - length / 2
+    return { name: 'Dogleg', walls: [box(x, z, 0.2, length)] }
+  },
+  posts(rand, w, d) {
+    const count = 2 + Math.floor(rand() * 3)
+    const walls = Array.from({ length: count }, () => ({
+      ...box((rand() - 0.5) * w * 0.6, (rand() - 0.5) * d * 0.7, 0.3 + rand() * 0.3, 0.3 + rand() * 0.3),
+      rotation: Math.round(rand() * 90),
+    }))
+    return { name: 'Pinball', walls }
+  },
+  crossbar(rand, w, d) {
+    const length = Math.min(w, d) * (0.35 + rand() * 0.25)
+    return {
+      name: 'Crossbar',
+      walls: [{ ...box((rand() - 0.5) * w * 0.3, (rand() - 0.5) * d * 0.3, length, 0.2), rotation: Math.round(20 + rand() * 140) }],
+    }
+  },
+  bumper(rand, w, d) {
+    // Triangle jutting in from the top or bottom wall
+    const size = 1 + rand() * 1.2
+    const side = rand() < 0.5 ? -1 : 1
+    const x = (rand() - 0.5) * w * 0.4
+    const edge = side * (d / 2 - 0.1)
+    return {
+      name: 'Bumper',
+      walls: [{
+        type: 'polygon',
+        points: [[x - size / 2, edge], [x + size / 2, edge], [x, edge - side * size * 0.8]].map(([px, pz]) => [round(px), round(pz)]),
+      }],
+    }
+  },
+}
+
+// Random shareable seed: 6 characters, no 0/O or 1/I
+export function createSeed(random = Math.random) {
+  return Array.from({ length: 6 }, () => SEED_ALPHABET[Math.floor(random() * SEED_ALPHABET.length)]).join('')
+}
+
+// Everyone playing on the same (local) day gets the same seed
+export function getDailySeed(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `daily-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+export function getGeneratedCourseId(seed) {
+  return `${ID_PREFIX}${seed}`
+}
+
+// Seed behind a generated course id, or null for hand-made courses
+export function getSeedFromCourseId(id) {
+  return typeof id === 'string' && id.startsWith(ID_PREFIX) ? id.slice(ID_PREFIX.length) : null
+}
+
+/**
+ * One hole from a seed. Holes are independent, so hole `index` is the same
+ * whether it's built alone (endless play) or as part of a course.
+ */
+export function generateHole(seed, index = 0) {
+  const rand = createRandom(`${seed}#${index}`)
+  // Later holes get bigger and busier
+  const ramp = Math.min(1, index / 8)
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const hole = buildHole(rand, ramp)
+    if (hole) return hole
+  }
+  return buildHole(rand, ramp, { barriers: false })
+}
+
+/**
+ * A whole course in the course-file shape (pass it to parseCourse()).
+ * meta.id is `seed:<seed>` so saved rounds and replays stay per layout.
+ */
+export function generateCourse(seed = createSeed(), { holes = 6, name } = {}) {
+  const course = {
+    format: COURSE_FORMAT,
+    version: COURSE_VERSION,
+    meta: {
+      id: getGeneratedCourseId(seed),
+      name: name || `Course ${seed}`,
+      seed: String(seed),
+      generator: GENERATOR_VERSION,
+    },
+    holes: Array.from({ length: holes }, (_, i) => generateHole(seed, i)),
+  }
+  const errors = validateCourse(course)
+  if (errors.length) throw new Error(`Generated course ${seed} is invalid: ${errors.join('; ')}`)
+  return course
+}
+
+function buildHole(rand, ramp, { barriers = true } = {}) {
+  const w = round(6 + rand() * (2 + ramp * 2))
+  const d = round(4 + rand() * (2 + ramp * 2))
+
+  // Tee and cup at opposite ends; flip half the holes so they don't all play left to right
+  const flip = rand() < 0.5 ? -1 : 1
+  const tee = [round(flip * (-w / 2 + 0.8)), 0.15, round((rand() - 0.5) * (d - 1.6))]
+  const cup = [round(flip * (w / 2 - 0.8)), 0.01, round((rand() - 0.5) * (d - 1.6))]
+
+  const walls = [
+    box(0, -d / 2, w, 0.2),
+    box(0, d / 2, w, 0.2),
+    box(-w / 2, 0, 0.2, d),
+    box(w / 2, 0, 0.2, d),
+  ]
+  const names = []
+  if (barriers) {
+    const keys = Object.keys(LAYOUTS)
+    const count = rand() < 0.35 + ramp * 0.4 ? 2 : 1
+    for (let i = 0; i < count; i++) {
+      const layout = LAYOUTS[keys[Math.floor(rand() * keys.length)]](rand, w, d)
+      const clear = layout.walls.every((wall) => {
+        const poly = wallToPolygon(wall)
+        return !circleOverlap(poly, tee[0], tee[2], CLEARANCE) && !circleOverlap(poly, cup[0], cup[2], CLEARANCE)
+      })
+      if (!clear || names.includes(layout.name)) continue
+      walls.push(...layout.walls)
+      names.push(layout.name)
+    }
+  }
+
+  const hole = {
+    label: names.length ? names.join(' & ') : 'Open Green',
+    par: 2,
+    ballStart: tee,
+    holePos: cup,
+    walls,
+    surfaces: [],
+    obstacles: [],
+  }
+  const path = createDistanceField(hole).distanceAt(tee[0], tee[2])
+  if (!Number.isFinite(path)) return null
+  hole.par = Math.min(5, 2 + Math.floor(path / SHOT_LENGTH))
+  return hole
+}
+
+function box(x, z, width, depth) {
+  return { pos: [round(x), WALL_HEIGHT / 2, round(z)], size: [round(width), WALL_HEIGHT, round(depth)] }
+}
+
+// Two decimals keeps exported course files readable
+function round(v) {
+  return Math.round(v * 100) / 100
+}
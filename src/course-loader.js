@@ -0,0 +1,300 @@
+/**
+ * Course loader — versioned JSON course format with validation.
+ * Lets designers ship new holes as data instead of editing app.js.
+ *
+ * Format (version 1):
+ *   {
+ *     "format": "webar-game-kit/course",
+ *     "version": 1,
+ *     "meta": { "id", "name", "author", "description" },
+ *     "holes": [{
+ *       "label": "Straight Shot",
+ *       "par": 3,
+ *       "ballStart": [x, y, z],
+ *       "holePos": [x, y, z],
+ *       "walls": [{ "pos": [x, y, z], "size": [w, h, d], "rotation": 0 }],
+ *       "surfaces": [],
+ *       "obstacles": []
+ *     }]
+ *   }
+ *
+ * Walls may also be { "type": "segment", "from", "to" } or
+ * { "type": "polygon", "points" } — see wall-shapes.js.
+ * Surfaces are { "type": "sand" | "water" | ..., "shape": <wall> } — see surfaces.js.
+ * Obstacles are { "type": "mover" | "windmill", ... } — see moving-obstacle.js.
+ * The boundary of a hole is the bounding box of its walls.
+ */
+
+import { getWallPoints, getPolygonBounds, isConvex, wallToPolygon, circleOverlap } from './wall-shapes.js'
+import { SURFACE_TYPES, createSurface } from './surfaces.js'
+import { OBSTACLE_TYPES } from './moving-obstacle.js'
+import { CURVE_ALPHA, EASINGS } from './curve-animator.js'
+
+export const COURSE_FORMAT = 'webar-game-kit/course'
+export const COURSE_VERSION = 1
+
+const BALL_RADIUS = 0.12
+
+export class CourseValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid course:\n  - ${errors.join('\n  - ')}`)
+    this.name = 'CourseValidationError'
+    this.errors = errors
+  }
+}
+
+function isNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v)
+}
+
+function isVec3(v) {
+  return Array.isArray(v) && v.length === 3 && v.every(isNumber)
+}
+
+function isVec2(v) {
+  return Array.isArray(v) && v.length === 2 && v.every(isNumber)
+}
+
+// Bounding box of a hole's walls in the x/z plane
+export function getCourseBounds(walls) {
+  return getPolygonBounds(walls.flatMap(getWallPoints))
+}
+
+function validateWall(w, path, errors) {
+  if (!w || typeof w !== 'object') {
+    errors.push(`${path}: must be an object`)
+    return false
+  }
+  const before = errors.length
+  const type = w.type || 'box'
+
+  if (type === 'box') {
+    if (!isVec3(w.pos)) errors.push(`${path}.pos: expected [x, y, z]`)
+    if (!isVec3(w.size)) errors.push(`${path}.size: expected [width, height, depth]`)
+    else if (w.size.some((n) => n <= 0)) errors.push(`${path}.size: all dimensions must be positive`)
+    if (w.rotation !== undefined && !isNumber(w.rotation)) errors.push(`${path}.rotation: must be a number of degrees`)
+  } else if (type === 'segment') {
+    if (!isVec2(w.from)) errors.push(`${path}.from: expected [x, z]`)
+    if (!isVec2(w.to)) errors.push(`${path}.to: expected [x, z]`)
+    if (isVec2(w.from) && isVec2(w.to) && w.from[0] === w.to[0] && w.from[1] === w.to[1]) {
+      errors.push(`${path}: segment has zero length`)
+    }
+    if (w.thickness !== undefined && !(isNumber(w.thickness) && w.thickness >= 0)) {
+      errors.push(`${path}.thickness: must be a non-negative number`)
+    }
+  } else if (type === 'polygon') {
+    if (!Array.isArray(w.points) || !w.points.every(isVec2)) errors.push(`${path}.points: expected [[x, z], ...]`)
+    else if (!isConvex(w.points)) errors.push(`${path}.points: polygon must be convex with at least 3 points`)
+  } else {
+    errors.push(`${path}.type: unknown wall type "${type}"`)
+  }
+
+  if (type !== 'box' && w.height !== undefined && !(isNumber(w.height) && w.height > 0)) {
+    errors.push(`${path}.height: must be a positive number`)
+  }
+  return errors.length === before
+}
+
+function validateSurface(sf, path, errors) {
+  if (!sf || typeof sf !== 'object') {
+    errors.push(`${path}: must be an object`)
+    return
+  }
+  if (!SURFACE_TYPES.includes(sf.type)) {
+    errors.push(`${path}.type: expected one of ${SURFACE_TYPES.join(', ')}`)
+    return
+  }
+
+  if (sf.type === 'heightfield') {
+    if (!isVec2(sf.origin)) errors.push(`${path}.origin: expected [x, z]`)
+    if (!(isNumber(sf.cellSize) && sf.cellSize > 0)) errors.push(`${path}.cellSize: must be a positive number`)
+    const rows = sf.heights
+    if (!Array.isArray(rows) || rows.length < 2 || !rows.every((r) => Array.isArray(r) && r.length === rows[0].length && r.length >= 2 && r.every(isNumber))) {
+      errors.push(`${path}.heights: expected a grid of at least 2×2 numbers with equal-length rows`)
+    }
+    return
+  }
+
+  if (!validateWall(sf.shape, `${path}.shape`, errors)) return
+  if (sf.shape.type === 'segment' && !sf.shape.thickness) errors.push(`${path}.shape: segment needs a thickness to cover an area`)
+
+  if (sf.type === 'slope' && !isVec2(sf.gradient)) errors.push(`${path}.gradient: expected [rise per x, rise per z]`)
+  if (sf.type === 'sand' && sf.friction !== undefined && !(isNumber(sf.friction) && sf.friction > 0 && sf.friction <= 1)) {
+    errors.push(`${path}.friction: must be between 0 and 1`)
+  }
+  if (sf.type === 'water' && sf.penalty !== undefined && !(Number.isInteger(sf.penalty) && sf.penalty >= 0)) {
+    errors.push(`${path}.penalty: must be a non-negative integer`)
+  }
+  if (sf.type === 'boost') {
+    if (!isVec2(sf.direction) || (sf.direction[0] === 0 && sf.direction[1] === 0)) errors.push(`${path}.direction: expected a non-zero [x, z]`)
+    if (sf.acceleration !== undefined && !isNumber(sf.acceleration)) errors.push(`${path}.acceleration: must be a number`)
+  }
+}
+
+function validateObstacle(ob, path, errors) {
+  if (!ob || typeof ob !== 'object') {
+    errors.push(`${path}: must be an object`)
+    return
+  }
+  if (!OBSTACLE_TYPES.includes(ob.type)) {
+    errors.push(`${path}.type: expected one of ${OBSTACLE_TYPES.join(', ')}`)
+    return
+  }
+  if (ob.phase !== undefined && !isNumber(ob.phase)) errors.push(`${path}.phase: must be a number of seconds`)
+
+  if (ob.type === 'windmill') {
+    if (!isVec2(ob.pos)) errors.push(`${path}.pos: expected [x, z]`)
+    if (ob.blades !== undefined && !(Number.isInteger(ob.blades) && ob.blades >= 1)) errors.push(`${path}.blades: must be a positive integer`)
+    for (const key of ['bladeLength', 'bladeWidth', 'duration']) {
+      if (ob[key] !== undefined && !(isNumber(ob[key]) && ob[key] > 0)) errors.push(`${path}.${key}: must be a positive number`)
+    }
+    return
+  }
+
+  validateWall(ob.shape, `${path}.shape`, errors)
+  if (ob.spin !== undefined && !isNumber(ob.spin)) errors.push(`${path}.spin: must be a number of degrees per second`)
+  const p = ob.path
+  if (!p || typeof p !== 'object') {
+    errors.push(`${path}.path: missing`)
+    return
+  }
+  if (!Array.isArray(p.points) || p.points.length < 2 || !p.points.every(isVec3)) {
+    errors.push(`${path}.path.points: expected at least 2 [x, y, z] points`)
+  }
+  if (p.mode !== undefined && p.mode !== 'train' && p.mode !== 'time') errors.push(`${path}.path.mode: expected "train" or "time"`)
+  for (const key of ['speed', 'duration']) {
+    if (p[key] !== undefined && !(isNumber(p[key]) && p[key] > 0)) errors.push(`${path}.path.${key}: must be a positive number`)
+  }
+  if (p.closed !== undefined && typeof p.closed !== 'boolean') errors.push(`${path}.path.closed: must be true or false`)
+  else if (p.closed && Array.isArray(p.points) && p.points.length < 3) errors.push(`${path}.path.closed: a closed path needs at least 3 points`)
+  if (p.alpha !== undefined && !(isNumber(p.alpha) && p.alpha >= 0 && p.alpha <= 1) && !(p.alpha in CURVE_ALPHA)) {
+    errors.push(`${path}.path.alpha: expected a number from 0 to 1 or one of ${Object.keys(CURVE_ALPHA).join(', ')}`)
+  }
+  for (const key of ['pingPong', 'reverse']) {
+    if (p[key] !== undefined && typeof p[key] !== 'boolean') errors.push(`${path}.path.${key}: must be true or false`)
+  }
+  if (p.easing !== undefined && !Object.hasOwn(EASINGS, p.easing)) {
+    errors.push(`${path}.path.easing: expected one of ${Object.keys(EASINGS).join(', ')}`)
+  }
+  if (p.speedProfile !== undefined && !(Array.isArray(p.speedProfile) && p.speedProfile.length && p.speedProfile.every(
+    (k) => Array.isArray(k) && k.length === 2 && isNumber(k[0]) && k[0] >= 0 && k[0] <= 1 && isNumber(k[1]) && k[1] > 0
+  ))) {
+    errors.push(`${path}.path.speedProfile: expected [[fraction 0-1, speed multiplier > 0], ...]`)
+  }
+}
+
+function validateHole(hole, path, errors) {
+  if (!hole || typeof hole !== 'object') {
+    errors.push(`${path}: must be an object`)
+    return
+  }
+
+  if (hole.par === undefined) errors.push(`${path}: missing par`)
+  else if (!Number.isInteger(hole.par) || hole.par < 1) errors.push(`${path}.par: must be a positive integer`)
+
+  if (hole.label !== undefined && typeof hole.label !== 'string') errors.push(`${path}.label: must be a string`)
+  if (!isVec3(hole.ballStart)) errors.push(`${path}.ballStart: expected [x, y, z]`)
+  if (!isVec3(hole.holePos)) errors.push(`${path}.holePos: expected [x, y, z]`)
+
+  if (!Array.isArray(hole.walls) || hole.walls.length === 0) {
+    errors.push(`${path}.walls: expected a non-empty array`)
+    return
+  }
+  const wallsOk = hole.walls.map((w, i) => validateWall(w, `${path}.walls[${i}]`, errors)).every(Boolean)
+
+  for (const key of ['surfaces', 'obstacles']) {
+    if (hole[key] !== undefined && !Array.isArray(hole[key])) errors.push(`${path}.${key}: must be an array`)
+  }
+  const surfacesStart = errors.length
+  if (Array.isArray(hole.surfaces)) hole.surfaces.forEach((sf, i) => validateSurface(sf, `${path}.surfaces[${i}]`, errors))
+  const surfacesOk = errors.length === surfacesStart
+  if (Array.isArray(hole.obstacles)) hole.obstacles.forEach((ob, i) => validateObstacle(ob, `${path}.obstacles[${i}]`, errors))
+
+  if (!wallsOk || !isVec3(hole.ballStart) || !isVec3(hole.holePos)) return
+
+  // Spatial checks need well-formed walls and positions
+  const b = getCourseBounds(hole.walls)
+  const inBounds = (p) => p[0] > b.minX && p[0] < b.maxX && p[2] > b.minZ && p[2] < b.maxZ
+  if (!inBounds(hole.holePos)) errors.push(`${path}.holePos: hole is outside the course boundary`)
+  if (!inBounds(hole.ballStart)) errors.push(`${path}.ballStart: ball start is outside the course boundary`)
+
+  hole.walls.forEach((w, i) => {
+    const poly = wallToPolygon(w)
+    if (circleOverlap(poly, hole.ballStart[0], hole.ballStart[2], BALL_RADIUS)) {
+      errors.push(`${path}.ballStart: ball start is inside walls[${i}]`)
+    }
+    if (circleOverlap(poly, hole.holePos[0], hole.holePos[2], BALL_RADIUS)) {
+      errors.push(`${path}.holePos: hole is inside walls[${i}]`)
+    }
+  })
+
+  // The ball can't start (or the cup sit) in water
+  if (!surfacesOk || !Array.isArray(hole.surfaces)) return
+  hole.surfaces.forEach((sf, i) => {
+    if (sf.type !== 'water') return
+    const water = createSurface(sf)
+    if (water.contains(hole.ballStart[0], hole.ballStart[2])) errors.push(`${path}.ballStart: ball start is in water (surfaces[${i}])`)
+    if (water.contains(hole.holePos[0], hole.holePos[2])) errors.push(`${path}.holePos: hole is in water (surfaces[${i}])`)
+  })
+}
+
+/**
+ * Validate raw course data. Returns a list of error strings (empty if valid).
+ */
+export function validateCourse(data) {
+  const errors = []
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['course must be a JSON object']
+  }
+  if (data.format !== COURSE_FORMAT) errors.push(`format: expected "${COURSE_FORMAT}"`)
+  if (data.version === undefined) errors.push('version: missing')
+  else if (data.version > COURSE_VERSION) errors.push(`version: ${data.version} is newer than supported version ${COURSE_VERSION}`)
+  else if (!Number.isInteger(data.version) || data.version < 1) errors.push('version: must be a positive integer')
+  if (data.meta !== undefined && (typeof data.meta !== 'object' || data.meta === null)) errors.push('meta: must be an object')
+
+  if (!Array.isArray(data.holes) || data.holes.length === 0) {
+    errors.push('holes: expected a non-empty array')
+  } else {
+    data.holes.forEach((hole, i) => validateHole(hole, `holes[${i}]`, errors))
+  }
+  return errors
+}
+
+/**
+ * Parse and validate a course (JSON string or object).
+ * Returns { meta, holes } with defaults filled in; throws CourseValidationError.
+ */
+export function parseCourse(input) {
+  let data = input
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input)
+    } catch (err) {
+      throw new CourseValidationError([`not valid JSON: ${err.message}`])
+    }
+  }
+
+  const errors = validateCourse(data)
+  if (errors.length) throw new CourseValidationError(errors)
+
+  return {
+    version: data.version,
+    meta: { name: 'Untitled Course', ...data.meta },
+    holes: data.holes.map((hole, i) => ({
+      ...hole,
+      label: hole.label ?? `Hole ${i + 1}`,
+      walls: hole.walls.map((w) => ({ ...w })),
+      surfaces: hole.surfaces ?? [],
+      obstacles: hole.obstacles ?? [],
+    })),
+  }
+}
+
+/**
+ * Fetch and parse a course file by URL.
+ */
+export async function fetchCourse(url, fetchFn = fetch) {
+  const res = await fetchFn(url)
+  if (!res.ok) throw new Error(`Failed to load course ${url}: ${res.status}`)
+  return parseCourse(await res.text())
+}
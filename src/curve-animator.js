@@ -4,45 +4,116 @@
  *
  * Features:
  * - Catmull-Rom spline interpolation for smooth 3D curves
+ * - Uniform, centripetal or chordal parameterization (alpha 0, 0.5, 1)
+ * - Open or closed curves (closed wraps the last point back to the first)
  * - Arc-length lookup table (binary search) for constant-speed traversal
- * - Look-ahead orientation (object faces movement direction)
+ * - Tangent / normal / binormal from parallel-transport frames, which don't
+ *   flip on vertical sections the way lookAt() does
  * - Time-based or distance-based (train) modes
- * - Loop support
+ * - Easing per pass and train-mode speed profiles that vary along the path
+ * - Loop, ping-pong and reverse playback; seek by time, distance or progress
+ * - Events: on('start' | 'loop' | 'complete' | 'waypoint')
  * - Debug visualization
+ *
+ * Playback runs on a playhead clock (`time`, seconds into the current cycle),
+ * so a pose depends only on where the playhead is: play() then update(t)
+ * lands on the same pose as many small updates adding up to t.
  */
 
 import * as THREE from 'three'
 
+// Named alpha values (Barry–Goldman knot spacing |p(i+1) - p(i)|^alpha)
+export const CURVE_ALPHA = { uniform: 0, centripetal: 0.5, chordal: 1 }
+
+// Easing curves for one pass along the curve (0 → 1); pass a name or your own function
+export const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t,
+  easeOut: (t) => t * (2 - t),
+  easeInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) ** 2),
+  easeInCubic: (t) => t ** 3,
+  easeOutCubic: (t) => 1 - (1 - t) ** 3,
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t ** 3 : 1 - 4 * (1 - t) ** 3),
+  easeInOutSine: (t) => (1 - Math.cos(Math.PI * t)) / 2,
+}
+
+const EPSILON = 1e-9
+// Slowest a speed profile may go, so a zero in it can't stall the animation
+const MIN_SPEED_SCALE = 0.01
+const WORLD_UP = new THREE.Vector3(0, 1, 0)
+const _m = new THREE.Matrix4()
+const _x = new THREE.Vector3()
+
 export class CurveAnimator {
   constructor(points, {
     speed = 1.0,
     mode = 'train', // 'train' (constant speed) | 'time' (linear interpolation)
     duration = 3.0,
     loop = false,
+    closed = false, // curve runs on from the last point back to the first
+    alpha = 0, // 0 uniform, 0.5 centripetal (no cusps or overshoot), 1 chordal; or a CURVE_ALPHA name
     orientToDirection = true,
-    lookAheadDistance = 0.01,
+    lookAheadDistance = 0, // orientToDirection faces along the curve this far ahead (fraction of it); 0 is the tangent here
     arcLengthSegments = 200,
+    easing = 'linear', // EASINGS name or (t) => t, warps the clock of each pass
+    speedProfile = null, // train mode: [[fraction of length, speed multiplier], ...] or (fraction) => multiplier
+    pingPong = false, // run back to the start after reaching the end
+    reverse = false, // play from the end to the start
+    waypoints = [], // [{ name, distance } | { name, point: control point index }], see 'waypoint'
   } = {}) {
     this.points = points.map((p) =>
       p instanceof THREE.Vector3 ? p : new THREE.Vector3(p.x || p[0], p.y || p[1], p.z || p[2])
     )
+    // A closed curve needs no repeated end point (a circle drawn back to its start)
+    if (closed && this.points.length > 2 && this.points[0].distanceTo(this.points[this.points.length - 1]) < EPSILON) {
+      this.points.pop()
+    }
     this.speed = speed
     this.mode = mode
     this.duration = duration
     this.loop = loop
+    this.closed = closed
+    this.alpha = typeof alpha === 'string' ? CURVE_ALPHA[alpha] ?? 0 : alpha
     this.orientToDirection = orientToDirection
     this.lookAheadDistance = lookAheadDistance
+    this.easing = typeof easing === 'function' ? easing : EASINGS[easing]
+    if (!this.easing) throw new Error(`Unknown easing "${easing}" (expected ${Object.keys(EASINGS).join(', ')})`)
+    this.pingPong = pingPong
+    this.reversed = reverse
 
     // Build arc-length table for constant-speed traversal
     this.arcLengthTable = this._buildArcLengthTable(arcLengthSegments)
     this.totalLength = this.arcLengthTable[this.arcLengthTable.length - 1].distance
+    this._parameters = this.arcLengthTable.map((row) => row.parameter)
+    this._distances = this.arcLengthTable.map((row) => row.distance)
+    this._profileTimes = speedProfile ? this._buildProfileTimes(speedProfile) : null
+    this._frames = null
+
+    this.waypoints = []
+    waypoints.forEach(({ name, distance, point }) => {
+      const segments = this.closed ? this.points.length : this.points.length - 1
+      this.addWaypoint(name, distance ?? this.getDistanceForParameter(point / segments))
+    })
 
     // Animation state
+    this.time = 0
+    this.loopCount = 0
     this.progress = 0
     this.distanceTraveled = 0
     this.isPlaying = false
     this.isComplete = false
     this._target = null
+    this._listeners = {}
+  }
+
+  on(event, fn) {
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(fn)
+    return this
+  }
+
+  _emit(event, data) {
+    (this._listeners[event] || []).forEach((fn) => fn(data))
   }
 
   // Catmull-Rom interpolation between 4 points
@@ -56,20 +127,136 @@ export class CurveAnimator {
     )
   }
 
-  // Get position on the spline at parameter t (0-1)
-  getPoint(t) {
+  // Control points and local parameter for t (0-1). Open curves repeat their
+  // end points; closed ones wrap around.
+  _segment(t) {
     t = Math.max(0, Math.min(1, t))
     const pts = this.points
-    const n = pts.length - 1
+    const count = pts.length
+    const n = this.closed ? count : count - 1
     const segment = Math.min(Math.floor(t * n), n - 1)
-    const localT = (t * n) - segment
+    const u = (t * n) - segment
+    const at = this.closed
+      ? (i) => pts[(i + count) % count]
+      : (i) => pts[Math.max(0, Math.min(count - 1, i))]
+    return { p0: at(segment - 1), p1: at(segment), p2: at(segment + 1), p3: at(segment + 2), u }
+  }
 
-    const p0 = pts[Math.max(0, segment - 1)]
-    const p1 = pts[segment]
-    const p2 = pts[Math.min(n, segment + 1)]
-    const p3 = pts[Math.min(n, segment + 2)]
+  // Hermite tangents at p1 and p2 for the current alpha (per unit of u)
+  _tangents(p0, p1, p2, p3) {
+    const alpha = this.alpha
+    let d1 = p1.distanceTo(p2) ** alpha
+    if (d1 < EPSILON) d1 = 1
+    let d0 = p0.distanceTo(p1) ** alpha
+    let d2 = p2.distanceTo(p3) ** alpha
+    // Repeated end points have no spacing of their own
+    if (d0 < EPSILON) d0 = d1
+    if (d2 < EPSILON) d2 = d1
+    // (b - a) / d
+    const slope = (a, b, d) => b.clone().sub(a).divideScalar(d)
+    const m1 = slope(p0, p1, d0).sub(slope(p0, p2, d0 + d1)).add(slope(p1, p2, d1)).multiplyScalar(d1)
+    const m2 = slope(p1, p2, d1).sub(slope(p1, p3, d1 + d2)).add(slope(p2, p3, d2)).multiplyScalar(d1)
+    return [m1, m2]
+  }
 
-    return CurveAnimator.catmullRom(p0, p1, p2, p3, localT)
+  // Get position on the spline at parameter t (0-1)
+  getPoint(t) {
+    const { p0, p1, p2, p3, u } = this._segment(t)
+    if (!this.alpha) return CurveAnimator.catmullRom(p0, p1, p2, p3, u)
+
+    const [m1, m2] = this._tangents(p0, p1, p2, p3)
+    const u2 = u * u
+    const u3 = u2 * u
+    return new THREE.Vector3()
+      .addScaledVector(p1, 2 * u3 - 3 * u2 + 1)
+      .addScaledVector(m1, u3 - 2 * u2 + u)
+      .addScaledVector(p2, -2 * u3 + 3 * u2)
+      .addScaledVector(m2, u3 - u2)
+  }
+
+  // Unit direction of travel at parameter t
+  getTangent(t) {
+    const { p0, p1, p2, p3, u } = this._segment(t)
+    const [m1, m2] = this.alpha
+      ? this._tangents(p0, p1, p2, p3)
+      : [p2.clone().sub(p0).multiplyScalar(0.5), p3.clone().sub(p1).multiplyScalar(0.5)]
+    const u2 = u * u
+    const tangent = new THREE.Vector3()
+      .addScaledVector(p1, 6 * u2 - 6 * u)
+      .addScaledVector(m1, 3 * u2 - 4 * u + 1)
+      .addScaledVector(p2, -6 * u2 + 6 * u)
+      .addScaledVector(m2, 3 * u2 - 2 * u)
+    // Stalls (repeated points) fall back to the chord around t
+    if (tangent.lengthSq() < EPSILON) {
+      const step = 1 / (this.arcLengthTable.length - 1)
+      tangent.subVectors(this.getPoint(Math.min(1, t + step)), this.getPoint(Math.max(0, t - step)))
+    }
+    return tangent.normalize()
+  }
+
+  /**
+   * Orientation at parameter t: { tangent, normal, binormal } (unit, right-handed,
+   * binormal = tangent × normal). Normals are parallel-transported along the
+   * curve from the one closest to world up, so they never spin or flip at
+   * inflections or vertical sections; on closed curves the leftover twist is
+   * spread over the loop so the frame meets itself at the seam.
+   */
+  getFrame(t) {
+    const frames = this._frames || (this._frames = this._buildFrames())
+    t = Math.max(0, Math.min(1, t))
+    const table = this.arcLengthTable
+    const i = Math.min(table.length - 2, Math.floor(t * (table.length - 1)))
+    const f = t * (table.length - 1) - i
+    const tangent = this.getTangent(t)
+    // Blend the neighbouring samples, then square the result up with the exact tangent
+    const normal = frames[i].clone().lerp(frames[i + 1], f)
+    normal.addScaledVector(tangent, -normal.dot(tangent))
+    if (normal.lengthSq() < EPSILON) normal.copy(frames[i]).addScaledVector(tangent, -frames[i].dot(tangent))
+    normal.normalize()
+    return { tangent, normal, binormal: new THREE.Vector3().crossVectors(tangent, normal) }
+  }
+
+  getNormal(t) {
+    return this.getFrame(t).normal
+  }
+
+  getBinormal(t) {
+    return this.getFrame(t).binormal
+  }
+
+  // Normals at every arc-length sample, parallel-transported from the start
+  _buildFrames() {
+    const samples = this.arcLengthTable.map((row) => this.getTangent(row.parameter))
+    const first = samples[0]
+    const normal = WORLD_UP.clone().addScaledVector(first, -WORLD_UP.dot(first))
+    // Starting straight up or down: any horizontal normal will do
+    if (normal.lengthSq() < 1e-6) normal.set(1, 0, 0).addScaledVector(first, -first.x)
+    normal.normalize()
+
+    const normals = [normal.clone()]
+    const axis = new THREE.Vector3()
+    for (let i = 1; i < samples.length; i++) {
+      // Rotate the previous normal by the turn between consecutive tangents
+      axis.crossVectors(samples[i - 1], samples[i])
+      const sin = axis.length()
+      if (sin > EPSILON) {
+        const angle = Math.atan2(sin, THREE.MathUtils.clamp(samples[i - 1].dot(samples[i]), -1, 1))
+        normal.applyAxisAngle(axis.divideScalar(sin), angle)
+      }
+      normal.addScaledVector(samples[i], -normal.dot(samples[i])).normalize()
+      normals.push(normal.clone())
+    }
+
+    if (this.closed) {
+      // Twist between the transported end normal and the start normal
+      const last = normals[normals.length - 1]
+      let twist = Math.acos(THREE.MathUtils.clamp(last.dot(normals[0]), -1, 1))
+      if (_x.crossVectors(last, normals[0]).dot(samples[0]) < 0) twist = -twist
+      for (let i = 1; i < normals.length; i++) {
+        normals[i].applyAxisAngle(samples[i], (twist * i) / (normals.length - 1))
+      }
+    }
+    return normals
   }
 
   _buildArcLengthTable(segments) {
@@ -90,6 +277,7 @@ export class CurveAnimator {
   // Binary search: distance → parameter
   getParameterForDistance(targetDist) {
     const table = this.arcLengthTable
+    if (this.closed && this.totalLength > 0) targetDist = ((targetDist % this.totalLength) + this.totalLength) % this.totalLength
     if (targetDist <= 0) return 0
     if (targetDist >= this.totalLength) return 1
 
@@ -106,6 +294,85 @@ export class CurveAnimator {
     return table[low].parameter + frac * (table[high].parameter - table[low].parameter)
   }
 
+  // Arc length from the start to parameter t (0-1)
+  getDistanceForParameter(t) {
+    return lookup(this._parameters, this._distances, t)
+  }
+
+  // Position `distance` along the curve from the start (wraps on closed curves)
+  getPointAtDistance(distance) {
+    return this.getPoint(this.getParameterForDistance(distance))
+  }
+
+  getFrameAtDistance(distance) {
+    return this.getFrame(this.getParameterForDistance(distance))
+  }
+
+  // Time (at speed 1) to reach each arc-length sample under a speed profile
+  _buildProfileTimes(profile) {
+    let scaleAt = profile
+    if (typeof profile !== 'function') {
+      const keys = [...profile].sort((a, b) => a[0] - b[0])
+      scaleAt = (f) => lookup(keys.map((k) => k[0]), keys.map((k) => k[1]), f)
+    }
+    const d = this._distances
+    const length = this.totalLength || 1
+    const times = [0]
+    for (let i = 1; i < d.length; i++) {
+      const scale = Math.max(MIN_SPEED_SCALE, scaleAt((d[i - 1] + d[i]) / 2 / length))
+      times.push(times[i - 1] + (d[i] - d[i - 1]) / scale)
+    }
+    return times
+  }
+
+  // Named point `distance` along the curve; 'waypoint' fires when playback passes it
+  addWaypoint(name, distance) {
+    this.waypoints.push({ name, distance })
+    this.waypoints.sort((a, b) => a.distance - b.distance)
+    return this
+  }
+
+  // Seconds for one run from end to end
+  get passDuration() {
+    if (this.mode !== 'train') return this.duration
+    const length = this._profileTimes ? this._profileTimes[this._profileTimes.length - 1] : this.totalLength
+    return length / this.speed
+  }
+
+  // Seconds for a full cycle: one pass, or there and back when ping-ponging
+  get cycleDuration() {
+    return this.passDuration * (this.pingPong ? 2 : 1)
+  }
+
+  // Pass the playhead is on; a boundary belongs to the pass being played into it
+  _passAt(time) {
+    const pass = this.reversed ? Math.ceil(time / this.passDuration) - 1 : Math.floor(time / this.passDuration)
+    return Math.max(0, Math.min(this.pingPong ? 1 : 0, pass))
+  }
+
+  // { distance, progress } with the playhead at `time` on pass `pass`
+  // (odd passes run backwards when ping-ponging)
+  _locate(time, pass = this._passAt(time)) {
+    let u = clamp01((time - pass * this.passDuration) / this.passDuration)
+    if (this.pingPong && pass % 2) u = 1 - u
+    u = this.easing(u)
+    if (this.mode !== 'train') {
+      const progress = clamp01(u)
+      return { distance: this.getDistanceForParameter(progress), progress }
+    }
+    const distance = this._profileTimes
+      ? lookup(this._profileTimes, this._distances, u * this._profileTimes[this._profileTimes.length - 1])
+      : u * this.totalLength
+    return { distance, progress: this.getParameterForDistance(distance) }
+  }
+
+  // Refresh progress and distanceTraveled from the playhead
+  _sync() {
+    const { distance, progress } = this._locate(this.time)
+    this.distanceTraveled = distance
+    this.progress = progress
+  }
+
   // Attach to a Three.js Object3D
   attachTo(object3D) {
     this._target = object3D
@@ -115,8 +382,10 @@ export class CurveAnimator {
   play() {
     this.isPlaying = true
     this.isComplete = false
-    this.progress = 0
-    this.distanceTraveled = 0
+    this.loopCount = 0
+    this.time = this.reversed ? this.cycleDuration : 0
+    this._sync()
+    this._emit('start', { reversed: this.reversed })
     return this
   }
 
@@ -124,55 +393,144 @@ export class CurveAnimator {
   resume() { this.isPlaying = true; return this }
 
   reset() {
-    this.progress = 0
-    this.distanceTraveled = 0
+    this.time = this.reversed ? this.cycleDuration : 0
+    this.loopCount = 0
     this.isPlaying = false
     this.isComplete = false
+    this._sync()
     return this
   }
 
+  // Turn around where the playhead is; a finished animation plays back the way it came
+  reverse() {
+    this.reversed = !this.reversed
+    this.isComplete = false
+    return this
+  }
+
+  // Change train speed without the playhead jumping (assigning `speed` directly rescales the timeline)
+  setSpeed(speed) {
+    if (this.mode === 'train') this.time *= this.speed / speed
+    this.speed = speed
+    return this
+  }
+
+  // Move the playhead to `time` seconds into the cycle (no events fire)
+  seek(time) {
+    const cycle = this.cycleDuration
+    if (this.loop) this.time = time < 0 || time > cycle ? ((time % cycle) + cycle) % cycle : time
+    else this.time = Math.max(0, Math.min(cycle, time))
+    this.isComplete = false
+    return this._apply()
+  }
+
+  // Move the playhead to `distance` along the curve, on the pass it's on now
+  seekDistance(distance) {
+    if (this.mode !== 'train') return this.seekProgress(this.getParameterForDistance(distance))
+    const length = this.totalLength
+    const d = this.closed && length > 0 ? ((distance % length) + length) % length : Math.max(0, Math.min(length, distance))
+    const times = this._profileTimes
+    return this._seekPass(times ? lookup(this._distances, times, d) / times[times.length - 1] : length > 0 ? d / length : 0)
+  }
+
+  // Move the playhead to curve parameter t (the `progress` property)
+  seekProgress(t) {
+    if (this.mode === 'train') return this.seekDistance(this.getDistanceForParameter(t))
+    return this._seekPass(clamp01(t))
+  }
+
+  // Seek to eased fraction `u` of the current pass
+  _seekPass(u) {
+    const pass = this._passAt(this.time)
+    u = invertEasing(this.easing, u)
+    if (this.pingPong && pass % 2) u = 1 - u
+    return this.seek((pass + u) * this.passDuration)
+  }
+
   // Call in animation loop with deltaTime in seconds
   update(dt) {
     if (!this.isPlaying || this.isComplete) return
 
-    if (this.mode === 'train') {
-      this.distanceTraveled += this.speed * dt
-      if (this.distanceTraveled >= this.totalLength) {
-        if (this.loop) {
-          this.distanceTraveled %= this.totalLength
-        } else {
-          this.distanceTraveled = this.totalLength
-          this.isComplete = true
-        }
+    const cycle = this.cycleDuration
+    const from = this.time
+    let to = from + (this.reversed ? -dt : dt)
+    let loops = 0
+    let complete = false
+    if (this.loop) {
+      if (to >= cycle || to < 0) {
+        loops = Math.abs(Math.floor(to / cycle))
+        this.time = to - Math.floor(to / cycle) * cycle
+      } else {
+        this.time = to
       }
-      this.progress = this.getParameterForDistance(this.distanceTraveled)
     } else {
-      this.progress += dt / this.duration
-      if (this.progress >= 1) {
-        if (this.loop) {
-          this.progress %= 1
-        } else {
-          this.progress = 1
-          this.isComplete = true
-        }
-      }
+      to = Math.max(0, Math.min(cycle, to))
+      complete = this.reversed ? to <= 0 : to >= cycle
+      this.time = to
     }
+    this.isComplete = complete
 
+    const position = this._apply()
+
+    // Events fire after the move, so listeners see the new pose
+    if (this.waypoints.length && to !== from) this._passWaypoints(from, to)
+    for (let i = 0; i < loops; i++) {
+      this.loopCount++
+      this._emit('loop', { count: this.loopCount })
+    }
+    if (complete) this._emit('complete', { reversed: this.reversed })
+    return position
+  }
+
+  // Place the target at the playhead
+  _apply() {
+    this._sync()
     const position = this.getPoint(this.progress)
 
     if (this._target) {
       this._target.position.copy(position)
 
       if (this.orientToDirection) {
-        const ahead = this.getPoint(Math.min(1, this.progress + this.lookAheadDistance))
-        this._target.lookAt(ahead)
+        // Object3D.lookAt() convention (+z forward), but from the transported
+        // frame so the object doesn't roll over on vertical sections
+        const { tangent, normal } = this.getFrame(this._lookAheadParameter())
+        _m.makeBasis(_x.crossVectors(normal, tangent), normal, tangent)
+        this._target.quaternion.setFromRotationMatrix(_m)
       }
     }
 
     return position
   }
 
-  // Generate debug spheres along the curve
+  // Where orientToDirection reads the frame: lookAheadDistance past the playhead (wrapping on closed curves)
+  _lookAheadParameter() {
+    const t = this.progress + this.lookAheadDistance
+    if (this.closed) return t - Math.floor(t)
+    return Math.min(1, t)
+  }
+
+  // Emit 'waypoint' for every waypoint passed between two (unwrapped) playhead
+  // times, pass by pass and in the order they're reached
+  _passWaypoints(from, to) {
+    const duration = this.passDuration
+    const dir = to > from ? 1 : -1
+    let pass = dir > 0 ? Math.floor(from / duration) : Math.ceil(from / duration) - 1
+    let start = from
+    for (;;) {
+      const end = dir > 0 ? Math.min(to, (pass + 1) * duration) : Math.max(to, pass * duration)
+      const a = this._locate(start, pass).distance
+      const b = this._locate(end, pass).distance
+      const passed = b > a
+        ? this.waypoints.filter((w) => w.distance > a && w.distance <= b)
+        : this.waypoints.filter((w) => w.distance < a && w.distance >= b).reverse()
+      passed.forEach((w) => this._emit('waypoint', { name: w.name, distance: w.distance, direction: b > a ? 1 : -1 }))
+      if (end === to) break
+      start = end
+      pass += dir
+    }
+  }
+
+  // Generate debug spheres along the curve (spline-geometry.js builds real meshes)
   createDebugVisualization(scene, { color = 0x00ffff, count = 50, size = 0.05 } = {}) {
     const geo = new THREE.SphereGeometry(size)
     const mat = new THREE.MeshBasicMaterial({ color })
@@ -188,3 +546,34 @@ export class CurveAnimator {
     return group
   }
 }
+
+// Piecewise-linear lookup of x in ascending keys → values (binary search)
+function lookup(keys, values, x) {
+  const last = keys.length - 1
+  if (x <= keys[0]) return values[0]
+  if (x >= keys[last]) return values[last]
+  let low = 0, high = last
+  while (low < high - 1) {
+    const mid = (low + high) >> 1
+    if (keys[mid] < x) low = mid
+    else high = mid
+  }
+  const span = keys[high] - keys[low]
+  return values[low] + (span > 0 ? (x - keys[low]) / span : 0) * (values[high] - values[low])
+}
+
+// u with easing(u) = y, by bisection (easings rise from 0 to 1)
+function invertEasing(easing, y) {
+  if (easing === EASINGS.linear) return y
+  let low = 0, high = 1
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2
+    if (easing(mid) < y) low = mid
+    else high = mid
+  }
+  return (low + high) / 2
+}
+
+function clamp01(v) {
+  return Math.max(0, Math.min(1, v))
+}
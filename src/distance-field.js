@@ -0,0 +1,159 @@
+/**
+ * Distance field — how far the ball has to travel to reach the cup, going
+ * around walls and water instead of through them. A grid Dijkstra over the
+ * hole, seeded at the cup. Headless; runs in the browser or Node.
+ *
+ * Used to rank shots that can't hole out (a spot behind a wall is not "close"
+ * just because the cup is on the other side) and for reachability checks.
+ * Moving obstacles are ignored — they never block a hole for good.
+ */
+
+import { wallToPolygon, getWallPoints, getPolygonBounds, circleOverlap } from './wall-shapes.js'
+import { createSurface } from './surfaces.js'
+
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]]
+const cache = new WeakMap()
+
+/**
+ * @param hole     course hole ({ walls, surfaces, holePos })
+ * @param options  cellSize: grid resolution; radius: ball radius (cells the
+ *                 ball can't fit in are blocked)
+ * Returns { cellSize, minX, minZ, cols, rows, distances, distanceAt(x, z), isOpen(x, z) }
+ */
+export function createDistanceField(hole, { cellSize = 0.1, radius = 0.12 } = {}) {
+  const bounds = getPolygonBounds(hole.walls.flatMap(getWallPoints))
+  const minX = bounds.minX
+  const minZ = bounds.minZ
+  const cols = Math.max(1, Math.ceil((bounds.maxX - minX) / cellSize))
+  const rows = Math.max(1, Math.ceil((bounds.maxZ - minZ) / cellSize))
+  const walls = hole.walls.map(wallToPolygon)
+  const water = (hole.surfaces || []).filter((s) => s.type === 'water').map(createSurface)
+
+  // A ball resting against a wall sits exactly a radius away; allow a little slack
+  const clearance = radius * 0.9
+  const open = new Uint8Array(cols * rows)
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      const x = minX + (i + 0.5) * cellSize
+      const z = minZ + (j + 0.5) * cellSize
+      const blocked = walls.some((poly) => circleOverlap(poly, x, z, clearance)) || water.some((s) => s.contains(x, z))
+      open[j * cols + i] = blocked ? 0 : 1
+    }
+  }
+
+  // Dijkstra from every open cell near the cup
+  const distances = new Float64Array(cols * rows).fill(Infinity)
+  const heap = createHeap()
+  const [hx, , hz] = hole.holePos
+  const ci = Math.floor((hx - minX) / cellSize)
+  const cj = Math.floor((hz - minZ) / cellSize)
+  for (let j = cj - 1; j <= cj + 1; j++) {
+    for (let i = ci - 1; i <= ci + 1; i++) {
+      if (i < 0 || j < 0 || i >= cols || j >= rows || !open[j * cols + i]) continue
+      const d = Math.hypot(minX + (i + 0.5) * cellSize - hx, minZ + (j + 0.5) * cellSize - hz)
+      distances[j * cols + i] = d
+      heap.push(j * cols + i, d)
+    }
+  }
+  while (heap.size) {
+    const [cell, d] = heap.pop()
+    if (d > distances[cell]) continue
+    const i = cell % cols
+    const j = (cell - i) / cols
+    for (const [di, dj] of NEIGHBOURS) {
+      const ni = i + di
+      const nj = j + dj
+      if (ni < 0 || nj < 0 || ni >= cols || nj >= rows) continue
+      const next = nj * cols + ni
+      // No corner cutting: a diagonal step needs both side cells open
+      if (!open[next] || (di && dj && (!open[j * cols + ni] || !open[nj * cols + i]))) continue
+      const nd = d + (di && dj ? Math.SQRT2 : 1) * cellSize
+      if (nd < distances[next]) {
+        distances[next] = nd
+        heap.push(next, nd)
+      }
+    }
+  }
+
+  const cellAt = (x, z) => {
+    const i = Math.floor((x - minX) / cellSize)
+    const j = Math.floor((z - minZ) / cellSize)
+    return i < 0 || j < 0 || i >= cols || j >= rows ? -1 : j * cols + i
+  }
+
+  return {
+    cellSize,
+    minX,
+    minZ,
+    cols,
+    rows,
+    distances,
+    isOpen(x, z) {
+      const cell = cellAt(x, z)
+      return cell >= 0 && open[cell] === 1
+    },
+    // Travel distance to the cup (Infinity when walled off or off the grid).
+    // A spot in a blocked cell (hugging a wall) uses its best open neighbour.
+    distanceAt(x, z) {
+      if (Math.hypot(x - hx, z - hz) < cellSize) return Math.hypot(x - hx, z - hz)
+      const i = Math.floor((x - minX) / cellSize)
+      const j = Math.floor((z - minZ) / cellSize)
+      let best = Infinity
+      for (let nj = j - 1; nj <= j + 1; nj++) {
+        for (let ni = i - 1; ni <= i + 1; ni++) {
+          if (ni < 0 || nj < 0 || ni >= cols || nj >= rows) continue
+          const d = distances[nj * cols + ni]
+          if (d === Infinity) continue
+          best = Math.min(best, d + Math.hypot(minX + (ni + 0.5) * cellSize - x, minZ + (nj + 0.5) * cellSize - z))
+        }
+      }
+      return best
+    },
+  }
+}
+
+// One field per hole object (default options) — holes are reused shot after shot
+export function getDistanceField(hole) {
+  if (!cache.has(hole)) cache.set(hole, createDistanceField(hole))
+  return cache.get(hole)
+}
+
+// Binary min-heap of [cell, distance]
+function createHeap() {
+  const items = []
+  const heap = {
+    get size() {
+      return items.length
+    },
+    push(cell, d) {
+      items.push([cell, d])
+      let i = items.length - 1
+      while (i > 0) {
+        const parent = (i - 1) >> 1
+        if (items[parent][1] <= items[i][1]) break
+        ;[items[parent], items[i]] = [items[i], items[parent]]
+        i = parent
+      }
+    },
+    pop() {
+      const top = items[0]
+      const last = items.pop()
+      if (items.length) {
+        items[0] = last
+        let i = 0
+        for (;;) {
+          const l = i * 2 + 1
+          const r = l + 1
+          let min = i
+          if (l < items.length && items[l][1] < items[min][1]) min = l
+          if (r < items.length && items[r][1] < items[min][1]) min = r
+          if (min === i) break
+          ;[items[min], items[i]] = [items[i], items[min]]
+          i = min
+        }
+      }
+      return top
+    },
+  }
+  return heap
+}
@@ -0,0 +1,36 @@
+/**
+ * File storage adapter (Node only) — the Web Storage shape backed by one
+ * JSON file, for RoundHistory in tests and CLI tools. Writes are synchronous
+ * so a crash never loses a saved round.
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'node:fs'
+import { dirname } from 'node:path'
+
+export function createFileStorage(file) {
+  let data = {}
+  if (existsSync(file)) {
+    try {
+      data = JSON.parse(readFileSync(file, 'utf8'))
+    } catch (err) {
+      throw new Error(`Could not read storage file ${file}: ${err.message}`)
+    }
+  }
+
+  const flush = () => {
+    mkdirSync(dirname(file), { recursive: true })
+    writeFileSync(file, JSON.stringify(data, null, 2))
+  }
+
+  return {
+    getItem: (key) => (Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = String(value)
+      flush()
+    },
+    removeItem: (key) => {
+      delete data[key]
+      flush()
+    },
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Game audio — procedural sound effects, synthesized with Web Audio so there
+ * are no sound files to download: putter clicks, wall thuds, the rolling
+ * ball, the cup rattle and a short cue for every score term.
+ *
+ * GameAudio decides what plays and how loud; a pluggable synth makes the
+ * sound. Synth interface (see WebAudioSynth):
+ *   play(name, params)       one-shot: 'putt' { power }, 'wall' { strength, obstacle },
+ *                            'cup' {}, 'cue' { term, notes, delay }
+ *   setRoll(level, surface)  continuous rolling noise, 0-1 (0 silences it)
+ *   setVolume(volume)        master level, 0-1
+ *   resume()                 start audio after a user gesture (browsers begin suspended)
+ * createRecordingSynth() logs the calls instead, so tests and headless runs
+ * can check which sounds fire without audio hardware.
+ */
+
+// Semitones above the cue's root note, played one after another
+export const SCORE_CUES = {
+  'Hole in One': [0, 4, 7, 12, 16, 19, 24],
+  Albatross: [0, 4, 7, 12, 16, 19],
+  Eagle: [0, 4, 7, 12, 16],
+  Birdie: [0, 4, 7, 12],
+  Par: [0, 7, 12],
+  Bogey: [7, 4],
+  'Double Bogey': [7, 3, 0],
+  'Triple Bogey': [7, 3, 0, -5],
+  'Picked Up': [0, -5],
+}
+
+const WALL_FULL_SPEED = 4 // impact speed (m/s) of the loudest thud
+const MIN_IMPACT = 0.15 // grazing contacts below this are silent
+const ROLL_FULL_SPEED = 4
+const ROLL_STEP = 0.02 // roll level changes smaller than this aren't passed on
+const CUE_DELAY = 0.45 // seconds, so a score cue lands after the cup rattle
+
+export class GameAudio {
+  /**
+   * @param synth   sound generator (defaults to Web Audio; see the interface above)
+   * @param volume  master volume 0-1
+   * @param muted   start muted
+   */
+  constructor({ synth = new WebAudioSynth(), volume = 0.8, muted = false } = {}) {
+    this.synth = synth
+    this.volume = volume
+    this.muted = muted
+    this._roll = 0
+    this._applyVolume()
+  }
+
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, volume))
+    this._applyVolume()
+    return this
+  }
+
+  setMuted(muted) {
+    this.muted = muted
+    this._applyVolume()
+    return this
+  }
+
+  toggleMute() {
+    return this.setMuted(!this.muted).muted
+  }
+
+  // Nothing is sent to the synth while this is false
+  get audible() {
+    return !this.muted && this.volume > 0
+  }
+
+  // Call from a user gesture (pointerdown, keydown) to unlock playback
+  resume() {
+    this.synth.resume()
+  }
+
+  // Putter strike; power 0-1
+  putt(power) {
+    this._play('putt', { power: clamp01(power) })
+  }
+
+  // Ball against a wall or obstacle at `speed` (normal impact speed, m/s)
+  wallHit(speed, { obstacle = false } = {}) {
+    if (speed < MIN_IMPACT) return
+    this._play('wall', { strength: clamp01(speed / WALL_FULL_SPEED), obstacle })
+  }
+
+  // Rolling sound for the ball's speed (0 when it stops), once a frame
+  roll(speed, surface = null) {
+    const level = this.audible ? clamp01(speed / ROLL_FULL_SPEED) : 0
+    if (Math.abs(level - this._roll) < ROLL_STEP && (level > 0 || this._roll === 0)) return
+    this._roll = level
+    this.synth.setRoll(level, surface)
+  }
+
+  cupDrop() {
+    this._play('cup', {})
+  }
+
+  // Jingle for a ScoreSystem term ('Birdie', 'Bogey', '+4', 'Picked Up', ...)
+  scoreCue(term) {
+    this._play('cue', { term, notes: getCueNotes(term), delay: CUE_DELAY })
+  }
+
+  _play(name, params) {
+    if (this.audible) this.synth.play(name, params)
+  }
+
+  _applyVolume() {
+    this.synth.setVolume(this.muted ? 0 : this.volume)
+    if (!this.audible && this._roll) this.roll(0)
+  }
+}
+
+// Notes for a term; scores past the named ones ('-4', '+5') reuse the nearest cue
+export function getCueNotes(term) {
+  if (SCORE_CUES[term]) return SCORE_CUES[term]
+  const diff = Number(term)
+  if (diff < 0) return SCORE_CUES.Albatross
+  if (diff > 0) return SCORE_CUES['Triple Bogey']
+  return SCORE_CUES.Par
+}
+
+// Synth that records every call: { name, ...params } in `calls`, roll levels in `rolls`
+export function createRecordingSynth() {
+  return {
+    calls: [],
+    rolls: [],
+    volume: 1,
+    resumed: false,
+    play(name, params) { this.calls.push({ name, ...params }) },
+    setRoll(level, surface) { this.rolls.push({ level, surface }) },
+    setVolume(volume) { this.volume = volume },
+    resume() { this.resumed = true },
+  }
+}
+
+/**
+ * Web Audio synth. The context is created on the first resume() (browsers
+ * only allow it after a gesture); until then, and where Web Audio is
+ * missing, every call is a no-op.
+ */
+export class WebAudioSynth {
+  constructor({ AudioContext: Context = globalThis.AudioContext || globalThis.webkitAudioContext } = {}) {
+    this.Context = Context
+    this.ctx = null
+    this.volume = 1
+    this._master = null
+    this._noise = null
+    this._roll = null
+  }
+
+  resume() {
+    if (!this.Context) return
+    if (!this.ctx) this._init()
+    if (this.ctx.state === 'suspended') this.ctx.resume().catch(() => {})
+  }
+
+  setVolume(volume) {
+    this.volume = volume
+    if (this._master) this._master.gain.setTargetAtTime(volume, this.ctx.currentTime, 0.02)
+  }
+
+  play(name, params) {
+    if (!this.ctx || this.ctx.state !== 'running') return
+    const t = this.ctx.currentTime
+    if (name === 'putt') this._putt(t, params)
+    else if (name === 'wall') this._wall(t, params)
+    else if (name === 'cup') this._cup(t)
+    else if (name === 'cue') this._cue(t + (params.delay || 0), params.notes)
+  }
+
+  setRoll(level, surface) {
+    if (!this.ctx) return
+    const t = this.ctx.currentTime
+    if (!this._roll) {
+      if (!level) return
+      // Looping noise through a lowpass; speed opens the filter and the gain
+      const source = this.ctx.createBufferSource()
+      source.buffer = this._noise
+      source.loop = true
+      const filter = this.ctx.createBiquadFilter()
+      filter.type = 'lowpass'
+      const gain = this.ctx.createGain()
+      gain.gain.value = 0
+      source.connect(filter).connect(gain).connect(this._master)
+      source.start()
+      this._roll = { filter, gain }
+    }
+    // Sand is duller and quieter than the green
+    const sand = surface === 'sand'
+    this._roll.filter.frequency.setTargetAtTime((sand ? 150 : 250) + level * (sand ? 400 : 1200), t, 0.05)
+    this._roll.gain.gain.setTargetAtTime(level * (sand ? 0.12 : 0.22), t, 0.05)
+  }
+
+  _init() {
+    const ctx = new this.Context()
+    this.ctx = ctx
+    this._master = ctx.createGain()
+    this._master.gain.value = this.volume
+    this._master.connect(ctx.destination)
+    // One second of white noise, shared by clicks, thuds, rattles and rolling
+    this._noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate)
+    const data = this._noise.getChannelData(0)
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1
+  }
+
+  // Short decaying envelope into the master bus
+  _envelope(t, peak, decay) {
+    const gain = this.ctx.createGain()
+    gain.gain.setValueAtTime(0.0001, t)
+    gain.gain.exponentialRampToValueAtTime(Math.max(0.0001, peak), t + 0.004)
+    gain.gain.exponentialRampToValueAtTime(0.0001, t + decay)
+    gain.connect(this._master)
+    return gain
+  }
+
+  // Band-passed noise burst
+  _noiseBurst(t, { frequency, q = 1, peak, decay }) {
+    const source = this.ctx.createBufferSource()
+    source.buffer = this._noise
+    const filter = this.ctx.createBiquadFilter()
+    filter.type = 'bandpass'
+    filter.frequency.value = frequency
+    filter.Q.value = q
+    source.connect(filter).connect(this._envelope(t, peak, decay))
+    source.start(t, Math.random() * 0.5, decay + 0.05)
+  }
+
+  // Sine (or other wave) gliding from one pitch to another
+  _tone(t, { from, to = from, type = 'sine', peak, decay }) {
+    const osc = this.ctx.createOscillator()
+    osc.type = type
+    osc.frequency.setValueAtTime(from, t)
+    if (to !== from) osc.frequency.exponentialRampToValueAtTime(to, t + decay)
+    osc.connect(this._envelope(t, peak, decay))
+    osc.start(t)
+    osc.stop(t + decay + 0.05)
+  }
+
+  // A crisp tick, brighter and louder with power
+  _putt(t, { power }) {
+    this._noiseBurst(t, { frequency: 2200 + power * 1800, q: 2, peak: 0.2 + power * 0.6, decay: 0.05 })
+    this._tone(t, { from: 900 + power * 500, to: 500, peak: 0.1 + power * 0.25, decay: 0.06 })
+  }
+
+  // Low knock; obstacles (painted wood) ring a little higher
+  _wall(t, { strength, obstacle }) {
+    const base = obstacle ? 180 : 110
+    this._tone(t, { from: base, to: base * 0.55, peak: 0.15 + strength * 0.7, decay: 0.12 + strength * 0.1 })
+    this._noiseBurst(t, { frequency: obstacle ? 900 : 500, peak: 0.05 + strength * 0.35, decay: 0.06 })
+  }
+
+  // Ball rattling round the cup, then dropping to the bottom
+  _cup(t) {
+    const gaps = [0, 0.07, 0.125, 0.17, 0.205]
+    gaps.forEach((gap, i) => {
+      this._noiseBurst(t + gap, { frequency: 2600 - i * 250, q: 6, peak: 0.5 - i * 0.07, decay: 0.04 })
+    })
+    this._tone(t + 0.26, { from: 320, to: 170, type: 'triangle', peak: 0.5, decay: 0.25 })
+  }
+
+  // Notes in semitones above C5, one every 110 ms
+  _cue(t, notes) {
+    notes.forEach((semitones, i) => {
+      const frequency = 523.25 * 2 ** (semitones / 12)
+      this._tone(t + i * 0.11, { from: frequency, type: 'triangle', peak: 0.3, decay: 0.3 })
+    })
+  }
+}
+
+function clamp01(v) {
+  return Math.max(0, Math.min(1, v))
+}
@@ -0,0 +1,51 @@
+/**
+ * Game modes — the games the kit can host. The app owns the renderer, the
+ * camera, input, audio and the title / pause / round-summary screens; a mode
+ * owns what's on the field, runs its own update and drives the shared state
+ * machine through its own flow. Mini golf is one mode; another game plugs in
+ * with registerGameMode() instead of a fork of app.js.
+ *
+ * Mode interface:
+ *   id, name, description        shown on the title screen
+ *   transitions                  its GameStateMachine flow (must include 'title' and 'round-summary')
+ *   firstState                   state that Play moves to from the title
+ *   start(ctx)                   begin a round (called on Play and Play again)
+ *   update(ctx, dt)              once a frame; dt is game time (0 while paused)
+ *   stop(ctx)                    called when the player goes back to the title (optional)
+ *   enter(ctx)                   called when the mode is picked, before any round (optional)
+ *   leave(ctx)                   called when another mode is picked (optional)
+ *   getSummary(ctx)              { title, rows: [{ label, value }], boards?, note } for the round summary;
+ *                                boards are extra tables under the rows: [{ title, rows }]
+ *   canPause(ctx)                false to refuse pausing, e.g. online (optional)
+ *   ownsCamera                   true if update() moves the camera itself; the app then leaves
+ *                                OrbitControls and the camera director alone (optional)
+ *
+ * Context (one per mode, built by the app):
+ *   root        THREE.Group for the mode's objects; shown only while the mode is picked
+ *   game        the GameStateMachine (call game.go('round-summary') when the round ends)
+ *   scene, camera, controls, renderer, director, input, audio
+ *   ui          { showToast(msg, ms), announce(msg), setHud({ title, detail, status }) }
+ */
+
+const modes = new Map()
+
+export function registerGameMode(mode) {
+  for (const key of ['id', 'name', 'transitions', 'firstState', 'start', 'update', 'getSummary']) {
+    if (mode[key] === undefined) throw new Error(`Game mode ${mode.id ?? '?'} is missing ${key}`)
+  }
+  if (!mode.transitions.title?.includes(mode.firstState)) {
+    throw new Error(`Game mode ${mode.id}: the title must lead to ${mode.firstState}`)
+  }
+  if (!mode.transitions['round-summary']) throw new Error(`Game mode ${mode.id} has no round-summary state`)
+  modes.set(mode.id, mode)
+  return mode
+}
+
+export function getGameMode(id) {
+  return modes.get(id) ?? null
+}
+
+// Registered modes in registration order
+export function listGameModes() {
+  return [...modes.values()]
+}
@@ -0,0 +1,153 @@
+/**
+ * Game state machine — the flow of a round as explicit states, with
+ * pause/resume and a game clock that stops while paused. Headless: the page
+ * feeds frame deltas through tick() and plays with what comes back.
+ *
+ * The golf flow (GOLF_TRANSITIONS):
+ *   title → hole-intro → aiming ⇄ rolling → hole-complete → aiming | hole-intro | round-summary
+ * hole-complete covers the hand-over after a stroke is settled: the pause
+ * after holing out or picking up, and for online guests the wait for the
+ * host's snapshot. Game modes bring their own transition maps; 'title' and
+ * 'paused' work the same in all of them.
+ *
+ * pause() sits on top of the current state: `state` reads 'paused' and
+ * `playState` keeps the state play resumes in. While paused tick() returns 0,
+ * so physics, meters and wait() timers all hold still.
+ *
+ * Listen with on('change' | 'pause' | 'resume'); 'change' carries
+ * { from, to, data }.
+ */
+
+export const GOLF_TRANSITIONS = {
+  title: ['hole-intro', 'aiming'],
+  'hole-intro': ['aiming', 'rolling', 'round-summary'],
+  aiming: ['rolling', 'hole-intro', 'hole-complete', 'round-summary'],
+  rolling: ['hole-complete', 'aiming', 'hole-intro', 'round-summary'],
+  'hole-complete': ['aiming', 'hole-intro', 'round-summary'],
+  'round-summary': ['hole-intro', 'aiming'],
+}
+
+export const GOLF_STATES = [...Object.keys(GOLF_TRANSITIONS), 'paused']
+
+export class GameStateMachine {
+  /**
+   * @param transitions  state → states it may go to (every state may also go to 'title')
+   * @param initial      starting state
+   */
+  constructor({ transitions = GOLF_TRANSITIONS, initial = 'title' } = {}) {
+    this.transitions = transitions
+    this.playState = initial
+    this.data = {}
+    this.paused = false
+    this.time = 0 // game seconds, frozen while paused
+    this.stateTime = 0 // game seconds in the current play state
+    this._timers = []
+    this._generation = 0 // bumped on every state change; scoped timers belong to one
+    this._listeners = {}
+  }
+
+  on(event, fn) {
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(fn)
+    return this
+  }
+
+  _emit(event, data) {
+    (this._listeners[event] || []).forEach((fn) => fn(data))
+  }
+
+  // What's on screen: 'paused' while paused, else the play state
+  get state() {
+    return this.paused ? 'paused' : this.playState
+  }
+
+  // True when the play state (under any pause) is one of `states`
+  is(...states) {
+    return states.includes(this.playState)
+  }
+
+  can(to) {
+    return to === 'title' || (this.transitions[this.playState] || []).includes(to)
+  }
+
+  /**
+   * Move to `to`, carrying `data` for whoever listens. Going to the state
+   * you're in does nothing; a move the transition map doesn't allow throws.
+   * While paused the move happens underneath and play resumes in `to`.
+   */
+  go(to, data = {}) {
+    if (to === this.playState) return false
+    if (!this.can(to)) throw new Error(`Can't go from ${this.playState} to ${to}`)
+    const from = this.playState
+    if (to === 'title') this.paused = false // quitting from the pause menu
+    this.playState = to
+    this.data = data
+    this.stateTime = 0
+    this._generation++
+    this._timers = this._timers.filter((t) => t.global)
+    this._emit('change', { from, to, data })
+    return true
+  }
+
+  // Swap in another mode's flow, starting over from `initial`
+  setTransitions(transitions, initial = 'title') {
+    this.transitions = transitions
+    this.paused = false
+    this._timers = []
+    this._generation++
+    const from = this.playState
+    this.playState = initial
+    this.data = {}
+    this.stateTime = 0
+    if (from !== initial) this._emit('change', { from, to: initial, data: {} })
+  }
+
+  pause() {
+    if (this.paused || this.playState === 'title') return false
+    this.paused = true
+    this._emit('pause', { state: this.playState })
+    this._emit('change', { from: this.playState, to: 'paused', data: {} })
+    return true
+  }
+
+  resume() {
+    if (!this.paused) return false
+    this.paused = false
+    this._emit('resume', { state: this.playState })
+    this._emit('change', { from: 'paused', to: this.playState, data: this.data })
+    return true
+  }
+
+  togglePause() {
+    return this.paused ? this.resume() : this.pause()
+  }
+
+  /**
+   * Call `fn` after `seconds` of game time. The timer is dropped if the
+   * state changes first (pass { global: true } to keep it); returns a
+   * function that cancels it.
+   */
+  wait(seconds, fn, { global = false } = {}) {
+    const timer = { at: this.time + seconds, fn, global, generation: this._generation }
+    this._timers.push(timer)
+    return () => {
+      this._timers = this._timers.filter((t) => t !== timer)
+    }
+  }
+
+  // Advance by a frame's real delta; returns the game delta (0 while paused)
+  tick(dt) {
+    if (this.paused) return 0
+    this.time += dt
+    this.stateTime += dt
+    if (this._timers.length) {
+      const due = this._timers.filter((t) => t.at <= this.time)
+      this._timers = this._timers.filter((t) => t.at > this.time)
+      // A timer may change state; scoped timers due the same frame are dropped with it
+      due.forEach((t) => {
+        if (t.global || t.generation === this._generation) t.fn()
+      })
+    }
+    return dt
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * MovingObstacle — course obstacles whose motion comes from a CurveAnimator.
+ * Poses are a pure function of simulation time, so BallPhysics can step them
+ * deterministically and replays line up exactly.
+ *
+ * Obstacle types (course data):
+ * - mover:    { shape: <wall, local coords>, path: { points, mode, speed, duration, loop, closed, alpha,
+ *             easing, speedProfile, pingPong, reverse }, spin?: deg/s, phase?: s }
+ *             Sliding blockers and moving platforms following a Catmull-Rom path
+ *             (closed: true for circuits, alpha: 0.5 for unevenly spaced points,
+ *             pingPong + easing for a gate that slides back and forth and eases
+ *             into each end).
+ * - windmill: { pos: [x, z], blades?, bladeLength?, bladeWidth?, duration?: s per turn, clockwise?, phase?: s }
+ *             Blade tips follow a closed circular CurveAnimator path in time mode.
+ */
+
+import { CurveAnimator } from './curve-animator.js'
+import { getWallPoints, makePolygon, rotateXZ } from './wall-shapes.js'
+
+export const OBSTACLE_TYPES = ['mover', 'windmill']
+
+// Time step for finite-difference velocities
+const VELOCITY_EPSILON = 1 / 240
+const WINDMILL_PATH_POINTS = 32
+
+export class MovingObstacle {
+  constructor(def) {
+    this.def = def
+    this.type = def.type
+    this.phase = def.phase || 0
+    this.x = 0
+    this.z = 0
+    this.y = 0
+    this.angle = 0
+    this.vx = 0
+    this.vz = 0
+    this.angularVelocity = 0
+    this._polygons = null
+
+    if (def.type === 'windmill') {
+      const blades = def.blades || 4
+      const length = def.bladeLength || 1.2
+      const width = def.bladeWidth || 0.12
+      this.hub = def.pos
+      this.bladeLength = length
+
+      // Blade tip path: a circle around the hub (reversed for clockwise)
+      const dir = def.clockwise ? -1 : 1
+      const points = []
+      for (let i = 0; i <= WINDMILL_PATH_POINTS; i++) {
+        const a = dir * (i / WINDMILL_PATH_POINTS) * Math.PI * 2
+        const [x, z] = rotateXZ(length, 0, a)
+        points.push([def.pos[0] + x, 0, def.pos[1] + z])
+      }
+      // Closed, so the turn doesn't slow down where the circle starts and ends
+      this.animator = new CurveAnimator(points, {
+        mode: 'time', duration: def.duration || 4, loop: true, closed: true, orientToDirection: false,
+      })
+      this.localShapes = Array.from({ length: blades }, (_, i) => {
+        const a = (i / blades) * Math.PI * 2
+        return [[0, -width / 2], [length, -width / 2], [length, width / 2], [0, width / 2]]
+          .map(([lx, lz]) => rotateXZ(lx, lz, a))
+      })
+    } else {
+      const { points, ...options } = def.path
+      this.animator = new CurveAnimator(points, { loop: true, ...options, orientToDirection: false })
+      this.localShapes = [getWallPoints(def.shape)]
+    }
+    // Farthest shape point from the pivot: a ball beyond this can't touch the obstacle
+    this.reach = Math.max(...this.localShapes.flat().map(([lx, lz]) => Math.hypot(lx, lz)))
+
+    this.setTime(0)
+  }
+
+  // Pose (x, z, angle) at simulation time t. seek() places the playhead
+  // without play()'s restart or any events, so sampling stays side-effect free.
+  _poseAt(t) {
+    const time = t + this.phase
+    const { animator } = this
+    const p = animator.seek(animator.reversed ? animator.cycleDuration - time : time)
+
+    if (this.type === 'windmill') {
+      // Blade angle follows the tip around the hub
+      const dx = p.x - this.hub[0]
+      const dz = p.z - this.hub[1]
+      return { x: this.hub[0], y: 0, z: this.hub[1], angle: Math.atan2(-dz, dx) }
+    }
+    const spin = ((this.def.spin || 0) * Math.PI) / 180
+    return { x: p.x, y: p.y, z: p.z, angle: spin * (t + this.phase) }
+  }
+
+  setTime(t) {
+    const pose = this._poseAt(t)
+    const next = this._poseAt(t + VELOCITY_EPSILON)
+
+    // Unwrap the angle difference so a -π/π seam doesn't spike the spin
+    let da = next.angle - pose.angle
+    da = Math.atan2(Math.sin(da), Math.cos(da))
+
+    this.x = pose.x
+    this.y = pose.y
+    this.z = pose.z
+    this.angle = pose.angle
+    this.vx = (next.x - pose.x) / VELOCITY_EPSILON
+    this.vz = (next.z - pose.z) / VELOCITY_EPSILON
+    this.angularVelocity = da / VELOCITY_EPSILON
+    this.time = t
+    this._polygons = null
+    return this
+  }
+
+  // World-space collision polygons at the current pose (built on first use)
+  get polygons() {
+    if (!this._polygons) {
+      this._polygons = this.localShapes.map((shape) => makePolygon(shape.map(([lx, lz]) => {
+        const [x, z] = rotateXZ(lx, lz, this.angle)
+        return [this.x + x, this.z + z]
+      })))
+    }
+    return this._polygons
+  }
+
+  // Could a ball of radius r at (x, z), moving up to `travel`, reach the obstacle?
+  isNear(x, z, r, travel = 0) {
+    return Math.hypot(x - this.x, z - this.z) <= this.reach + r + travel
+  }
+
+  // Velocity of the obstacle's surface at world (x, z): linear + spin
+  getVelocityAt(x, z) {
+    const w = this.angularVelocity
+    return {
+      x: this.vx + w * (z - this.z),
+      z: this.vz - w * (x - this.x),
+    }
+  }
+}
+
+export function createObstacle(def) {
+  return new MovingObstacle(def)
+}
@@ -0,0 +1,272 @@
+/**
+ * Networked play — a sync layer over a pluggable transport.
+ * Physics is deterministic, so peers only exchange shots (start spot, launch
+ * velocity, obstacle clock) and every client re-simulates them locally. The
+ * room host additionally broadcasts ScoreSystem snapshots, which are the
+ * authoritative scorecard, turn and ball spots for everyone.
+ *
+ * Transport interface (see WebSocketTransport):
+ *   connect()            open (and keep reopening) the connection
+ *   send(message)        deliver one JSON-able message; false while offline
+ *   close()              disconnect for good
+ *   on('open' | 'message' | 'close', fn)
+ *
+ * Messages follow the relay protocol in server/relay.js.
+ */
+
+// Kinds of room broadcast the session understands
+export const NET_MESSAGES = ['start', 'shot', 'score']
+
+function randomId() {
+  return globalThis.crypto?.randomUUID?.() || `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`
+}
+
+export class WebSocketTransport {
+  /**
+   * @param url relay address, e.g. ws://localhost:8787
+   * @param options.WebSocket constructor to use (defaults to the browser's;
+   *   pass `ws` in Node)
+   */
+  constructor(url, { WebSocket: Socket = globalThis.WebSocket, reconnect = true, retryDelay = 500, maxRetryDelay = 8000 } = {}) {
+    this.url = url
+    this.Socket = Socket
+    this.reconnect = reconnect
+    this.retryDelay = retryDelay
+    this.maxRetryDelay = maxRetryDelay
+    this.socket = null
+    this._retries = 0
+    this._retryTimer = null
+    this._closed = false
+    this._listeners = {}
+  }
+
+  on(event, fn) {
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(fn)
+    return this
+  }
+
+  _emit(event, data) {
+    (this._listeners[event] || []).forEach((fn) => fn(data))
+  }
+
+  get connected() {
+    return Boolean(this.socket) && this.socket.readyState === 1
+  }
+
+  connect() {
+    this._closed = false
+    const socket = new this.Socket(this.url)
+    this.socket = socket
+
+    socket.onopen = () => {
+      this._retries = 0
+      this._emit('open', {})
+    }
+    socket.onmessage = (e) => {
+      let msg
+      try {
+        msg = JSON.parse(typeof e.data === 'string' ? e.data : String(e.data))
+      } catch {
+        return
+      }
+      this._emit('message', msg)
+    }
+    socket.onerror = () => {} // a close always follows
+    socket.onclose = () => {
+      if (this.socket !== socket) return
+      this.socket = null
+      const willRetry = this.reconnect && !this._closed
+      this._emit('close', { willRetry })
+      if (willRetry) {
+        // Exponential backoff, capped
+        const delay = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** this._retries++)
+        this._retryTimer = setTimeout(() => this.connect(), delay)
+      }
+    }
+    return this
+  }
+
+  send(message) {
+    if (!this.connected) return false
+    this.socket.send(JSON.stringify(message))
+    return true
+  }
+
+  close() {
+    this._closed = true
+    clearTimeout(this._retryTimer)
+    if (this.socket) {
+      const socket = this.socket
+      this.socket = null
+      socket.close()
+      this._emit('close', { willRetry: false })
+    }
+  }
+}
+
+export class NetSession {
+  /**
+   * @param transport anything implementing the transport interface
+   * @param options.name display name for the scorecard
+   * @param options.room room code to join (omit to create a room)
+   * @param options.clientId stable id; reuse it with `token` to reclaim a seat
+   * @param options.token the relay's private reconnect token from an earlier welcome
+   */
+  constructor(transport, { name = 'Player', room = null, clientId = randomId(), token = null } = {}) {
+    this.transport = transport
+    this.name = name
+    this.room = room
+    this.clientId = clientId
+    this.token = token // proves the seat is ours on reconnect; never share it
+    this.host = null
+    this.members = []
+    this.status = 'idle' // 'idle' | 'connecting' | 'joined' | 'reconnecting' | 'closed'
+    this.lastSeq = 0
+    this._outbox = []
+    this._listeners = {}
+
+    transport.on('open', () => this._sendJoin())
+    transport.on('message', (msg) => this._onMessage(msg))
+    transport.on('close', ({ willRetry }) => {
+      if (this.status === 'closed') return
+      this._setStatus(willRetry ? 'reconnecting' : 'closed')
+    })
+  }
+
+  on(event, fn) {
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(fn)
+    return this
+  }
+
+  _emit(event, data) {
+    (this._listeners[event] || []).forEach((fn) => fn(data))
+  }
+
+  // Connect and join; resolves with the welcome, rejects on a relay error
+  join() {
+    this._setStatus('connecting')
+    return new Promise((resolve, reject) => {
+      const onWelcome = (welcome) => {
+        this._joinWaiter = null
+        resolve(welcome)
+      }
+      this._joinWaiter = { resolve: onWelcome, reject }
+      if (this.transport.connected) this._sendJoin()
+      else this.transport.connect()
+    })
+  }
+
+  leave() {
+    this.transport.send({ type: 'leave' })
+    this._setStatus('closed')
+    this.transport.close()
+  }
+
+  get isHost() {
+    return this.host === this.clientId
+  }
+
+  // Members still holding a seat, in join order
+  get players() {
+    return this.members.map((m) => m.name)
+  }
+
+  get playerIndex() {
+    return this.members.findIndex((m) => m.clientId === this.clientId)
+  }
+
+  // ── Room broadcasts ──
+
+  // Host only: begin a round with the current members as players
+  startRound(extra = {}) {
+    if (!this.isHost) return false
+    const players = this.members.map(({ clientId, name }) => ({ clientId, name }))
+    return this._broadcast({ kind: 'start', players, ...extra })
+  }
+
+  // A shot as ShotRecorder records it, plus who hit it and on which hole
+  sendShot({ x, z, vx, vz, time, hole, player }) {
+    return this._broadcast({ kind: 'shot', x, z, vx, vz, time, hole, player })
+  }
+
+  // Host only: the authoritative round state
+  sendScore(score, extra = {}) {
+    if (!this.isHost) return false
+    return this._broadcast({ kind: 'score', score: score.toJSON(), ...extra })
+  }
+
+  _broadcast(data) {
+    const msg = { type: 'broadcast', data }
+    if (this.status !== 'joined' || !this.transport.send(msg)) this._outbox.push(msg)
+    return true
+  }
+
+  _sendJoin() {
+    this.transport.send({ type: 'join', room: this.room, name: this.name, clientId: this.clientId, token: this.token, since: this.lastSeq })
+  }
+
+  _onMessage(msg) {
+    switch (msg.type) {
+      case 'welcome': {
+        const reconnected = this.status === 'reconnecting'
+        this.room = msg.room
+        this.clientId = msg.clientId
+        this.token = msg.token
+        this.host = msg.host
+        this.members = msg.members
+        this._setStatus('joined')
+
+        // Anything broadcast while we were away (or before we arrived)
+        const history = msg.history.filter((m) => m.seq > this.lastSeq)
+        if (history.length) this.lastSeq = history[history.length - 1].seq
+        this._emit('joined', { room: this.room, clientId: this.clientId, host: this.host, reconnected })
+        this._emit('members', this.members)
+        this._emit('sync', { history: history.map((m) => ({ ...m.data, from: m.from, seq: m.seq, own: m.from === this.clientId })), reconnected })
+
+        // Flush broadcasts queued while offline
+        const outbox = this._outbox
+        this._outbox = []
+        outbox.forEach((m) => this._broadcast(m.data))
+        this._joinWaiter?.resolve(msg)
+        break
+      }
+      case 'member-join':
+      case 'member-drop':
+      case 'member-leave':
+        this.members = msg.members
+        this.host = msg.host
+        this._emit(msg.type, msg.member)
+        this._emit('members', this.members)
+        break
+      case 'host':
+        this.host = msg.clientId
+        this._emit('host', { clientId: msg.clientId, isHost: this.isHost })
+        break
+      case 'message': {
+        if (msg.seq <= this.lastSeq) return
+        this.lastSeq = msg.seq
+        // Our own broadcasts come back too; they only advance lastSeq
+        if (msg.from === this.clientId) return
+        const { kind } = msg.data || {}
+        if (NET_MESSAGES.includes(kind)) this._emit(kind, { ...msg.data, from: msg.from, seq: msg.seq })
+        break
+      }
+      case 'error':
+        this._emit('error', msg)
+        if (this._joinWaiter) {
+          this._joinWaiter.reject(Object.assign(new Error(msg.message), { code: msg.code }))
+          this._joinWaiter = null
+          this.leave()
+        }
+        break
+    }
+  }
+
+  _setStatus(status) {
+    if (this.status === status) return
+    this.status = status
+    this._emit('status', status)
+  }
+}
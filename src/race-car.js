@@ -0,0 +1,222 @@
+/**
+ * Race cars — the player's car and AI racers on a RaceTrack. Headless;
+ * racing-mode.js renders them.
+ *
+ * RaceCar is an arcade car on a fixed timestep: throttle, brake (then
+ * reverse) and steering that needs speed to bite and loosens near top speed.
+ * The track walls keep it on the road; hitting one scrubs off speed by how
+ * square the hit was and fires 'wall' { speed } for sound.
+ *
+ * AIRacer follows the racing line with its own CurveAnimator in train mode:
+ * a top speed plus a speed profile that brakes for corners by the racer's
+ * grip (corner speed √(grip · radius)), in a lane of its own. Cars and racers
+ * pass through each other; only the walls collide.
+ *
+ * Both keep `x`, `z`, `heading` ((cos, sin) in x/z) and `distance` along the
+ * lap for LapTimer.
+ */
+
+import { CurveAnimator } from './curve-animator.js'
+import { createRandom } from './random.js'
+
+export const CAR_DEFAULTS = {
+  maxSpeed: 9,
+  reverseSpeed: 3,
+  acceleration: 7,
+  braking: 14,
+  drag: 0.35, // per second, on top of the engine
+  rolling: 1.5, // slowdown with neither pedal down
+  steerRate: 2.6, // radians per second at full lock
+  fullTurnSpeed: 2.5, // steering builds up to full bite by this speed
+  highSpeedSteer: 0.55, // share of steering lost at top speed
+  radius: 0.3, // how close the car gets to a wall
+  wallScrub: 0.7, // share of speed lost hitting a wall square on
+  timestep: 1 / 120,
+}
+
+const RACER_NAMES = ['Vega', 'Nova', 'Orion', 'Lyra', 'Atlas', 'Juno', 'Rigel']
+
+export class RaceCar {
+  constructor(track, options = {}) {
+    this.track = track
+    this.options = { ...CAR_DEFAULTS, ...options }
+    this.controls = { steer: 0, throttle: 0, brake: 0 }
+    this._accumulator = 0
+    this._onWall = false
+    this._listeners = {}
+    this.place(track.gridSlot(0))
+  }
+
+  on(event, fn) {
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(fn)
+    return this
+  }
+
+  _emit(event, data) {
+    (this._listeners[event] || []).forEach((fn) => fn(data))
+  }
+
+  // Park at a pose ({ x, z, heading }, e.g. a grid slot), stopped
+  place({ x, z, heading }) {
+    this.x = x
+    this.z = z
+    this.heading = heading
+    this.velocity = 0 // signed: negative is reversing
+    this.distance = this.track.project(x, z).distance
+    this.offset = 0
+    this._accumulator = 0
+    this._onWall = false
+    return this
+  }
+
+  // steer -1 (left) to 1 (right); throttle and brake 0-1
+  setControls({ steer = 0, throttle = 0, brake = 0 }) {
+    this.controls = { steer: clamp(steer, -1, 1), throttle: clamp(throttle, 0, 1), brake: clamp(brake, 0, 1) }
+    return this
+  }
+
+  get speed() {
+    return Math.abs(this.velocity)
+  }
+
+  update(dt) {
+    const h = this.options.timestep
+    this._accumulator += dt
+    while (this._accumulator >= h) {
+      this._step(h)
+      this._accumulator -= h
+    }
+  }
+
+  _step(h) {
+    const o = this.options
+    const { steer, throttle, brake } = this.controls
+
+    // Pedals: the brake slows a rolling car, then reverses a stopped one
+    let accel = throttle * o.acceleration - o.drag * this.velocity
+    if (brake) accel -= brake * (this.velocity > 0.05 ? o.braking : o.acceleration * 0.5)
+    if (!throttle && !brake) accel -= Math.sign(this.velocity) * o.rolling
+    const before = this.velocity
+    this.velocity = clamp(this.velocity + accel * h, -o.reverseSpeed, o.maxSpeed)
+    // Coasting stops at zero instead of rolling backwards
+    if (!throttle && !brake && Math.sign(this.velocity) !== Math.sign(before)) this.velocity = 0
+
+    const speed = Math.abs(this.velocity)
+    const bite = Math.min(1, speed / o.fullTurnSpeed) * (1 - o.highSpeedSteer * (speed / o.maxSpeed))
+    this.heading += steer * o.steerRate * bite * Math.sign(this.velocity) * h
+    this.x += Math.cos(this.heading) * this.velocity * h
+    this.z += Math.sin(this.heading) * this.velocity * h
+
+    const p = this.track.project(this.x, this.z, this.distance)
+    this.distance = p.distance
+    this.offset = p.offset
+    const limit = this.track.width / 2 - o.radius
+    if (Math.abs(p.offset) <= limit) {
+      this._onWall = false
+      return
+    }
+
+    // Back onto the road, then lose speed by how square the hit was
+    const push = p.offset - Math.sign(p.offset) * limit
+    this.x += Math.sin(p.heading) * push
+    this.z -= Math.cos(p.heading) * push
+    this.offset = Math.sign(p.offset) * limit
+    const square = Math.abs(Math.sin(this.heading - p.heading))
+    if (!this._onWall) this._emit('wall', { speed: speed * square })
+    this._onWall = true
+    this.velocity *= 1 - o.wallScrub * square * Math.min(1, h * 30)
+    // Glance off: turn toward the wall's direction
+    const along = this.velocity >= 0 ? p.heading : p.heading + Math.PI
+    this.heading += angleBetween(this.heading, along) * Math.min(1, h * 12)
+  }
+}
+
+export class AIRacer {
+  /**
+   * @param track  RaceTrack
+   * @param name   shown on the leaderboards
+   * @param speed  top speed on the straights
+   * @param grip   corner speed is √(grip · radius), capped at `speed`
+   * @param lane   sideways offset from the centerline
+   * @param start  distance along the lap to start from (negative: behind the line)
+   */
+  constructor(track, { name = 'AI', speed = 8, grip = 11, lane = 0, start = 0 } = {}) {
+    this.track = track
+    this.name = name
+    this.lane = lane
+    this.start = start
+    this.grip = grip
+    this.animator = new CurveAnimator(track.controlPoints, {
+      closed: true,
+      loop: true,
+      mode: 'train',
+      alpha: track.alpha,
+      speed,
+      orientToDirection: false,
+      arcLengthSegments: 400,
+      speedProfile: (fraction) => {
+        const curvature = track.curvatureAt(fraction * track.length)
+        return curvature > 0 ? Math.min(1, Math.sqrt(grip / curvature) / speed) : 1
+      },
+    })
+    this.reset()
+  }
+
+  // Back to the grid, stopped
+  reset() {
+    this.animator.reset()
+    this.animator.seekDistance(this.start)
+    this._place()
+    return this
+  }
+
+  // Lights out
+  go() {
+    this.animator.play()
+    this.animator.seekDistance(this.start)
+    this._place()
+    return this
+  }
+
+  update(dt) {
+    this.animator.update(dt)
+    this._place()
+  }
+
+  _place() {
+    const pose = this.track.pointAt(this.animator.distanceTraveled, this.lane)
+    this.x = pose.x
+    this.z = pose.z
+    this.heading = pose.heading
+    this.distance = pose.distance
+  }
+}
+
+/**
+ * `count` AI racers on grid slots from `firstSlot`, each with its own pace:
+ * top speed and grip spread around `pace` (1 is a fair fight for CAR_DEFAULTS).
+ */
+export function createAIRacers(track, { count = 3, firstSlot = 1, pace = 1, seed = track.id } = {}) {
+  const random = createRandom(`${seed}:racers`)
+  return Array.from({ length: count }, (_, i) => {
+    const slot = track.gridSlot(firstSlot + i)
+    const form = 0.9 + random() * 0.12
+    return new AIRacer(track, {
+      name: RACER_NAMES[i % RACER_NAMES.length],
+      speed: CAR_DEFAULTS.maxSpeed * form * pace,
+      grip: 14 * (0.85 + random() * 0.25) * pace,
+      lane: slot.offset + (random() - 0.5) * 0.2,
+      start: slot.distance - track.length,
+    })
+  })
+}
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v))
+}
+
+// Signed turn from angle a to angle b, -π to π
+function angleBetween(a, b) {
+  return Math.atan2(Math.sin(b - a), Math.cos(b - a))
+}
@@ -0,0 +1,265 @@
+/**
+ * Race timing — checkpoints, laps and leaderboards.
+ *
+ * LapTimer follows each racer's distance along the lap. Gates must be passed
+ * in order (reversing back over one doesn't count twice), and crossing the
+ * start/finish line with every other gate passed completes a lap. Racers
+ * start on the grid behind the line, so their first crossing only opens lap
+ * 1, which is timed from the start like the rest of the race.
+ *
+ * Events: on('checkpoint' | 'lap' | 'finish')
+ *   checkpoint  { racer, gate, lap, split }        split: seconds into the lap
+ *   lap         { racer, lap, time, best }         best: the racer's fastest so far
+ *   finish      { racer, place, total, best }
+ *
+ * `standings` is the race order (finishers by total time, the rest by how far
+ * round they are) and `bestLaps` ranks everyone with a lap by their fastest.
+ * RaceRecords keeps all-time best-lap and total-time boards per track in a
+ * Web Storage-shaped adapter (see round-history.js).
+ */
+
+import { createMemoryStorage } from './round-history.js'
+
+const RECORDS_VERSION = 1
+
+export class LapTimer {
+  /**
+   * @param checkpoints  gate distances along the lap, gate 0 the line (RaceTrack.checkpoints)
+   * @param length       lap length
+   * @param laps         laps to finish
+   */
+  constructor({ checkpoints, length, laps = 3 }) {
+    if (checkpoints.length < 2) throw new Error('LapTimer needs the line and at least one more gate')
+    this.checkpoints = checkpoints
+    this.length = length
+    this.laps = laps
+    this.time = 0
+    this.running = false
+    this.racers = []
+    this._finished = 0
+    this._listeners = {}
+  }
+
+  on(event, fn) {
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(fn)
+    return this
+  }
+
+  _emit(event, data) {
+    (this._listeners[event] || []).forEach((fn) => fn(data))
+  }
+
+  // Enter a racer at `distance` (its grid slot); returns its index
+  addRacer(name, distance) {
+    const d = wrap(distance, this.length)
+    const next = this.checkpoints.findIndex((gate) => gate > d)
+    this.racers.push({
+      index: this.racers.length,
+      name,
+      distance: d,
+      next: next < 0 ? 0 : next, // gate to pass next
+      passed: 0, // gates since the line
+      gates: 0, // gates since the start, for the race order
+      lap: 0, // laps completed
+      lapStart: 0,
+      laps: [], // lap times
+      best: null,
+      finished: false,
+      place: null,
+      total: null,
+    })
+    return this.racers.length - 1
+  }
+
+  start() {
+    this.running = true
+    this.time = 0
+  }
+
+  // Advance the race clock; call with frame deltas
+  tick(dt) {
+    if (this.running) this.time += dt
+  }
+
+  // Report a racer's distance along the lap; fires gate, lap and finish events it crosses
+  update(index, distance) {
+    const racer = this.racers[index]
+    const d = wrap(distance, this.length)
+    // Shortest way round from the last report (a racer never covers half a lap in one frame)
+    let moved = wrap(d - racer.distance + this.length / 2, this.length) - this.length / 2
+    const from = racer.distance
+    racer.distance = d
+    if (!this.running || racer.finished || moved <= 0) return
+
+    let ahead = wrap(this.checkpoints[racer.next] - from, this.length)
+    while (ahead > 0 && ahead <= moved) {
+      this._pass(racer)
+      if (racer.finished) return
+      moved -= ahead
+      const gate = this.checkpoints[racer.next]
+      ahead = wrap(gate - this.checkpoints[(racer.next + this.checkpoints.length - 1) % this.checkpoints.length], this.length)
+    }
+  }
+
+  _pass(racer) {
+    const gate = racer.next
+    racer.next = (gate + 1) % this.checkpoints.length
+    racer.gates++
+    if (gate !== 0) {
+      racer.passed++
+      this._emit('checkpoint', { racer: racer.index, gate, lap: racer.lap + 1, split: this.time - racer.lapStart })
+      return
+    }
+    // The line: a lap if every gate since the last crossing was passed (not the first crossing off the grid)
+    const complete = racer.passed === this.checkpoints.length - 1
+    racer.passed = 0
+    if (!complete) return
+
+    const time = this.time - racer.lapStart
+    racer.lapStart = this.time
+    racer.lap++
+    racer.laps.push(time)
+    if (racer.best === null || time < racer.best) racer.best = time
+    this._emit('lap', { racer: racer.index, lap: racer.lap, time, best: racer.best })
+
+    if (racer.lap >= this.laps) {
+      racer.finished = true
+      racer.total = this.time
+      racer.place = ++this._finished
+      this._emit('finish', { racer: racer.index, place: racer.place, total: racer.total, best: racer.best })
+    }
+  }
+
+  get allFinished() {
+    return this.racers.every((r) => r.finished)
+  }
+
+  // How far round a racer is: gates passed plus the way to the next one
+  _progress(racer) {
+    const n = this.checkpoints.length
+    const prev = this.checkpoints[(racer.next + n - 1) % n]
+    const span = wrap(this.checkpoints[racer.next] - prev, this.length) || this.length
+    return racer.gates + Math.min(0.999, wrap(racer.distance - prev, this.length) / span)
+  }
+
+  /**
+   * Race order: [{ rank, index, name, lap, finished, total, best, laps }]
+   * `lap` is the lap being driven (capped at the last one).
+   */
+  get standings() {
+    const rows = [...this.racers].sort((a, b) => {
+      if (a.finished || b.finished) return (a.place ?? Infinity) - (b.place ?? Infinity)
+      return this._progress(b) - this._progress(a)
+    })
+    return rows.map((r, i) => ({
+      rank: i + 1,
+      index: r.index,
+      name: r.name,
+      lap: Math.min(r.lap + 1, this.laps),
+      finished: r.finished,
+      total: r.total,
+      best: r.best,
+      laps: [...r.laps],
+    }))
+  }
+
+  // Everyone with a lap, fastest first: [{ rank, index, name, best, lap }]
+  get bestLaps() {
+    return this.racers
+      .filter((r) => r.best !== null)
+      .sort((a, b) => a.best - b.best)
+      .map((r, i) => ({ rank: i + 1, index: r.index, name: r.name, best: r.best, lap: r.laps.indexOf(r.best) + 1 }))
+  }
+}
+
+export class RaceRecords {
+  /**
+   * @param storage    getItem / setItem / removeItem adapter
+   * @param namespace  storage key prefix
+   * @param size       entries kept per board
+   */
+  constructor(storage = createMemoryStorage(), { namespace = 'webar-game-kit', size = 5 } = {}) {
+    this.storage = storage
+    this.key = `${namespace}:race-records`
+    this.size = size
+    this.tracks = this._read()
+  }
+
+  // Stored boards are untrusted (other versions, hand edits): keep only well-formed entries
+  _read() {
+    let data
+    try {
+      data = JSON.parse(this.storage.getItem(this.key))
+    } catch {
+      return {}
+    }
+    if (data?.version !== RECORDS_VERSION || !data.tracks || typeof data.tracks !== 'object') return {}
+    const tracks = {}
+    for (const [track, boards] of Object.entries(data.tracks)) {
+      tracks[track] = { lap: readBoard(boards?.lap, this.size), total: readBoard(boards?.total, this.size) }
+    }
+    return tracks
+  }
+
+  /**
+   * File a finished race: its best lap goes on the lap board, its total on
+   * the total-time board (for `laps` laps). Returns the 1-based places it
+   * took, or null where it didn't make a board: { lap, total }.
+   */
+  record(track, { name, best, total, laps, date = new Date().toISOString() }) {
+    const boards = this.tracks[track] || (this.tracks[track] = { lap: [], total: [] })
+    const places = {
+      lap: best === null || best === undefined ? null : this._insert(boards.lap, { name: cleanName(name), time: best, date }),
+      total: total === null || total === undefined ? null : this._insert(boards.total, { name: cleanName(name), time: total, laps, date }),
+    }
+    this.storage.setItem(this.key, JSON.stringify({ version: RECORDS_VERSION, tracks: this.tracks }))
+    return places
+  }
+
+  _insert(board, entry) {
+    let at = board.findIndex((e) => entry.time < e.time)
+    if (at < 0) at = board.length
+    if (at >= this.size) return null
+    board.splice(at, 0, entry)
+    board.length = Math.min(board.length, this.size)
+    return at + 1
+  }
+
+  // 'lap' or 'total' board for a track, fastest first: [{ name, time, date, laps? }]
+  getBoard(track, board = 'lap') {
+    return [...(this.tracks[track]?.[board] || [])]
+  }
+
+  clear(track) {
+    if (track) delete this.tracks[track]
+    else this.tracks = {}
+    this.storage.setItem(this.key, JSON.stringify({ version: RECORDS_VERSION, tracks: this.tracks }))
+  }
+}
+
+// 83.456 → '1:23.46'; null → '—'
+export function formatRaceTime(seconds) {
+  if (seconds === null || seconds === undefined) return '—'
+  const m = Math.floor(seconds / 60)
+  const s = seconds - m * 60
+  return `${m}:${s.toFixed(2).padStart(5, '0')}`
+}
+
+function readBoard(entries, size) {
+  if (!Array.isArray(entries)) return []
+  return entries
+    .filter((e) => e && Number.isFinite(e.time))
+    .map((e) => ({ ...e, name: cleanName(e.name), date: String(e.date ?? '') }))
+    .sort((a, b) => a.time - b.time)
+    .slice(0, size)
+}
+
+// Names are shown as plain text; keep them strings of a sensible length
+function cleanName(name) {
+  return String(name ?? 'Player').slice(0, 24)
+}
+
+function wrap(distance, length) {
+  return ((distance % length) + length) % length
+}
@@ -0,0 +1,199 @@
+/**
+ * Race track — a closed racing line through Catmull-Rom control points
+ * (CurveAnimator), sampled at even arc-length steps for everything built on
+ * it: the road edges, walls in the course wall format, timing gates, the
+ * starting grid, corner speeds for AI racers and projecting a car onto the
+ * track. Headless; racing-mode.js builds the meshes.
+ *
+ * Track definition:
+ *   { id, name, width, laps, checkpoints, alpha?, points: [[x, z], ...] }
+ * `checkpoints` timing gates are spread evenly round the lap; gate 0 is the
+ * start/finish line at the first control point. Distances are arc length
+ * from that line, 0 to `length`; offsets are sideways, positive to the right
+ * of the direction of travel.
+ */
+
+import { CurveAnimator } from './curve-animator.js'
+
+const SAMPLE_SPACING = 0.5 // arc length between samples
+const WALL_THICKNESS = 0.15
+const WALL_HEIGHT = 0.35
+const SEARCH_WINDOW = 24 // samples either side of the last known distance
+const GRID_FIRST = 1.2 // pole position, distance behind the line
+const GRID_ROW = 1.4
+const CORNER_LOOKAHEAD = 4 // AI racers brake for corners this far ahead
+
+export const TRACKS = {
+  harbour: {
+    id: 'harbour',
+    name: 'Harbour loop',
+    width: 2.4,
+    laps: 3,
+    checkpoints: 4,
+    points: [[-4, -8], [4, -7.5], [11, -6.5], [14, -1], [12, 5.5], [7.5, 7.5], [2, 5.5], [-3.5, 7.8], [-8, 8], [-13, 4.5], [-14, -2], [-11, -7]],
+  },
+  canyon: {
+    id: 'canyon',
+    name: 'Canyon run',
+    width: 2.2,
+    laps: 3,
+    checkpoints: 5,
+    points: [[-3, -10], [3.5, -7.5], [9, -9.2], [13.5, -6.5], [14.5, -1], [12, 4], [4, 6], [-1, 11], [-8, 10], [-13, 3], [-12, -6]],
+  },
+}
+
+export function getTrack(id = 'harbour') {
+  if (!TRACKS[id]) throw new Error(`Unknown track "${id}" (expected ${Object.keys(TRACKS).join(', ')})`)
+  return TRACKS[id]
+}
+
+export class RaceTrack {
+  constructor(def) {
+    if (!Array.isArray(def.points) || def.points.length < 4) throw new Error('A track needs at least 4 control points')
+    if (!(def.width > 0)) throw new Error('Track width must be positive')
+    if (!(def.checkpoints >= 2)) throw new Error('A track needs at least 2 checkpoints (the line and one more)')
+    this.def = def
+    this.id = def.id
+    this.name = def.name ?? def.id
+    this.width = def.width
+    this.laps = def.laps ?? 3
+    this.alpha = def.alpha ?? 'centripetal'
+    this.controlPoints = def.points.map(([x, z]) => [x, 0, z])
+    this.curve = new CurveAnimator(this.controlPoints, { closed: true, alpha: this.alpha, arcLengthSegments: 400 })
+    this.length = this.curve.totalLength
+
+    // Even arc-length samples: position and unit tangent in x/z
+    const count = Math.max(8, Math.ceil(this.length / SAMPLE_SPACING))
+    this.spacing = this.length / count
+    this.samples = Array.from({ length: count }, (_, i) => {
+      const distance = i * this.spacing
+      const t = this.curve.getParameterForDistance(distance)
+      const p = this.curve.getPoint(t)
+      const tangent = this.curve.getTangent(t)
+      const len = Math.hypot(tangent.x, tangent.z) || 1
+      return { distance, x: p.x, z: p.z, tx: tangent.x / len, tz: tangent.z / len }
+    })
+    this._curvature = this._buildCurvature()
+
+    this.checkpoints = Array.from({ length: def.checkpoints }, (_, i) => (i * this.length) / def.checkpoints)
+    this.walls = [...this._edgeWalls(-1), ...this._edgeWalls(1)]
+  }
+
+  /**
+   * Point `offset` to the side of the centerline, `distance` along the lap
+   * (wraps either way): { x, z, heading, distance }. heading is the angle of
+   * the direction of travel, (cos, sin) in x/z.
+   */
+  pointAt(distance, offset = 0) {
+    const n = this.samples.length
+    const d = wrap(distance, this.length)
+    const f = d / this.spacing
+    const i = Math.floor(f) % n
+    const a = this.samples[i]
+    const b = this.samples[(i + 1) % n]
+    const u = f - Math.floor(f)
+    const tx = a.tx + (b.tx - a.tx) * u
+    const tz = a.tz + (b.tz - a.tz) * u
+    const len = Math.hypot(tx, tz) || 1
+    return {
+      x: a.x + (b.x - a.x) * u - (tz / len) * offset,
+      z: a.z + (b.z - a.z) * u + (tx / len) * offset,
+      heading: Math.atan2(tz, tx),
+      distance: d,
+    }
+  }
+
+  /**
+   * Nearest point on the centerline to (x, z): { distance, offset, heading }.
+   * Pass the last known distance as `hint` to search only around it (cars
+   * call this every step); without it the whole lap is searched.
+   */
+  project(x, z, hint = null) {
+    const n = this.samples.length
+    const window = hint === null ? n : Math.min(n, SEARCH_WINDOW * 2 + 1)
+    const first = hint === null ? 0 : Math.round(wrap(hint, this.length) / this.spacing) - SEARCH_WINDOW
+    let nearest = 0
+    let nearestSq = Infinity
+    for (let k = 0; k < window; k++) {
+      const i = mod(first + k, n)
+      const s = this.samples[i]
+      const dSq = (x - s.x) ** 2 + (z - s.z) ** 2
+      if (dSq < nearestSq) {
+        nearestSq = dSq
+        nearest = i
+      }
+    }
+
+    // Refine on the chords either side of the nearest sample
+    let best = null
+    for (const i of [mod(nearest - 1, n), nearest]) {
+      const a = this.samples[i]
+      const b = this.samples[(i + 1) % n]
+      const dx = b.x - a.x
+      const dz = b.z - a.z
+      const lenSq = dx * dx + dz * dz || 1
+      const u = Math.max(0, Math.min(1, ((x - a.x) * dx + (z - a.z) * dz) / lenSq))
+      const px = a.x + dx * u
+      const pz = a.z + dz * u
+      const dSq = (x - px) ** 2 + (z - pz) ** 2
+      if (best && dSq >= best.dSq) continue
+      const len = Math.sqrt(lenSq)
+      // Right of travel is (-tz, tx)
+      best = { dSq, distance: wrap(a.distance + u * this.spacing, this.length), offset: ((x - px) * -dz + (z - pz) * dx) / len, heading: Math.atan2(dz, dx) }
+    }
+    return { distance: best.distance, offset: best.offset, heading: best.heading }
+  }
+
+  // Grid slot `index` (0 is pole) behind the start/finish line, two abreast: a pointAt() plus its offset
+  gridSlot(index) {
+    const distance = -(GRID_FIRST + Math.floor(index / 2) * GRID_ROW)
+    const offset = (index % 2 ? 1 : -1) * this.width / 4
+    return { ...this.pointAt(distance, offset), offset }
+  }
+
+  /**
+   * Sharpest bend (1 / radius) from `distance` to CORNER_LOOKAHEAD further on,
+   * so a racer reading it is already slow when the corner arrives.
+   */
+  curvatureAt(distance) {
+    const n = this.samples.length
+    const i = Math.floor(wrap(distance, this.length) / this.spacing)
+    const ahead = Math.ceil(CORNER_LOOKAHEAD / this.spacing)
+    let max = 0
+    for (let k = 0; k <= ahead; k++) max = Math.max(max, this._curvature[(i + k) % n])
+    return max
+  }
+
+  // Turn angle per unit length at every sample, from the neighbouring tangents
+  _buildCurvature() {
+    const n = this.samples.length
+    return this.samples.map((s, i) => {
+      const prev = this.samples[mod(i - 1, n)]
+      const next = this.samples[(i + 1) % n]
+      const turn = Math.atan2(prev.tx * next.tz - prev.tz * next.tx, prev.tx * next.tx + prev.tz * next.tz)
+      return Math.abs(turn) / (2 * this.spacing)
+    })
+  }
+
+  // Segment walls along one edge (side -1 left, 1 right), inner face on the road edge
+  _edgeWalls(side) {
+    const offset = side * (this.width / 2 + WALL_THICKNESS / 2)
+    const n = this.samples.length
+    const edge = this.samples.map((s) => [s.x - s.tz * offset, s.z + s.tx * offset])
+    return edge.map((from, i) => ({
+      type: 'segment',
+      from,
+      to: edge[(i + 1) % n],
+      thickness: WALL_THICKNESS,
+      height: WALL_HEIGHT,
+    }))
+  }
+}
+
+function wrap(distance, length) {
+  return ((distance % length) + length) % length
+}
+
+function mod(i, n) {
+  return ((i % n) + n) % n
+}
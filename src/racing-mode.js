@@ -0,0 +1,416 @@
+/**
+ * Racing mode — a game mode (see game-modes.js) on a spline track: the player
+ * drives a car against AI racers for the track's laps, through timing gates
+ * in order, with a chase camera behind the car. Each race files the player's
+ * best lap and total time on the track's all-time boards (RaceRecords), and
+ * the round summary shows the race order, this race's best laps and the
+ * records.
+ *
+ * Flow (RACE_TRANSITIONS):
+ *   title → countdown → racing → finished → round-summary → countdown
+ * 'finished' is the few seconds after the player crosses the line while the
+ * field carries on.
+ *
+ * Driving: arrows or WASD; a gamepad's left stick steers with the triggers
+ * (or A / B) on the pedals; on touch, hold to accelerate and drag sideways
+ * to steer. The mode drives the camera itself (`ownsCamera`) and hands it
+ * back to the orbit when another mode is picked.
+ *
+ * The road, markings, walls, rails and lamp posts are all swept from the
+ * track's curve with spline-geometry.js.
+ */
+
+import * as THREE from 'three'
+import { RaceTrack, getTrack } from './race-track.js'
+import { RaceCar, createAIRacers } from './race-car.js'
+import { LapTimer, RaceRecords, formatRaceTime } from './race-timing.js'
+import { createRibbonGeometry, createTubeGeometry, createInstancedProps } from './spline-geometry.js'
+import { createMemoryStorage } from './round-history.js'
+
+export const RACE_TRANSITIONS = {
+  title: ['countdown'],
+  countdown: ['racing'],
+  racing: ['finished'],
+  finished: ['round-summary'],
+  'round-summary': ['countdown'],
+}
+
+const COUNTDOWN = 3 // seconds of lights before the start
+const FINISH_HOLD = 3 // seconds of the field finishing before the summary
+const CHASE_DISTANCE = 3.2
+const CHASE_HEIGHT = 1.6
+const CHASE_LOOK_AHEAD = 2
+const CHASE_RATE = 5 // how quickly the camera swings in behind the car, 1/s
+const POINTER_FULL_LOCK = 90 // px of sideways drag for full steering
+const PAD_DEADZONE = 0.15
+const ROLL_SCALE = 0.45 // car speed to audio.roll() speed, so top speed rolls loudest
+const GATE_IDLE = new THREE.Color(0x555566)
+const GATE_NEXT = new THREE.Color(0x00edaf)
+const CAR_COLORS = [0xff4466, 0xffc828, 0x00b5ad, 0x8b5cf6, 0xffffff, 0x00edaf]
+const DRIVE_KEYS = {
+  ArrowUp: 'throttle', KeyW: 'throttle',
+  ArrowDown: 'brake', KeyS: 'brake',
+  ArrowLeft: 'left', KeyA: 'left',
+  ArrowRight: 'right', KeyD: 'right',
+}
+
+const _goal = new THREE.Vector3()
+const _look = new THREE.Vector3()
+
+export class RacingMode {
+  /**
+   * @param track       TRACKS id
+   * @param storage     getItem / setItem adapter for the all-time records
+   * @param playerName  returns the name to file records under
+   * @param racers      AI racers on the grid behind the player
+   */
+  constructor({ track = 'harbour', storage = createMemoryStorage(), playerName = () => 'You', racers = 3 } = {}) {
+    this.id = 'racing'
+    this.name = 'Racing'
+    this.description = 'Race the field round a spline track'
+    this.transitions = RACE_TRANSITIONS
+    this.firstState = 'countdown'
+    this.ownsCamera = true
+    this.track = new RaceTrack(getTrack(track))
+    this.records = new RaceRecords(storage)
+    this.playerName = playerName
+    this.car = new RaceCar(this.track)
+    this.racers = createAIRacers(this.track, { count: racers })
+    this.timer = null
+    this.result = null // the player's finish: { place, total, best, records }
+    this._ctx = null
+    this._meshes = null
+    this._keys = new Set()
+    this._pointer = null
+    this._orbit = null // the camera and orbit from before the mode took over
+    this._hud = ''
+  }
+
+  enter(ctx) {
+    this._ctx = ctx
+    if (!this._meshes) this._build(ctx.root)
+    const { camera, controls } = ctx
+    this._orbit = { position: camera.position.clone(), target: controls.target.clone(), enabled: controls.enabled }
+    ctx.director.stop()
+    controls.enabled = false
+    this._listen()
+    this._sync()
+    this._chase(camera, null)
+    this._hud = ''
+    ctx.ui.setHud({ title: 'Racing', detail: this.track.name, status: `${this.track.laps} laps · ${this.racers.length + 1} cars` })
+  }
+
+  leave(ctx) {
+    this.stop(ctx)
+    this._unlisten()
+    const { camera, controls } = ctx
+    camera.position.copy(this._orbit.position)
+    controls.target.copy(this._orbit.target)
+    controls.enabled = this._orbit.enabled
+    camera.lookAt(controls.target)
+  }
+
+  // Everyone back on the grid, then the countdown
+  start(ctx) {
+    const { game, ui } = ctx
+    this.car.place(this.track.gridSlot(0))
+    this.car.setControls({})
+    this.racers.forEach((r) => r.reset())
+    this.result = null
+
+    this.timer = new LapTimer(this.track)
+    this.timer.addRacer(this.playerName(), this.car.distance)
+    this.racers.forEach((r) => this.timer.addRacer(r.name, r.distance))
+    this.timer.on('checkpoint', (e) => { if (e.racer === 0) ui.showToast(`Split ${formatRaceTime(e.split)}`, 1200) })
+    this.timer.on('lap', (e) => { if (e.racer === 0) this._onLap(ctx, e) })
+    this.timer.on('finish', (e) => { if (e.racer === 0) this._onFinish(ctx, e) })
+
+    this._sync()
+    this._chase(ctx.camera, null)
+    game.go('countdown')
+    this._countdown(ctx, COUNTDOWN)
+  }
+
+  stop(ctx) {
+    if (this.timer) this.timer.running = false
+    this.car.setControls({})
+    this._keys.clear()
+    this._pointer = null
+    ctx.audio.roll(0)
+  }
+
+  update(ctx, dt) {
+    const { game, camera, audio } = ctx
+    if (this.timer && game.is('racing', 'finished')) {
+      // Past the line the car brakes itself while the field finishes
+      this.car.setControls(game.is('racing') ? this._readControls() : { brake: 1 })
+      this.car.update(dt)
+      this.racers.forEach((r) => r.update(dt))
+      this.timer.tick(dt)
+      this.timer.update(0, this.car.distance)
+      this.racers.forEach((r, i) => this.timer.update(i + 1, r.distance))
+      this._updateHud(ctx)
+    }
+    this._sync()
+    this._chase(camera, dt)
+    audio.roll(dt && game.is('racing', 'finished') ? this.car.speed * ROLL_SCALE : 0)
+  }
+
+  getSummary() {
+    const standings = this.timer.standings
+    const { place, total, best, records } = this.result ?? {}
+    let note = `You finished P${place} of ${standings.length} in ${formatRaceTime(total)} · best lap ${formatRaceTime(best)}`
+    if (records?.lap === 1) note += ' — new lap record!'
+    else if (records?.total === 1) note += ' — new race record!'
+    return {
+      title: place === 1 ? 'Victory!' : 'Race complete',
+      rows: standings.map((r) => ({
+        label: `${r.rank}. ${r.name}`,
+        value: r.finished ? formatRaceTime(r.total) : `Lap ${r.lap}`,
+      })),
+      boards: [
+        {
+          title: 'Best laps',
+          rows: this.timer.bestLaps.map((r) => ({ label: `${r.rank}. ${r.name}`, value: `${formatRaceTime(r.best)} (lap ${r.lap})` })),
+        },
+        { title: `${this.track.name} — lap records`, rows: this._recordRows('lap', records?.lap) },
+        { title: `${this.track.name} — race records`, rows: this._recordRows('total', records?.total) },
+      ],
+      note,
+    }
+  }
+
+  canPause(ctx) {
+    return !ctx.renderer.xr.isPresenting
+  }
+
+  // ── Race ──
+
+  _countdown(ctx, n) {
+    const { game, ui } = ctx
+    if (n > 0) {
+      ui.showToast(String(n), 900)
+      game.wait(1, () => this._countdown(ctx, n - 1))
+      return
+    }
+    game.go('racing')
+    this.timer.start()
+    this.racers.forEach((r) => r.go())
+    ui.showToast('Go!', 900)
+    ui.announce('Go!')
+  }
+
+  _onLap({ ui, audio }, { lap, time, best }) {
+    if (lap >= this.track.laps) return // the finish says it
+    const fastest = lap > 1 && time === best
+    const msg = `Lap ${lap} · ${formatRaceTime(time)}${fastest ? ' — best lap!' : ''}`
+    ui.showToast(msg, 2000)
+    ui.announce(msg)
+    audio.scoreCue(fastest ? 'Birdie' : 'Par')
+  }
+
+  _onFinish({ game, ui, audio }, { place, total, best }) {
+    const records = this.records.record(this.track.id, { name: this.playerName(), best, total, laps: this.track.laps })
+    this.result = { place, total, best, records }
+    game.go('finished')
+    const msg = `Finished P${place} · ${formatRaceTime(total)}`
+    ui.showToast(msg, FINISH_HOLD * 1000)
+    ui.announce(msg)
+    audio.scoreCue(place === 1 ? 'Eagle' : 'Par')
+    game.wait(FINISH_HOLD, () => game.go('round-summary'))
+  }
+
+  _updateHud({ ui }) {
+    const me = this.timer.standings.find((r) => r.index === 0)
+    const detail = `Lap ${me.lap}/${this.track.laps} · P${me.rank}/${this.racers.length + 1}`
+    if (detail === this._hud) return
+    this._hud = detail
+    ui.setHud({ detail, status: `Best lap ${formatRaceTime(me.best)}` })
+  }
+
+  _recordRows(board, mine) {
+    const rows = this.records.getBoard(this.track.id, board).map((e, i) => ({
+      label: `${i + 1}. ${e.name}${i + 1 === mine ? ' (new)' : ''}`,
+      value: formatRaceTime(e.time),
+    }))
+    return rows.length ? rows : [{ label: 'No times yet', value: '—' }]
+  }
+
+  // ── Controls ──
+
+  _readControls() {
+    const held = new Set([...this._keys].map((code) => DRIVE_KEYS[code]))
+    let steer = (held.has('right') ? 1 : 0) - (held.has('left') ? 1 : 0)
+    let throttle = held.has('throttle') ? 1 : 0
+    let brake = held.has('brake') ? 1 : 0
+    if (this._pointer) {
+      throttle = 1
+      steer += (this._pointer.x - this._pointer.startX) / POINTER_FULL_LOCK
+    }
+    const pad = readGamepad()
+    if (pad) {
+      steer += pad.steer
+      throttle = Math.max(throttle, pad.throttle)
+      brake = Math.max(brake, pad.brake)
+    }
+    return { steer, throttle, brake }
+  }
+
+  _listen() {
+    const driving = () => this._ctx.game.is('countdown', 'racing', 'finished') && !this._ctx.game.paused
+    this._onKeyDown = (e) => {
+      if (!DRIVE_KEYS[e.code] || e.target.closest?.('input, select, textarea')) return
+      this._keys.add(e.code)
+      if (driving()) e.preventDefault() // arrows would scroll the page
+    }
+    this._onKeyUp = (e) => this._keys.delete(e.code)
+    this._onBlur = () => this._keys.clear()
+    this._onPointerDown = (e) => {
+      if (!driving()) return
+      this._pointer = { id: e.pointerId, startX: e.clientX, x: e.clientX }
+      e.target.setPointerCapture?.(e.pointerId)
+    }
+    this._onPointerMove = (e) => {
+      if (this._pointer?.id === e.pointerId) this._pointer.x = e.clientX
+    }
+    this._onPointerUp = (e) => {
+      if (this._pointer?.id === e.pointerId) this._pointer = null
+    }
+    const canvas = this._ctx.renderer.domElement
+    window.addEventListener('keydown', this._onKeyDown)
+    window.addEventListener('keyup', this._onKeyUp)
+    window.addEventListener('blur', this._onBlur)
+    canvas.addEventListener('pointerdown', this._onPointerDown)
+    canvas.addEventListener('pointermove', this._onPointerMove)
+    canvas.addEventListener('pointerup', this._onPointerUp)
+    canvas.addEventListener('pointercancel', this._onPointerUp)
+  }
+
+  _unlisten() {
+    const canvas = this._ctx.renderer.domElement
+    window.removeEventListener('keydown', this._onKeyDown)
+    window.removeEventListener('keyup', this._onKeyUp)
+    window.removeEventListener('blur', this._onBlur)
+    canvas.removeEventListener('pointerdown', this._onPointerDown)
+    canvas.removeEventListener('pointermove', this._onPointerMove)
+    canvas.removeEventListener('pointerup', this._onPointerUp)
+    canvas.removeEventListener('pointercancel', this._onPointerUp)
+  }
+
+  // ── Scene ──
+
+  _build(root) {
+    const track = this.track
+    const { curve, width } = track
+    const road = new THREE.Mesh(
+      createRibbonGeometry(curve, { width, height: 0.002, uvLength: width }),
+      new THREE.MeshStandardMaterial({ color: 0x2a2a36, roughness: 0.85 })
+    )
+    road.receiveShadow = true
+    root.add(road)
+
+    // Markings: edge lines and centre dashes
+    const paint = new THREE.MeshStandardMaterial({ color: 0xdddde6, roughness: 0.6 })
+    for (const side of [-1, 1]) {
+      root.add(new THREE.Mesh(createRibbonGeometry(curve, { width: 0.06, offset: side * (width / 2 - 0.12), height: 0.004 }), paint))
+    }
+    root.add(createInstancedProps(curve, new THREE.BoxGeometry(0.5, 0.004, 0.05), paint, { spacing: 1.2, start: 0.6, height: 0.004 }))
+
+    // Start/finish line across the road at gate 0
+    const line = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.012, width), new THREE.MeshStandardMaterial({ color: 0xffffff }))
+    const start = track.pointAt(0)
+    line.position.set(start.x, 0.006, start.z)
+    line.rotation.y = -start.heading
+    root.add(line)
+
+    // Walls where the cars stop (track.walls, all one size), each with a rail along the top
+    const { thickness, height } = track.walls[0]
+    const wallMat = new THREE.MeshStandardMaterial({ color: 0x3a3a4a, roughness: 0.6 })
+    const railMat = new THREE.MeshStandardMaterial({ color: 0xc084fc, roughness: 0.3, metalness: 0.4 })
+    for (const side of [-1, 1]) {
+      const offset = side * (width / 2 + thickness / 2)
+      const wall = new THREE.Mesh(createRibbonGeometry(curve, { width: thickness, thickness: height, height, offset, uvLength: 1 }), wallMat)
+      wall.castShadow = true
+      wall.receiveShadow = true
+      root.add(wall)
+      root.add(new THREE.Mesh(createTubeGeometry(curve, { radius: 0.04, offset, height: height + 0.04 }), railMat))
+    }
+
+    // Lamp posts down both sides
+    const lampOffsets = [-1, 1].map((side) => side * (width / 2 + 0.6))
+    const lamps = createInstancedProps(curve, new THREE.CylinderGeometry(0.03, 0.04, 0.9, 6), wallMat, { spacing: 6, start: 3, offset: lampOffsets, height: 0.45, align: false })
+    const bulbs = createInstancedProps(curve, new THREE.SphereGeometry(0.08, 10, 8), new THREE.MeshStandardMaterial({ color: 0xffe9b0, emissive: 0xffc828, emissiveIntensity: 0.8 }), { spacing: 6, start: 3, offset: lampOffsets, height: 0.95, align: false })
+    lamps.castShadow = true
+    root.add(lamps, bulbs)
+
+    // A pair of posts per timing gate (instances 2i and 2i + 1); the player's next gate lights up
+    const gates = createInstancedProps(curve, new THREE.CylinderGeometry(0.06, 0.06, 0.9, 8), new THREE.MeshStandardMaterial({ color: 0xffffff }), {
+      spacing: track.length / track.checkpoints.length,
+      offset: [-1, 1].map((side) => side * (width / 2 + 0.3)),
+      height: 0.45,
+      align: false,
+    })
+    root.add(gates)
+
+    const cars = [this.car, ...this.racers].map((_, i) => {
+      const mesh = createCarMesh(CAR_COLORS[i % CAR_COLORS.length])
+      root.add(mesh)
+      return mesh
+    })
+
+    this._meshes = { cars, gates, litGate: null }
+  }
+
+  // Cars and gate highlights to where the race is
+  _sync() {
+    const meshes = this._meshes
+    ;[this.car, ...this.racers].forEach((racer, i) => {
+      meshes.cars[i].position.set(racer.x, 0, racer.z)
+      meshes.cars[i].rotation.y = -racer.heading
+    })
+    const next = this.timer?.running ? this.timer.racers[0].next : -1
+    if (next === meshes.litGate) return
+    meshes.litGate = next
+    for (let i = 0; i < meshes.gates.count; i++) {
+      meshes.gates.setColorAt(i, Math.floor(i / 2) === next ? GATE_NEXT : GATE_IDLE)
+    }
+    meshes.gates.instanceColor.needsUpdate = true
+  }
+
+  // Behind and above the car, looking a little ahead; dt null snaps into place
+  _chase(camera, dt) {
+    const { x, z, heading } = this.car
+    const cos = Math.cos(heading)
+    const sin = Math.sin(heading)
+    _goal.set(x - cos * CHASE_DISTANCE, CHASE_HEIGHT, z - sin * CHASE_DISTANCE)
+    camera.position.lerp(_goal, dt === null ? 1 : 1 - Math.exp(-CHASE_RATE * dt))
+    camera.lookAt(_look.set(x + cos * CHASE_LOOK_AHEAD, 0.3, z + sin * CHASE_LOOK_AHEAD))
+  }
+}
+
+// Box car facing +x, wheels on the ground
+function createCarMesh(color) {
+  const car = new THREE.Group()
+  const body = new THREE.Mesh(new THREE.BoxGeometry(0.62, 0.16, 0.34), new THREE.MeshStandardMaterial({ color, roughness: 0.4 }))
+  body.position.y = 0.12
+  body.castShadow = true
+  car.add(body)
+  const cabin = new THREE.Mesh(new THREE.BoxGeometry(0.28, 0.12, 0.28), new THREE.MeshStandardMaterial({ color: 0x111119, roughness: 0.2 }))
+  cabin.position.set(-0.04, 0.26, 0)
+  car.add(cabin)
+  return car
+}
+
+// First connected gamepad as { steer, throttle, brake }, or null
+function readGamepad() {
+  const pads = globalThis.navigator?.getGamepads?.() || []
+  const pad = Array.from(pads).find((p) => p?.connected !== false && p?.buttons)
+  if (!pad) return null
+  const value = (i) => pad.buttons[i]?.value ?? (pad.buttons[i]?.pressed ? 1 : 0)
+  const x = pad.axes?.[0] ?? 0
+  return {
+    steer: Math.abs(x) < PAD_DEADZONE ? 0 : x,
+    throttle: Math.max(value(7), value(0)), // right trigger or A
+    brake: Math.max(value(6), value(1)), // left trigger or B
+  }
+}
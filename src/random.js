@@ -0,0 +1,32 @@
+/**
+ * Seeded randomness — deterministic streams for bots and generated courses.
+ * Same seed, same numbers, in the browser and in Node.
+ */
+
+// mulberry32 — small, fast and good enough for gameplay
+export function createRandom(seed) {
+  let a = (typeof seed === 'string' ? hashSeed(seed) : seed) >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// String seed → 32-bit integer (FNV-1a)
+export function hashSeed(text) {
+  let h = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i)
+    h = Math.imul(h, 0x01000193)
+  }
+  return h >>> 0
+}
+
+// Standard normal via Box–Muller
+export function gaussian(random) {
+  const u = 1 - random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random())
+}
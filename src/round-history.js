@@ -0,0 +1,268 @@
+/**
+ * RoundHistory — saved rounds, personal bests and round resume.
+ * Everything goes through a storage adapter with the Web Storage shape
+ * (getItem / setItem / removeItem on strings), so the same code runs on
+ * localStorage in the browser and on memory or a file in Node.
+ *
+ * A saved round is one player's card for one completed round:
+ *   { id, date, course, player, holes: [{ hole, par, score, penalties, pickedUp }], score, par, diff }
+ * Players from the same multiplayer round share its id.
+ */
+
+const HISTORY_VERSION = 1
+const CSV_COLUMNS = ['round', 'date', 'course', 'player', 'hole', 'par', 'score', 'penalties', 'picked_up']
+
+// ── Storage adapters ──
+
+export function createMemoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial))
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => { data.set(key, String(value)) },
+    removeItem: (key) => { data.delete(key) },
+  }
+}
+
+// localStorage, or null where it's missing or blocked (private mode, sandboxed iframes)
+export function createLocalStorage() {
+  try {
+    const storage = globalThis.localStorage
+    const probe = '__webar-game-kit__'
+    storage.setItem(probe, probe)
+    storage.removeItem(probe)
+    return storage
+  } catch {
+    return null
+  }
+}
+
+// ── History ──
+
+export class RoundHistory {
+  constructor(storage = createMemoryStorage(), { namespace = 'webar-game-kit' } = {}) {
+    this.storage = storage
+    this.keys = { rounds: `${namespace}:rounds`, progress: `${namespace}:progress` }
+    this.rounds = readStoredRounds(this._read(this.keys.rounds)?.rounds)
+  }
+
+  _read(key) {
+    const raw = this.storage.getItem(key)
+    if (!raw) return null
+    try {
+      return JSON.parse(raw)
+    } catch {
+      return null
+    }
+  }
+
+  // False when storage refuses the write (quota, blocked); the game carries on from memory
+  _write(key, value) {
+    try {
+      this.storage.setItem(key, JSON.stringify(value))
+      return true
+    } catch {
+      return false
+    }
+  }
+
+  _save() {
+    return this._write(this.keys.rounds, { version: HISTORY_VERSION, rounds: this.rounds })
+  }
+
+  /**
+   * Store every player's card from a finished ScoreSystem round.
+   * Returns the saved rounds (one per player who scored a hole).
+   */
+  recordRound(score, { course = '', date = new Date().toISOString() } = {}) {
+    const id = `${Date.parse(date) || Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+    const saved = score.players
+      .filter((p) => p.holes.length)
+      .map((p) => createRound({
+        id,
+        date,
+        course,
+        player: p.name,
+        holes: p.holes.map(({ hole, par, score: strokes, penalties, pickedUp }) => ({ hole, par, score: strokes, penalties, pickedUp })),
+      }))
+    this.rounds.push(...saved)
+    this._save()
+    return saved
+  }
+
+  getRounds({ course, player } = {}) {
+    return this.rounds.filter((r) => (course === undefined || r.course === course) && (player === undefined || r.player === player))
+  }
+
+  // Lowest score relative to par on a course (full rounds only when holeCount is given)
+  getPersonalBest(course, { player, holeCount } = {}) {
+    const rounds = this.getRounds({ course, player }).filter((r) => !holeCount || r.holes.length >= holeCount)
+    return rounds.reduce((best, r) => (!best || r.diff < best.diff || (r.diff === best.diff && r.score < best.score) ? r : best), null)
+  }
+
+  // Average strokes per hole across saved rounds: [{ hole, par, average, best, rounds }]
+  getHoleAverages(course, { player } = {}) {
+    const byHole = new Map()
+    this.getRounds({ course, player }).forEach((r) => r.holes.forEach((h) => {
+      if (!byHole.has(h.hole)) byHole.set(h.hole, { hole: h.hole, par: h.par, total: 0, best: Infinity, rounds: 0 })
+      const row = byHole.get(h.hole)
+      row.total += h.score
+      row.best = Math.min(row.best, h.score)
+      row.rounds++
+    }))
+    return [...byHole.values()]
+      .sort((a, b) => a.hole - b.hole)
+      .map(({ total, ...row }) => ({ ...row, average: total / row.rounds }))
+  }
+
+  clear() {
+    this.rounds = []
+    this.storage.removeItem(this.keys.rounds)
+  }
+
+  // ── In-progress round ──
+
+  // Snapshot: { course, hole, score: ScoreSystem#toJSON(), ...anything the game needs to resume }; false if it couldn't be stored
+  saveProgress(snapshot) {
+    return this._write(this.keys.progress, { version: HISTORY_VERSION, savedAt: new Date().toISOString(), ...snapshot })
+  }
+
+  loadProgress() {
+    const progress = this._read(this.keys.progress)
+    return progress && progress.version === HISTORY_VERSION && progress.score ? progress : null
+  }
+
+  clearProgress() {
+    this.storage.removeItem(this.keys.progress)
+  }
+
+  // ── Export / import ──
+
+  exportJSON() {
+    return JSON.stringify({ version: HISTORY_VERSION, rounds: this.rounds }, null, 2)
+  }
+
+  exportCSV() {
+    const rows = this.rounds.flatMap((r) => r.holes.map((h) => [
+      r.id, r.date, r.course, r.player, h.hole, h.par, h.score, h.penalties || 0, h.pickedUp ? 1 : 0,
+    ]))
+    return [CSV_COLUMNS, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n'
+  }
+
+  /**
+   * Merge rounds from an exportJSON() or exportCSV() string. Rounds already
+   * present (same id and player) are skipped. Returns the number added.
+   */
+  import(text) {
+    const trimmed = String(text).trim()
+    const rounds = trimmed.startsWith('{') || trimmed.startsWith('[') ? parseHistoryJSON(trimmed) : parseHistoryCSV(trimmed)
+    const known = new Set(this.rounds.map((r) => `${r.id}\u0000${r.player}`))
+    const added = rounds.filter((r) => !known.has(`${r.id}\u0000${r.player}`))
+    this.rounds.push(...added)
+    this._save()
+    return added.length
+  }
+}
+
+function createRound({ id, date, course, player, holes }) {
+  const score = holes.reduce((sum, h) => sum + h.score, 0)
+  const par = holes.reduce((sum, h) => sum + h.par, 0)
+  return { id: String(id), date, course, player, holes, score, par, diff: score - par }
+}
+
+function parseHistoryJSON(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (err) {
+    throw new Error(`Round history is not valid JSON: ${err.message}`)
+  }
+  const rounds = Array.isArray(data) ? data : data?.rounds
+  if (!Array.isArray(rounds)) throw new Error('Round history JSON needs a "rounds" array')
+  return rounds.map(parseRound)
+}
+
+// One round from JSON; throws on anything the history methods couldn't use
+function parseRound(r, i) {
+  if (!r || typeof r.player !== 'string' || !Array.isArray(r.holes)) throw new Error(`rounds[${i}] needs a player and holes`)
+  if (['id', 'date', 'course'].some((key) => r[key] != null && typeof r[key] !== 'string')) {
+    throw new Error(`rounds[${i}] id, date and course must be strings`)
+  }
+  const holes = r.holes.map((h, j) => {
+    if (!h || typeof h !== 'object' || ![h.hole, h.par, h.score].every(Number.isFinite)) throw new Error(`rounds[${i}].holes[${j}] needs numeric hole, par and score`)
+    return { hole: h.hole, par: h.par, score: h.score, penalties: Number(h.penalties) || 0, pickedUp: Boolean(h.pickedUp) }
+  })
+  return createRound({ id: r.id ?? `import-${i}`, date: r.date || '', course: r.course || '', player: r.player, holes })
+}
+
+// Stored history is untrusted (other versions, hand edits): keep only the rounds that parse
+function readStoredRounds(rounds) {
+  if (!Array.isArray(rounds)) return []
+  return rounds.flatMap((r, i) => {
+    try {
+      return [parseRound(r, i)]
+    } catch {
+      return []
+    }
+  })
+}
+
+function parseHistoryCSV(text) {
+  const [header, ...lines] = parseCSV(text)
+  if (!header || CSV_COLUMNS.some((c, i) => header[i] !== c)) {
+    throw new Error(`Round history CSV must start with the header: ${CSV_COLUMNS.join(',')}`)
+  }
+
+  // One row per hole; regroup into rounds
+  const rounds = new Map()
+  lines.forEach((cells, i) => {
+    const [id, date, course, player, ...numbers] = cells
+    const [hole, par, score, penalties, pickedUp] = numbers.map(Number)
+    if (![hole, par, score].every(Number.isFinite)) throw new Error(`CSV line ${i + 2}: hole, par and score must be numbers`)
+    const key = `${id}\u0000${player}`
+    if (!rounds.has(key)) rounds.set(key, { id, date, course, player, holes: [] })
+    rounds.get(key).holes.push({ hole, par, score, penalties: penalties || 0, pickedUp: pickedUp === 1 })
+  })
+  return [...rounds.values()].map(createRound)
+}
+
+function csvCell(value) {
+  const text = String(value ?? '')
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// RFC 4180-ish: quoted cells, doubled quotes, CRLF or LF rows; blank lines skipped
+function parseCSV(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (c === '"') {
+        quoted = false
+      } else {
+        cell += c
+      }
+    } else if (c === '"') {
+      quoted = true
+    } else if (c === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      if (row.some((v) => v !== '')) rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += c
+    }
+  }
+  row.push(cell)
+  if (row.some((v) => v !== '')) rows.push(row)
+  return rows
+}
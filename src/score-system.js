@@ -1,8 +1,21 @@
 /**
  * ScoreSystem — hole scoring + scorecard tracker.
  * Ported from 8thwall-archive/putt-putt ECS to standalone class.
+ *
+ * Supports pass-and-play for N named players:
+ * - Turn order: 'away' (farthest from the hole plays next) or 'rotation'
+ * - Per-player scorecards and standings
+ * - Optional stroke limit per hole (player picks up at the limit)
+ *
+ * Strokes are always recorded; `scoring` picks how they are ranked (stroke
+ * play, Stableford, match play, skins or time trial — see scoring-rules.js).
+ *
+ * The single-player API (currentStrokes, holes, totals, scorecard) reads and
+ * writes the player whose turn it is. toJSON()/restore() snapshot the round.
  */
 
+import { getScoringRule, scoreRound } from './scoring-rules.js'
+
 const GOLF_TERMS = {
   '-3': 'Albatross',
   '-2': 'Eagle',
@@ -13,11 +26,25 @@ const GOLF_TERMS = {
   '3': 'Triple Bogey',
 }
 
+function createPlayer(name, index) {
+  return { index, name, holes: [], strokes: 0, penalties: 0, time: 0, done: false }
+}
+
+function totalsFor(player) {
+  const score = player.holes.reduce((sum, h) => sum + h.score, 0)
+  const par = player.holes.reduce((sum, h) => sum + h.par, 0)
+  return { score, par, diff: score - par }
+}
+
 export class ScoreSystem {
-  constructor() {
-    this.holes = []
+  constructor({ players = ['Player 1'], turnOrder = 'away', maxStrokes = Infinity, scoring = 'stroke' } = {}) {
+    this.players = players.map(createPlayer)
+    this.turnOrder = turnOrder // 'away' | 'rotation'
+    this.maxStrokes = maxStrokes
+    this.scoring = getScoringRule(scoring)
     this.currentHole = 0
-    this.currentStrokes = 0
+    this.currentPar = null
+    this.turn = 0
     this._listeners = {}
   }
 
@@ -31,60 +58,239 @@ export class ScoreSystem {
     (this._listeners[event] || []).forEach((fn) => fn(data))
   }
 
+  // ── Current player (single-player API) ──
+
+  get currentPlayer() {
+    return this.players[this.turn]
+  }
+
+  get holes() { return this.currentPlayer.holes }
+
+  get currentStrokes() { return this.currentPlayer.strokes }
+  set currentStrokes(n) { this.currentPlayer.strokes = n }
+
+  get currentPenalties() { return this.currentPlayer.penalties }
+  set currentPenalties(n) { this.currentPlayer.penalties = n }
+
+  get isMultiplayer() {
+    return this.players.length > 1
+  }
+
+  // ── Hole flow ──
+
+  // Begin a hole: everyone back on the tee, first player in order tees off
+  startHole(par) {
+    this.currentPar = par
+    this.players.forEach((p) => {
+      p.strokes = 0
+      p.penalties = 0
+      p.time = 0
+      p.done = false
+    })
+    this.turn = 0
+    this._emit('hole-start', { hole: this.currentHole + 1, par })
+    this._emit('turn', this._turnEvent())
+  }
+
   addStroke() {
     this.currentStrokes++
-    this._emit('stroke', { hole: this.currentHole + 1, strokes: this.currentStrokes })
+    this._emit('stroke', { hole: this.currentHole + 1, strokes: this.currentStrokes, ...this._playerInfo() })
   }
 
-  scoreHole(par) {
-    const score = this.currentStrokes
-    const diff = score - par
-    const term = GOLF_TERMS[String(diff)] || (diff > 0 ? `+${diff}` : `${diff}`)
+  // Penalty strokes (water hazard, out of bounds) count toward the hole score
+  addPenalty(strokes = 1, reason = 'penalty') {
+    this.currentStrokes += strokes
+    this.currentPenalties += strokes
+    this._emit('penalty', {
+      hole: this.currentHole + 1, strokes: this.currentStrokes, penalty: strokes, reason, ...this._playerInfo(),
+    })
+  }
+
+  // Advance the current player's hole clock (time trial); call with frame deltas
+  tick(dt) {
+    if (this.currentPar === null || this.isHoleComplete) return
+    this.currentPlayer.time += dt
+  }
+
+  get reachedStrokeLimit() {
+    return this.currentStrokes >= this.maxStrokes
+  }
 
+  // Current player holes out
+  scoreHole(par = this.currentPar) {
+    return this._finishPlayer(par, this.currentStrokes, false)
+  }
+
+  // Current player hit the stroke limit without holing out
+  pickUp(par = this.currentPar) {
+    return this._finishPlayer(par, Math.min(this.currentStrokes, this.maxStrokes), true)
+  }
+
+  _finishPlayer(par, score, pickedUp) {
+    const player = this.currentPlayer
     const entry = {
       hole: this.currentHole + 1,
       par,
       score,
-      diff,
-      term,
+      diff: score - par,
+      term: pickedUp ? 'Picked Up' : ScoreSystem.getGolfTerm(score, par),
+      penalties: player.penalties,
+      time: player.time,
+      pickedUp,
+      ...this._playerInfo(),
     }
 
-    this.holes.push(entry)
+    player.holes.push(entry)
+    player.done = true
     this._emit('hole-scored', entry)
 
-    this.currentHole++
-    this.currentStrokes = 0
+    if (this.isHoleComplete) {
+      const entries = this.players.map((p) => p.holes[p.holes.length - 1])
+      this._emit('hole-complete', { hole: this.currentHole + 1, par, entries })
+      this.currentHole++
+      this.players.forEach((p) => {
+        p.strokes = 0
+        p.penalties = 0
+        p.time = 0
+      })
+    }
 
     return entry
   }
 
+  get isHoleComplete() {
+    return this.players.every((p) => p.done)
+  }
+
+  /**
+   * Pick who plays next. `distances[i]` is player i's distance to the hole
+   * (used by 'away' order). Returns the next player, or null when everyone
+   * has finished the hole.
+   */
+  nextTurn(distances = []) {
+    const waiting = this.players.filter((p) => !p.done)
+    if (!waiting.length) return null
+
+    let next
+    if (this.turnOrder === 'away' && distances.length) {
+      // Farthest ball plays first; ties go to the earlier player
+      next = waiting.reduce((a, b) => ((distances[b.index] ?? 0) > (distances[a.index] ?? 0) ? b : a))
+    } else {
+      next = waiting.find((p) => p.index > this.turn) || waiting[0]
+    }
+
+    this.turn = next.index
+    this._emit('turn', this._turnEvent())
+    return next
+  }
+
+  _playerInfo() {
+    return { player: this.currentPlayer.name, playerIndex: this.turn }
+  }
+
+  _turnEvent() {
+    return { hole: this.currentHole + 1, strokes: this.currentStrokes, ...this._playerInfo() }
+  }
+
+  // ── Totals (current player) ──
+
   get totalScore() {
-    return this.holes.reduce((sum, h) => sum + h.score, 0)
+    return totalsFor(this.currentPlayer).score
   }
 
   get totalPar() {
-    return this.holes.reduce((sum, h) => sum + h.par, 0)
+    return totalsFor(this.currentPlayer).par
   }
 
   get totalDiff() {
-    return this.totalScore - this.totalPar
+    return totalsFor(this.currentPlayer).diff
   }
 
   get scorecard() {
-    return this.holes.map((h) => ({
+    return this.getScorecard(this.turn)
+  }
+
+  getScorecard(playerIndex) {
+    return this.players[playerIndex].holes.map((h) => ({
       ...h,
       color: h.diff < 0 ? '#00edaf' : h.diff > 0 ? '#ff4466' : '#ffffff',
     }))
   }
 
+  // Scorecard rows and totals under the scoring rule: { rows, totals, carry }
+  get card() {
+    return scoreRound(this.scoring, this.players)
+  }
+
+  /**
+   * Players ranked under the scoring rule (ties share a rank). Rows carry
+   * stroke totals (score, par, diff) plus the rule's value and label.
+   */
+  get standings() {
+    return this.card.totals.map((row) => ({
+      ...row,
+      holes: this.players[row.playerIndex].holes.length,
+      ...totalsFor(this.players[row.playerIndex]),
+    }))
+  }
+
+  setScoring(scoring) {
+    this.scoring = getScoringRule(scoring)
+    this._emit('scoring', { scoring: this.scoring.id })
+  }
+
+  // Start the round over; listeners get the discarded round as `previous`
   reset() {
-    this.holes = []
+    const previous = this.toJSON()
+    this.players = this.players.map((p) => createPlayer(p.name, p.index))
+    this._startOver(previous)
+  }
+
+  // Replace the player list (and optionally the rules) and start over
+  setPlayers(names, { turnOrder = this.turnOrder, maxStrokes = this.maxStrokes, scoring = this.scoring } = {}) {
+    const previous = this.toJSON()
+    this.players = names.map(createPlayer)
+    this.turnOrder = turnOrder
+    this.maxStrokes = maxStrokes
+    this.scoring = getScoringRule(scoring)
+    this._startOver(previous)
+  }
+
+  _startOver(previous) {
     this.currentHole = 0
-    this.currentStrokes = 0
-    this._emit('reset', {})
+    this.currentPar = null
+    this.turn = 0
+    this._emit('reset', { previous })
+  }
+
+  // Plain snapshot of the round (network sync, saved games)
+  toJSON() {
+    return {
+      players: this.players.map((p) => ({ ...p, holes: p.holes.map((h) => ({ ...h })) })),
+      turnOrder: this.turnOrder,
+      maxStrokes: Number.isFinite(this.maxStrokes) ? this.maxStrokes : null,
+      scoring: this.scoring.id === 'time' ? { id: 'time', secondsPerStroke: this.scoring.secondsPerStroke } : this.scoring.id,
+      currentHole: this.currentHole,
+      currentPar: this.currentPar,
+      turn: this.turn,
+    }
+  }
+
+  // Replace the round with a toJSON() snapshot; listeners stay attached
+  restore(state) {
+    this.players = state.players.map((p, i) => ({ ...createPlayer(p.name, i), ...p, index: i, holes: p.holes.map((h) => ({ ...h })) }))
+    this.turnOrder = state.turnOrder
+    this.maxStrokes = state.maxStrokes ?? Infinity
+    this.scoring = getScoringRule(state.scoring || 'stroke')
+    this.currentHole = state.currentHole
+    this.currentPar = state.currentPar
+    this.turn = state.turn
+    this._emit('restore', this.toJSON())
+    return this
   }
 
   static getGolfTerm(score, par) {
+    if (score === 1) return 'Hole in One'
     const diff = score - par
     return GOLF_TERMS[String(diff)] || (diff > 0 ? `+${diff}` : `${diff}`)
   }
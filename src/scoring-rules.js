@@ -0,0 +1,178 @@
+/**
+ * Scoring rules — how a round's hole entries turn into scorecard rows and totals.
+ * ScoreSystem always records strokes; a rule only decides what they are worth.
+ *
+ * Rule shape:
+ *   id, name
+ *   higherIsBetter   rank totals descending (points) instead of ascending (strokes)
+ *   headToHead       a hole's rows need every player's entry before they can be scored
+ *   scoreHole(entries, carry) → { values: [], labels: [], carry }
+ *                    `entries` holds one hole entry per player, in player order
+ *   formatTotal(total, { player, players, totals }) → string
+ *
+ * Built-in rules: stroke, stableford, match, skins, time.
+ */
+
+// Stableford points by score relative to par (worse than double bogey scores 0)
+const STABLEFORD_POINTS = { '-3': 5, '-2': 4, '-1': 3, '0': 2, '1': 1 }
+
+function formatTime(seconds) {
+  const m = Math.floor(seconds / 60)
+  const s = seconds - m * 60
+  return `${m}:${s.toFixed(1).padStart(4, '0')}`
+}
+
+// Index of the single lowest score, or -1 when the lowest is shared
+function uniqueLowest(entries) {
+  const best = Math.min(...entries.map((e) => e.score))
+  const winners = entries.filter((e) => e.score === best)
+  return winners.length === 1 ? entries.indexOf(winners[0]) : -1
+}
+
+export const STROKE_PLAY = {
+  id: 'stroke',
+  name: 'Stroke play',
+  higherIsBetter: false,
+  headToHead: false,
+  scoreHole(entries) {
+    return { values: entries.map((e) => e.score), labels: entries.map((e) => (e.pickedUp ? 'picked up' : e.term)) }
+  },
+  formatTotal(total, { player }) {
+    return `${total} (${player.diff >= 0 ? '+' : ''}${player.diff})`
+  },
+}
+
+export const STABLEFORD = {
+  id: 'stableford',
+  name: 'Stableford',
+  higherIsBetter: true,
+  headToHead: false,
+  scoreHole(entries) {
+    const values = entries.map((e) => (e.pickedUp ? 0 : STABLEFORD_POINTS[String(e.diff)] ?? (e.diff < -3 ? 2 - e.diff : 0)))
+    return { values, labels: values.map((v) => `${v} pt${v === 1 ? '' : 's'}`) }
+  },
+  formatTotal(total) {
+    return `${total} pts`
+  },
+}
+
+export const MATCH_PLAY = {
+  id: 'match',
+  name: 'Match play',
+  higherIsBetter: true,
+  headToHead: true,
+  // Win = 1, halve = ½; a hole is won by the single lowest score
+  scoreHole(entries) {
+    const winner = uniqueLowest(entries)
+    const values = entries.map((_, i) => (winner < 0 ? 0.5 : i === winner ? 1 : 0))
+    const labels = entries.map((_, i) => (winner < 0 ? 'Halved' : i === winner ? 'Won' : 'Lost'))
+    return { values, labels }
+  },
+  formatTotal(total, { player, players, totals }) {
+    if (players.length !== 2) return `${total} pts`
+    // Head-to-head: holes up on the opponent
+    const other = totals[1 - player.playerIndex]
+    const up = total - other
+    return up === 0 ? 'All square' : up > 0 ? `${up} up` : `${-up} down`
+  },
+}
+
+export const SKINS = {
+  id: 'skins',
+  name: 'Skins',
+  higherIsBetter: true,
+  headToHead: true,
+  // A tied hole carries its skin to the next one
+  scoreHole(entries, carry = 0) {
+    const winner = uniqueLowest(entries)
+    const pot = carry + 1
+    if (winner < 0) return { values: entries.map(() => 0), labels: entries.map(() => `Carry (${pot})`), carry: pot }
+    return {
+      values: entries.map((_, i) => (i === winner ? pot : 0)),
+      labels: entries.map((_, i) => (i === winner ? `${pot} skin${pot === 1 ? '' : 's'}` : '—')),
+      carry: 0,
+    }
+  },
+  formatTotal(total) {
+    return `${total} skin${total === 1 ? '' : 's'}`
+  },
+}
+
+/** Time trial: seconds on the hole plus `secondsPerStroke` for every stroke (penalties included). */
+export function createTimeTrial({ secondsPerStroke = 5 } = {}) {
+  return {
+    id: 'time',
+    name: 'Time trial',
+    higherIsBetter: false,
+    headToHead: false,
+    secondsPerStroke,
+    scoreHole(entries) {
+      const values = entries.map((e) => (e.time || 0) + e.score * secondsPerStroke)
+      return { values, labels: values.map(formatTime) }
+    },
+    formatTotal(total) {
+      return formatTime(total)
+    },
+  }
+}
+
+export const SCORING_RULES = {
+  stroke: STROKE_PLAY,
+  stableford: STABLEFORD,
+  match: MATCH_PLAY,
+  skins: SKINS,
+  time: createTimeTrial(),
+}
+
+// Accepts a rule id ('stableford'), a rule object, or { id: 'time', secondsPerStroke }
+export function getScoringRule(rule = 'stroke') {
+  if (typeof rule === 'string') {
+    if (!SCORING_RULES[rule]) throw new Error(`Unknown scoring rule "${rule}" (expected ${Object.keys(SCORING_RULES).join(', ')})`)
+    return SCORING_RULES[rule]
+  }
+  if (rule.id === 'time' && !rule.scoreHole) return createTimeTrial(rule)
+  return rule
+}
+
+/**
+ * Score a round under a rule. `players` are ScoreSystem players.
+ * Returns { rows, totals, carry }:
+ *   rows   — every hole entry plus { value, label } (head-to-head holes stay
+ *            pending until every player has finished them)
+ *   totals — [{ player, playerIndex, value, label, rank }] best first
+ *   carry  — skins still in the pot
+ */
+export function scoreRound(rule, players) {
+  const rows = []
+  const sums = players.map(() => 0)
+  const holeCount = Math.max(0, ...players.map((p) => p.holes.length))
+  let carry = 0
+
+  for (let h = 0; h < holeCount; h++) {
+    const entries = players.map((p) => p.holes[h])
+    const played = entries.map((e, i) => (e ? i : -1)).filter((i) => i >= 0)
+
+    if (rule.headToHead && played.length < players.length) {
+      played.forEach((i) => rows.push({ ...entries[i], value: null, label: 'pending' }))
+      continue
+    }
+
+    const result = rule.scoreHole(played.map((i) => entries[i]), carry)
+    carry = result.carry ?? carry
+    played.forEach((i, k) => {
+      sums[i] += result.values[k]
+      rows.push({ ...entries[i], value: result.values[k], label: result.labels[k] })
+    })
+  }
+
+  const totals = players.map((p, i) => ({ player: p.name, playerIndex: i, value: sums[i] }))
+  totals.forEach((row) => {
+    const diff = players[row.playerIndex].holes.reduce((sum, h) => sum + h.score - h.par, 0)
+    row.label = rule.formatTotal(row.value, { player: { ...row, diff }, players, totals: sums })
+  })
+  totals.sort((a, b) => (rule.higherIsBetter ? b.value - a.value : a.value - b.value))
+  totals.forEach((row, i) => {
+    row.rank = i > 0 && row.value === totals[i - 1].value ? totals[i - 1].rank : i + 1
+  })
+  return { rows, totals, carry }
+}
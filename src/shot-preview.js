@@ -0,0 +1,131 @@
+/**
+ * Shot preview — where a shot will go, for the dotted aiming guide. Runs the
+ * shot forward through BallPhysics, the same code that plays it, so wall and
+ * obstacle bounces, slopes, sand and boost pads all show up in the path.
+ *
+ * Built for running every frame while aiming: one physics instance is reused,
+ * dots go into a preallocated buffer, the previous result is returned when
+ * nothing changed, the run stops at `bounces` contacts or `maxTime`, and a
+ * time budget spreads a long run over frames.
+ * Headless; the demo draws `dots` as THREE.Points.
+ *
+ * `bounces` sets how much is shown: 1 ends the path at the first wall (hard
+ * mode), Infinity follows the whole roll (practice). See PREVIEW_LENGTHS.
+ */
+
+import { BallPhysics } from './ball-physics.js'
+import { createObstacle } from './moving-obstacle.js'
+
+// Named preview lengths, in wall/obstacle contacts
+export const PREVIEW_LENGTHS = { bounce: 1, full: Infinity }
+
+export class ShotPreview {
+  /**
+   * @param hole     course hole ({ walls, surfaces, obstacles })
+   * @param physics  BallPhysics options matching the live simulation
+   * @param spacing  distance between dots along the path
+   * @param maxDots  dot buffer size (longer paths stop there)
+   * @param maxTime  seconds of roll simulated at most
+   */
+  constructor(hole, { physics = {}, spacing = 0.15, maxDots = 150, maxTime = 6 } = {}) {
+    this.spacing = spacing
+    this.maxDots = maxDots
+    this.maxTime = maxTime
+    this.dots = new Float32Array(maxDots * 2) // x, z pairs
+    this.count = 0
+    this._hasObstacles = Boolean(hole.obstacles?.length)
+    this._key = null
+    this._time = 0
+    this._run = null
+    this._result = null
+
+    this._physics = new BallPhysics({
+      ...physics,
+      walls: hole.walls,
+      surfaces: hole.surfaces || [],
+      obstacles: (hole.obstacles || []).map(createObstacle),
+    })
+    this._contacts = 0
+    this._hazard = null
+    this._physics.on('collision', () => { this._contacts++ })
+    this._physics.on('hazard', (e) => { this._hazard = e })
+  }
+
+  /**
+   * Simulate a shot from `from` ({ x, z }) launched at (vx, vz), with moving
+   * obstacles posed from `time`. Fills `dots` (the first `count` x/z pairs)
+   * and returns { count, bounces, hazard, resting, end: { x, z }, done };
+   * hazard is 'water' when the path ends in it.
+   *
+   * `budget` caps the work in ms: the run stops early with done: false and
+   * picks up where it left off on the next call with the same shot, so a
+   * long roll past moving obstacles draws over a few frames instead of
+   * stalling one.
+   */
+  predict(from, vx, vz, { time = 0, bounces = Infinity, budget = Infinity } = {}) {
+    // A new aim starts over; a new obstacle clock only once the last run has
+    // finished, so a run in progress isn't thrown away every frame
+    const key = `${from.x},${from.z},${vx},${vz},${bounces}`
+    const retime = this._hasObstacles && time !== this._time
+    if (key !== this._key || (retime && this._result.done)) this._begin(key, from, vx, vz, time)
+    else if (this._result.done) return this._result
+
+    const physics = this._physics
+    const run = this._run
+    const dots = this.dots
+    const maxSteps = Math.ceil(this.maxTime / physics.timestep)
+    const until = now() + budget
+    let done = false
+    while (!done) {
+      if (!physics.moving || run.steps >= maxSteps || run.count >= this.maxDots) {
+        done = true
+        break
+      }
+      // Check the clock every few steps; reading it is not free either
+      if (run.steps % 16 === 0 && run.steps > 0 && now() > until) break
+      physics.step()
+      run.steps++
+      // A water reset jumps the ball back to the tee: the path ends where it went in
+      const x = this._hazard ? this._hazard.x : physics.position.x
+      const z = this._hazard ? this._hazard.z : physics.position.z
+      run.travelled += Math.hypot(x - run.x, z - run.z)
+      run.x = x
+      run.z = z
+      const last = Boolean(this._hazard) || this._contacts >= bounces
+      if (run.travelled >= this.spacing || last) {
+        dots[run.count * 2] = x
+        dots[run.count * 2 + 1] = z
+        run.count++
+        run.travelled = 0
+      }
+      done = last
+    }
+
+    this.count = run.count
+    this._result = {
+      count: run.count,
+      bounces: this._contacts,
+      hazard: this._hazard?.type ?? null,
+      resting: !physics.moving && !this._hazard,
+      end: { x: run.x, z: run.z },
+      done,
+    }
+    return this._result
+  }
+
+  _begin(key, from, vx, vz, time) {
+    const physics = this._physics
+    this._key = key
+    this._time = time
+    this._contacts = 0
+    this._hazard = null
+    this._run = { steps: 0, count: 0, travelled: 0, x: from.x, z: from.z }
+    physics.setTime(time)
+    physics.setPosition(from.x, from.z)
+    physics.launch(vx, vz)
+  }
+}
+
+function now() {
+  return globalThis.performance?.now() ?? Date.now()
+}
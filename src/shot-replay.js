@@ -0,0 +1,232 @@
+/**
+ * Shot replays — record every shot on a hole and play it back deterministically.
+ * A replay stores only inputs (start position, launch velocity, obstacle clock)
+ * plus the physics timestep; playback re-simulates through BallPhysics.
+ *
+ * Serialized form: "r1." + base64url of a little-endian binary record
+ *   u8 version | f64 timestep | u16 hole | u8 idLength | idLength bytes course id (UTF-8)
+ *   u16 shotCount | shotCount × (f64 x, f64 z, f64 vx, f64 vz, f64 time)
+ * Doubles are stored exactly, so decoded shots replay bit-for-bit.
+ */
+
+import { BallPhysics } from './ball-physics.js'
+import { createObstacle } from './moving-obstacle.js'
+
+export const REPLAY_VERSION = 1
+const PREFIX = `r${REPLAY_VERSION}.`
+const SHOT_BYTES = 5 * 8
+
+// Pause on each resting spot before the next shot plays
+const SHOT_GAP = 0.6
+
+export class ShotRecorder {
+  constructor({ course = '', hole = 0, timestep } = {}) {
+    this.course = course
+    this.hole = hole
+    this.timestep = timestep
+    this.shots = []
+  }
+
+  // Call right before physics.launch()
+  record(physics, vx, vz) {
+    this.shots.push({ x: physics.position.x, z: physics.position.z, vx, vz, time: physics.time })
+    return this
+  }
+
+  toReplay() {
+    return {
+      version: REPLAY_VERSION,
+      timestep: this.timestep,
+      course: this.course,
+      hole: this.hole,
+      shots: this.shots.map((s) => ({ ...s })),
+    }
+  }
+}
+
+// ── Serialization ──
+
+function toBase64Url(bytes) {
+  let bin = ''
+  bytes.forEach((b) => { bin += String.fromCharCode(b) })
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(str) {
+  const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0))
+}
+
+export function encodeReplay(replay) {
+  const id = new TextEncoder().encode(replay.course || '').slice(0, 255)
+  const bytes = new Uint8Array(1 + 8 + 2 + 1 + id.length + 2 + replay.shots.length * SHOT_BYTES)
+  const view = new DataView(bytes.buffer)
+  let o = 0
+  view.setUint8(o, REPLAY_VERSION); o += 1
+  view.setFloat64(o, replay.timestep, true); o += 8
+  view.setUint16(o, replay.hole, true); o += 2
+  view.setUint8(o, id.length); o += 1
+  bytes.set(id, o); o += id.length
+  view.setUint16(o, replay.shots.length, true); o += 2
+  replay.shots.forEach((s) => {
+    for (const n of [s.x, s.z, s.vx, s.vz, s.time]) {
+      view.setFloat64(o, n, true)
+      o += 8
+    }
+  })
+  return PREFIX + toBase64Url(bytes)
+}
+
+export function decodeReplay(code) {
+  if (typeof code !== 'string' || !code.startsWith('r')) throw new Error('Not a replay code')
+  const version = parseInt(code.slice(1), 10)
+  if (version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${code.slice(1, code.indexOf('.'))}`)
+
+  let bytes
+  try {
+    bytes = fromBase64Url(code.slice(PREFIX.length))
+  } catch {
+    throw new Error('Replay code is corrupted')
+  }
+  const view = new DataView(bytes.buffer)
+  const need = (n, o) => {
+    if (o + n > bytes.length) throw new Error('Replay code is truncated')
+  }
+
+  let o = 0
+  need(12, o)
+  o += 1 // version byte, checked via the prefix
+  const timestep = view.getFloat64(o, true); o += 8
+  const hole = view.getUint16(o, true); o += 2
+  const idLength = view.getUint8(o); o += 1
+  need(idLength + 2, o)
+  const course = new TextDecoder().decode(bytes.subarray(o, o + idLength)); o += idLength
+  const count = view.getUint16(o, true); o += 2
+  need(count * SHOT_BYTES, o)
+
+  const shots = []
+  for (let i = 0; i < count; i++) {
+    const [x, z, vx, vz, time] = [0, 1, 2, 3, 4].map((k) => view.getFloat64(o + k * 8, true))
+    shots.push({ x, z, vx, vz, time })
+    o += SHOT_BYTES
+  }
+  return { version, timestep, course, hole, shots }
+}
+
+// ── Playback ──
+
+export class ReplayPlayer {
+  /**
+   * @param replay   decoded replay
+   * @param holeData the hole it was recorded on ({ walls, surfaces, obstacles })
+   * @param physicsOptions extra BallPhysics options (radius, friction, ...)
+   */
+  constructor(replay, holeData, physicsOptions = {}) {
+    this.replay = replay
+    this.playhead = 0
+    this.playbackRate = 1
+    this.isPlaying = false
+    this.isComplete = false
+    this._listeners = {}
+    this.frames = this._simulate(holeData, physicsOptions)
+    this.duration = this.frames.length ? this.frames[this.frames.length - 1].t : 0
+  }
+
+  on(event, fn) {
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(fn)
+    return this
+  }
+
+  _emit(event, data) {
+    (this._listeners[event] || []).forEach((fn) => fn(data))
+  }
+
+  // Re-run every shot once up front; scrubbing then just indexes frames
+  _simulate(holeData, physicsOptions) {
+    const { timestep, shots } = this.replay
+    const physics = new BallPhysics({
+      ...physicsOptions,
+      timestep,
+      walls: holeData.walls,
+      surfaces: holeData.surfaces || [],
+      obstacles: (holeData.obstacles || []).map(createObstacle),
+    })
+    const frames = []
+    let t = 0
+
+    shots.forEach((shot, index) => {
+      physics.setTime(shot.time)
+      physics.setPosition(shot.x, shot.z)
+      physics.launch(shot.vx, shot.vz)
+      if (index > 0) t += timestep // one frame per timestep keeps frames indexable by time
+      frames.push({ t, x: shot.x, z: shot.z, time: physics.time, shot: index })
+      while (physics.moving) {
+        physics.step()
+        t += timestep
+        frames.push({ t, x: physics.position.x, z: physics.position.z, time: physics.time, shot: index })
+      }
+      // Hold on the resting spot (obstacles keep turning)
+      for (let i = 0; i < SHOT_GAP / timestep; i++) {
+        physics.step()
+        t += timestep
+        frames.push({ t, x: physics.position.x, z: physics.position.z, time: physics.time, shot: index })
+      }
+    })
+
+    this.finalPosition = { x: physics.position.x, z: physics.position.z }
+    return frames
+  }
+
+  play() {
+    if (this.isComplete) this.playhead = 0
+    this.isPlaying = true
+    this.isComplete = false
+    return this
+  }
+
+  pause() { this.isPlaying = false; return this }
+
+  // Jump to a time (seconds) on the replay timeline
+  seek(t) {
+    this.playhead = Math.max(0, Math.min(this.duration, t))
+    this.isComplete = this.playhead >= this.duration
+    return this
+  }
+
+  setPlaybackRate(rate) {
+    this.playbackRate = rate
+    return this
+  }
+
+  // Call in animation loop with deltaTime in seconds
+  update(dt) {
+    if (!this.isPlaying) return this.getState()
+    this.playhead += dt * this.playbackRate
+    if (this.playhead >= this.duration) {
+      this.playhead = this.duration
+      this.isPlaying = false
+      this.isComplete = true
+      this._emit('complete', {})
+    }
+    return this.getState()
+  }
+
+  // Interpolated ball position + obstacle clock at the playhead
+  getState(t = this.playhead) {
+    const frames = this.frames
+    if (!frames.length) return null
+    const step = this.replay.timestep
+    const i = Math.min(frames.length - 1, Math.floor(t / step))
+    const a = frames[i]
+    const b = frames[Math.min(frames.length - 1, i + 1)]
+    const f = b === a || b.shot !== a.shot ? 0 : (t - a.t) / step
+    return {
+      x: a.x + (b.x - a.x) * f,
+      z: a.z + (b.z - a.z) * f,
+      time: a.time + (b.time - a.time) * f,
+      shot: a.shot,
+      progress: this.duration ? t / this.duration : 1,
+    }
+  }
+}
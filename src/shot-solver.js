@@ -0,0 +1,308 @@
+/**
+ * Shot solver — finds an aim and power by simulating candidate shots through
+ * BallPhysics, the same code the game uses, so banks, slopes, sand and boost
+ * pads are all accounted for. Headless; runs in the browser or Node.
+ *
+ * Search:
+ * 1. Coarse grid of launch angles × power levels. Angles include an even sweep
+ *    plus one- and two-cushion bank lines aimed at mirror images of the cup.
+ * 2. Finer grids around the best few candidates.
+ * 3. Holed candidates are ranked by how many of their neighbours also hole,
+ *    so the suggestion sits in the middle of the make window.
+ *
+ * Shots that don't drop are ranked by travel distance left (around walls and
+ * water, see distance-field.js), not straight-line distance to the cup.
+ *
+ * Moving obstacles are posed from `time`, so a suggestion assumes the shot is
+ * played at that moment.
+ */
+
+import { BallPhysics } from './ball-physics.js'
+import { createObstacle } from './moving-obstacle.js'
+import { wallToPolygon } from './wall-shapes.js'
+import { getDistanceField } from './distance-field.js'
+
+// Same capture radius as the demo's checkHole()
+export const CUP_RADIUS = 0.25
+
+const DEFAULTS = {
+  maxSpeed: 4, // launch speed at full power
+  minPower: 0.08,
+  angleStep: 5, // degrees, coarse sweep
+  powerLevels: 6,
+  refineCandidates: 3,
+  refineSamples: 5,
+  banks: true, // false: no bank seeds, and shots that touch a wall rank last
+  maxTime: 8, // seconds simulated per candidate
+  cushionPenalty: 0.05, // prefer the simpler shot when results are close
+  hazardPenalty: 10,
+  pathInterval: 4, // steps between recorded path points
+}
+
+export class ShotSolver {
+  /**
+   * @param hole     course hole ({ walls, surfaces, obstacles, holePos })
+   * @param ballPos  { x, z } (or [x, y, z])
+   * @param options  solver options (see DEFAULTS) plus
+   *                 time: obstacle clock, physics: BallPhysics options
+   */
+  constructor(hole, ballPos, options = {}) {
+    this.options = { ...DEFAULTS, ...options }
+    this.start = Array.isArray(ballPos) ? { x: ballPos[0], z: ballPos[2] } : { x: ballPos.x, z: ballPos.z }
+    this.target = { x: hole.holePos[0], z: hole.holePos[2] }
+    this.hole = hole
+    this.result = null
+
+    const physics = new BallPhysics({
+      ...this.options.physics,
+      walls: hole.walls,
+      surfaces: hole.surfaces || [],
+      obstacles: (hole.obstacles || []).map(createObstacle),
+    })
+    this._sim = createSimulator(physics, this.start, this.target, getDistanceField(hole), this.options)
+    this._search = this._run()
+  }
+
+  get done() {
+    return this.result !== null
+  }
+
+  // Work for up to `budget` ms (spread a solve over animation frames); returns the result once done
+  step(budget = 8) {
+    const until = now() + budget
+    while (!this.result && now() < until) {
+      if (this._search.next().done) break
+    }
+    return this.result
+  }
+
+  // Run to completion
+  solve() {
+    while (!this.result) this._search.next()
+    return this.result
+  }
+
+  * _run() {
+    const opts = this.options
+    const sim = this._sim
+
+    // 1. Coarse grid
+    const seen = new Set()
+    const angles = [
+      ...Array.from({ length: Math.round(360 / opts.angleStep) }, (_, i) => (i * opts.angleStep * Math.PI) / 180),
+      ...(opts.banks ? getBankAngles(this.hole.walls, this.start, this.target, sim.radius) : []),
+    ].map(wrapAngle).filter((a) => {
+      const key = Math.round((a * 1800) / Math.PI) // 0.1° buckets
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    const powers = Array.from({ length: opts.powerLevels }, (_, i) => opts.minPower + ((1 - opts.minPower) * (i + 1)) / opts.powerLevels)
+    const coarse = []
+    for (const angle of angles) {
+      for (const power of powers) {
+        coarse.push(sim.run(angle, power))
+        yield
+      }
+    }
+    coarse.sort(byScore)
+
+    // 2. Refine around the best distinct candidates
+    const angleSpan = (opts.angleStep * Math.PI) / 180
+    const powerSpan = (1 - opts.minPower) / opts.powerLevels
+    const seeds = []
+    for (const c of coarse) {
+      if (seeds.length >= opts.refineCandidates) break
+      if (seeds.some((s) => Math.abs(angleDelta(s.angle, c.angle)) < angleSpan && Math.abs(s.power - c.power) < powerSpan)) continue
+      seeds.push(c)
+    }
+
+    let best = coarse[0]
+    for (const seed of seeds) {
+      const n = opts.refineSamples
+      const grid = []
+      for (let i = 0; i < n; i++) {
+        const angle = wrapAngle(seed.angle + angleSpan * (i / (n - 1) - 0.5))
+        const row = []
+        for (let j = 0; j < n; j++) {
+          const power = Math.min(1, Math.max(opts.minPower, seed.power + powerSpan * (j / (n - 1) - 0.5)))
+          row.push(sim.run(angle, power))
+          yield
+        }
+        grid.push(row)
+      }
+
+      // 3. Robustness: holed neighbours in the refine grid
+      grid.forEach((row, i) => row.forEach((r, j) => {
+        if (!r.holed) return
+        for (let di = -1; di <= 1; di++) {
+          for (let dj = -1; dj <= 1; dj++) {
+            if ((di || dj) && grid[i + di]?.[j + dj]?.holed) r.margin++
+          }
+        }
+      }))
+      grid.flat().forEach((r) => {
+        if (byScore(r, best) < 0) best = r
+      })
+    }
+
+    this.result = {
+      angle: best.angle,
+      aim: { x: Math.cos(best.angle), z: Math.sin(best.angle) },
+      power: best.power,
+      speed: best.power * opts.maxSpeed,
+      expectedDistance: best.distance,
+      holed: best.holed,
+      cushions: best.cushions,
+      hazard: best.hazard,
+      finalPosition: best.final,
+      path: sim.trace(best.angle, best.power),
+      evaluated: sim.count,
+    }
+  }
+}
+
+/**
+ * Solve in one go. Returns { angle, aim: { x, z }, power, speed,
+ * expectedDistance, holed, cushions, hazard, finalPosition, path, evaluated };
+ * angle is the launch direction in radians (vx = cos, vz = sin), power a
+ * fraction of maxSpeed.
+ */
+export function solveShot(hole, ballPos, options) {
+  return new ShotSolver(hole, ballPos, options).solve()
+}
+
+// Reusable single-shot runner; counts wall contacts and hazards per shot
+function createSimulator(physics, start, target, field, opts) {
+  const t0 = opts.time ?? 0
+  let cushions = 0
+  let hazard = null
+  physics.on('collision', (e) => { if (!e.obstacle) cushions++ })
+  physics.on('hazard', (e) => { hazard = e.type })
+
+  const launch = (angle, power) => {
+    cushions = 0
+    hazard = null
+    physics.setTime(t0)
+    physics.setPosition(start.x, start.z)
+    const speed = power * opts.maxSpeed
+    physics.launch(Math.cos(angle) * speed, Math.sin(angle) * speed)
+  }
+
+  const sim = {
+    count: 0,
+    radius: physics.radius,
+    run(angle, power) {
+      sim.count++
+      launch(angle, power)
+      physics.simulate({ maxTime: opts.maxTime })
+      const final = { x: physics.position.x, z: physics.position.z }
+      const distance = Math.hypot(final.x - target.x, final.z - target.z)
+      const holed = !hazard && !physics.moving && distance < CUP_RADIUS
+      const allowed = opts.banks || cushions === 0
+      const left = holed ? 0 : field.distanceAt(final.x, final.z)
+      const score = (Number.isFinite(left) ? left : distance + opts.hazardPenalty) + cushions * opts.cushionPenalty + (hazard ? opts.hazardPenalty : 0)
+      return { angle, power, final, distance, holed, cushions, hazard, score, allowed, margin: 0 }
+    },
+    // Re-run one shot and sample its path for drawing
+    trace(angle, power) {
+      launch(angle, power)
+      const path = [[start.x, start.z]]
+      let steps = 0
+      while (physics.moving && steps * physics.timestep < opts.maxTime) {
+        physics.step()
+        if (++steps % opts.pathInterval === 0) path.push([physics.position.x, physics.position.z])
+      }
+      path.push([physics.position.x, physics.position.z])
+      return path
+    },
+  }
+  return sim
+}
+
+// Allowed beats not (see `banks`), holed beats not holed; then a wider make
+// window (a cushion has to buy a clearly wider one), then lower score, then softer
+function byScore(a, b) {
+  if (a.allowed !== b.allowed) return a.allowed ? -1 : 1
+  if (a.holed !== b.holed) return a.holed ? -1 : 1
+  if (a.holed) {
+    const window = (b.margin - 3 * b.cushions) - (a.margin - 3 * a.cushions)
+    if (window) return window
+  }
+  if (a.score !== b.score) return a.score - b.score
+  return a.power - b.power
+}
+
+/**
+ * Launch angles for one- and two-cushion banks: aim at the cup mirrored
+ * across a wall face (and then a second face). The ball's centre bounces a
+ * radius off the wall, so faces are pushed out by `radius`. Only lines that
+ * actually meet the faces in order are kept; blocking walls are left to the
+ * simulation.
+ */
+export function getBankAngles(walls, start, target, radius = 0) {
+  const faces = walls.flatMap((w) => wallToPolygon(w).edges.map((e) => ({
+    ax: e.ax + e.nx * radius,
+    az: e.az + e.nz * radius,
+    bx: e.bx + e.nx * radius,
+    bz: e.bz + e.nz * radius,
+    nx: e.nx,
+    nz: e.nz,
+  })))
+  const outside = (p, f) => (p.x - f.ax) * f.nx + (p.z - f.az) * f.nz > 0
+  const angles = []
+
+  faces.forEach((f1) => {
+    if (!outside(target, f1)) return
+    const image1 = mirror(target, f1)
+    if (outside(start, f1) && crossesFace(start, image1, f1)) {
+      angles.push(Math.atan2(image1.z - start.z, image1.x - start.x))
+    }
+
+    faces.forEach((f2) => {
+      if (f2 === f1 || !outside(start, f2)) return
+      const image2 = mirror(image1, f2)
+      const hit = crossesFace(start, image2, f2)
+      if (hit && outside(hit, f1) && crossesFace(hit, image1, f1)) {
+        angles.push(Math.atan2(image2.z - start.z, image2.x - start.x))
+      }
+    })
+  })
+  return angles
+}
+
+// Reflect a point across the line through a face
+function mirror(p, f) {
+  const dx = f.bx - f.ax
+  const dz = f.bz - f.az
+  const len2 = dx * dx + dz * dz || 1
+  const t = ((p.x - f.ax) * dx + (p.z - f.az) * dz) / len2
+  return { x: 2 * (f.ax + dx * t) - p.x, z: 2 * (f.az + dz * t) - p.z }
+}
+
+// Where segment p→q crosses the face segment, or null
+function crossesFace(p, q, f) {
+  const rx = q.x - p.x
+  const rz = q.z - p.z
+  const sx = f.bx - f.ax
+  const sz = f.bz - f.az
+  const denom = rx * sz - rz * sx
+  if (Math.abs(denom) < 1e-9) return null
+  const t = ((f.ax - p.x) * sz - (f.az - p.z) * sx) / denom
+  const u = ((f.ax - p.x) * rz - (f.az - p.z) * rx) / denom
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null
+  return { x: p.x + rx * t, z: p.z + rz * t }
+}
+
+function now() {
+  return globalThis.performance?.now() ?? Date.now()
+}
+
+function wrapAngle(a) {
+  const full = Math.PI * 2
+  return ((a % full) + full) % full
+}
+
+function angleDelta(a, b) {
+  return Math.atan2(Math.sin(a - b), Math.cos(a - b))
+}
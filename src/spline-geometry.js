@@ -0,0 +1,201 @@
+/**
+ * Spline geometry — real meshes from CurveAnimator paths, for curved ramps,
+ * race tracks and rails rather than createDebugVisualization()'s dots.
+ *
+ * Everything is laid out by arc length on the curve's parallel-transport
+ * frames (getFrameAtDistance), so spacing stays even however the control
+ * points bunch up:
+ *   createRibbonGeometry   flat road or ramp strip, optionally a slab `thickness` deep
+ *   createTubeGeometry     round rail or pipe
+ *   createInstancedProps   one InstancedMesh of a prop every `spacing` (posts, lights)
+ *   exportGLTF             any of the above (or a whole group) as glTF / GLB
+ *
+ * Cross-sections sit in the frame: `offset` is sideways (positive to the
+ * right of travel, along the binormal) and `height` is up (along the normal).
+ * `banking` rolls the section about the direction of travel, in radians,
+ * positive tipping the right side down; pass a number or
+ * (fraction of length) => radians.
+ *
+ * UVs: u runs across the section (0-1), v along the curve, one texture
+ * repeat every `uvLength`. On closed curves the repeat is stretched to fit a
+ * whole number of times round, so the texture meets itself at the seam.
+ */
+
+import * as THREE from 'three'
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
+
+const DEFAULT_STEP = 0.25 // arc length between cross-sections
+
+const _m = new THREE.Matrix4()
+const _p = new THREE.Vector3()
+
+/**
+ * Position and banked frame `distance` along the curve:
+ * { position, tangent, normal, binormal } (binormal points right of travel)
+ */
+export function getSplineFrame(curve, distance, banking = 0) {
+  const t = curve.getParameterForDistance(distance)
+  const { tangent, normal, binormal } = curve.getFrame(t)
+  const angle = typeof banking === 'function' ? banking(curve.totalLength > 0 ? distance / curve.totalLength : 0) : banking
+  if (angle) {
+    normal.applyAxisAngle(tangent, angle)
+    binormal.applyAxisAngle(tangent, angle)
+  }
+  return { position: curve.getPoint(t), tangent, normal, binormal }
+}
+
+/**
+ * Road or ramp strip `width` wide, centred `offset` to the side of the
+ * curve. With a `thickness` it becomes a slab reaching that far below the
+ * surface, with sides and an underside.
+ */
+export function createRibbonGeometry(curve, {
+  width = 1,
+  thickness = 0,
+  offset = 0,
+  height = 0,
+  banking = 0,
+  widthSegments = 1,
+  step = DEFAULT_STEP,
+  uvLength = width,
+} = {}) {
+  if (!(width > 0)) throw new Error('Ribbon width must be positive')
+  const half = width / 2
+  const top = Array.from({ length: widthSegments + 1 }, (_, i) => {
+    const f = i / widthSegments
+    return { x: offset - half + f * width, y: height, nx: 0, ny: 1, u: f }
+  })
+  if (!thickness) return sweep(curve, [top], { banking, step, uvLength })
+
+  // Slab: top, right side, underside, left side, each with its own normals (hard edges)
+  const bottom = height - thickness
+  const left = offset - half
+  const right = offset + half
+  return sweep(curve, [
+    top,
+    [{ x: right, y: height, nx: 1, ny: 0, u: 0 }, { x: right, y: bottom, nx: 1, ny: 0, u: 1 }],
+    [{ x: right, y: bottom, nx: 0, ny: -1, u: 0 }, { x: left, y: bottom, nx: 0, ny: -1, u: 1 }],
+    [{ x: left, y: bottom, nx: -1, ny: 0, u: 0 }, { x: left, y: height, nx: -1, ny: 0, u: 1 }],
+  ], { banking, step, uvLength })
+}
+
+// Round rail `radius` thick, its centre `offset` to the side and `height` up from the curve
+export function createTubeGeometry(curve, {
+  radius = 0.05,
+  radialSegments = 8,
+  offset = 0,
+  height = 0,
+  banking = 0,
+  step = DEFAULT_STEP,
+  uvLength = radius * Math.PI * 2,
+} = {}) {
+  if (!(radius > 0)) throw new Error('Tube radius must be positive')
+  // Clockwise round the section so the faces point out
+  const ring = Array.from({ length: radialSegments + 1 }, (_, i) => {
+    const a = (-i / radialSegments) * Math.PI * 2
+    return { x: offset + Math.cos(a) * radius, y: height + Math.sin(a) * radius, nx: Math.cos(a), ny: Math.sin(a), u: i / radialSegments }
+  })
+  return sweep(curve, [ring], { banking, step, uvLength })
+}
+
+/**
+ * A prop every `spacing` along the curve from `start` to `end`, as one
+ * InstancedMesh. `offset` may be a list to place a row on each side
+ * ([-1.5, 1.5]); with `align` each prop's +x follows the curve and +y its
+ * normal, otherwise props stay upright and unturned. The arc-length distance
+ * of each instance is kept in userData.distances.
+ */
+export function createInstancedProps(curve, geometry, material, {
+  spacing = 1,
+  start = 0,
+  end = curve.totalLength,
+  offset = 0,
+  height = 0,
+  banking = 0,
+  align = true,
+} = {}) {
+  if (!(spacing > 0)) throw new Error('Prop spacing must be positive')
+  const offsets = Array.isArray(offset) ? offset : [offset]
+  // On a closed curve a prop at the end would sit on the one at the start
+  const last = curve.closed && end - start >= curve.totalLength ? end - spacing / 2 : end
+  const stations = []
+  for (let d = start; d <= last + 1e-6; d += spacing) stations.push(d)
+
+  const mesh = new THREE.InstancedMesh(geometry, material, stations.length * offsets.length)
+  const distances = []
+  stations.forEach((distance) => {
+    const { position, tangent, normal, binormal } = getSplineFrame(curve, distance, banking)
+    for (const side of offsets) {
+      _p.copy(position).addScaledVector(binormal, side).addScaledVector(normal, height)
+      if (align) _m.makeBasis(tangent, normal, binormal).setPosition(_p)
+      else _m.makeTranslation(_p.x, _p.y, _p.z)
+      mesh.setMatrixAt(distances.length, _m)
+      distances.push(distance)
+    }
+  })
+  mesh.instanceMatrix.needsUpdate = true
+  mesh.computeBoundingSphere()
+  mesh.userData.distances = distances
+  return mesh
+}
+
+/**
+ * glTF of an object and its children: a GLB ArrayBuffer by default, the
+ * glTF JSON with `binary: false`. Instanced props go out as
+ * EXT_mesh_gpu_instancing.
+ */
+export function exportGLTF(object, { binary = true } = {}) {
+  return new GLTFExporter().parseAsync(object, { binary })
+}
+
+/**
+ * Sweep cross-section strips along the curve. Each strip is a list of
+ * { x, y, nx, ny, u } in frame coordinates (x right, y up), running
+ * clockwise so the faces point out; strips don't join, which gives hard edges
+ * where they meet.
+ */
+function sweep(curve, strips, { banking, step, uvLength }) {
+  const length = curve.totalLength
+  const count = Math.max(1, Math.ceil(length / step))
+  const repeats = curve.closed ? Math.max(1, Math.round(length / uvLength)) : length / uvLength
+  const frames = Array.from({ length: count + 1 }, (_, i) => getSplineFrame(curve, (i / count) * length, banking))
+
+  const vertexCount = strips.reduce((n, strip) => n + strip.length, 0) * (count + 1)
+  const positions = new Float32Array(vertexCount * 3)
+  const normals = new Float32Array(vertexCount * 3)
+  const uvs = new Float32Array(vertexCount * 2)
+  const index = []
+  let v = 0
+  for (const strip of strips) {
+    const first = v
+    frames.forEach(({ position, normal, binormal }, i) => {
+      for (const p of strip) {
+        positions[v * 3] = position.x + binormal.x * p.x + normal.x * p.y
+        positions[v * 3 + 1] = position.y + binormal.y * p.x + normal.y * p.y
+        positions[v * 3 + 2] = position.z + binormal.z * p.x + normal.z * p.y
+        normals[v * 3] = binormal.x * p.nx + normal.x * p.ny
+        normals[v * 3 + 1] = binormal.y * p.nx + normal.y * p.ny
+        normals[v * 3 + 2] = binormal.z * p.nx + normal.z * p.ny
+        uvs[v * 2] = p.u
+        uvs[v * 2 + 1] = (i / count) * repeats
+        v++
+      }
+    })
+    const n = strip.length
+    for (let i = 0; i < count; i++) {
+      for (let j = 0; j < n - 1; j++) {
+        const a = first + i * n + j
+        const c = a + n // same point, next cross-section
+        index.push(a, a + 1, c, a + 1, c + 1, c)
+      }
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3))
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2))
+  geometry.setIndex(index)
+  geometry.computeBoundingSphere()
+  return geometry
+}
@@ -0,0 +1,57 @@
+/**
+ * Surface meshes — Three.js geometry for terrain regions in surfaces.js.
+ * Flat regions become shape overlays just above the green; slopes and
+ * heightfields displace their vertices to match the physics height.
+ */
+
+import * as THREE from 'three'
+
+const SURFACE_STYLES = {
+  slope: { color: 0x23603a, roughness: 0.8 },
+  heightfield: { color: 0x23603a, roughness: 0.8 },
+  sand: { color: 0xd8c08a, roughness: 1 },
+  water: { color: 0x1e6fd9, roughness: 0.1, metalness: 0.2, transparent: true, opacity: 0.8 },
+  boost: { color: 0xffc828, emissive: 0xffc828, emissiveIntensity: 0.4, roughness: 0.5 },
+}
+
+// Sits just above the green (y = 0.001) to avoid z-fighting
+const SURFACE_OFFSET = 0.003
+
+const materials = {}
+
+function getMaterial(type) {
+  if (!materials[type]) materials[type] = new THREE.MeshStandardMaterial(SURFACE_STYLES[type])
+  return materials[type]
+}
+
+export function createSurfaceMesh(surface) {
+  let geometry
+
+  if (surface.type === 'heightfield') {
+    const { origin, cellSize, heights } = surface
+    const cols = heights[0].length
+    const rows = heights.length
+    const w = (cols - 1) * cellSize
+    const d = (rows - 1) * cellSize
+    geometry = new THREE.PlaneGeometry(w, d, (cols - 1) * 4, (rows - 1) * 4)
+    geometry.rotateX(-Math.PI / 2)
+    geometry.translate(origin[0] + w / 2, 0, origin[1] + d / 2)
+  } else {
+    // Shape lives in XY; after rotating -90° about X, shape y maps to world -z
+    const shape = new THREE.Shape(surface.polygon.points.map(([x, z]) => new THREE.Vector2(x, -z)))
+    geometry = new THREE.ShapeGeometry(shape)
+    geometry.rotateX(-Math.PI / 2)
+  }
+
+  const pos = geometry.attributes.position
+  for (let i = 0; i < pos.count; i++) {
+    const h = surface.heightAt ? surface.heightAt(pos.getX(i), pos.getZ(i)) : 0
+    pos.setY(i, h + SURFACE_OFFSET)
+  }
+  pos.needsUpdate = true
+  geometry.computeVertexNormals()
+
+  const mesh = new THREE.Mesh(geometry, getMaterial(surface.type))
+  mesh.receiveShadow = true
+  return mesh
+}
@@ -0,0 +1,88 @@
+/**
+ * Surfaces — terrain regions that change how the ball rolls.
+ * Headless like BallPhysics; later surfaces in a hole's list sit on top.
+ *
+ * Surface types:
+ * - slope:       { shape, gradient: [rise per unit x, rise per unit z], height? }
+ * - heightfield: { origin: [x, z], cellSize, heights: [[row z0], [row z1], ...] }
+ * - sand:        { shape, friction? } — heavy drag
+ * - water:       { shape, penalty? } — penalty stroke, ball returns to its last spot
+ * - boost:       { shape, direction: [x, z], acceleration? } — speed pad
+ *
+ * `shape` is any wall descriptor from wall-shapes.js (box, segment or polygon).
+ */
+
+import { wallToPolygon, circleOverlap, getPolygonBounds } from './wall-shapes.js'
+
+export const SURFACE_TYPES = ['slope', 'heightfield', 'sand', 'water', 'boost']
+
+export const SURFACE_DEFAULTS = {
+  sand: { friction: 0.9 },
+  water: { penalty: 1 },
+  boost: { acceleration: 6 },
+}
+
+export function createSurface(def) {
+  const surface = { def, ...SURFACE_DEFAULTS[def.type], ...def }
+
+  if (def.type === 'heightfield') {
+    const rows = def.heights.length
+    const cols = def.heights[0].length
+    const [ox, oz] = def.origin
+    const w = (cols - 1) * def.cellSize
+    const d = (rows - 1) * def.cellSize
+    surface.polygon = wallToPolygon({ type: 'polygon', points: [[ox, oz], [ox + w, oz], [ox + w, oz + d], [ox, oz + d]] })
+    surface.heightAt = (x, z) => sampleHeightfield(def, x, z).height
+    surface.gradientAt = (x, z) => sampleHeightfield(def, x, z).gradient
+  } else {
+    surface.polygon = wallToPolygon(def.shape)
+    if (def.type === 'slope') {
+      // Plane through `height` at the region's centroid
+      const b = getPolygonBounds(surface.polygon.points)
+      const cx = (b.minX + b.maxX) / 2
+      const cz = (b.minZ + b.maxZ) / 2
+      const base = def.height || 0
+      surface.heightAt = (x, z) => base + def.gradient[0] * (x - cx) + def.gradient[1] * (z - cz)
+      surface.gradientAt = () => def.gradient
+    }
+  }
+
+  if (def.type === 'boost') {
+    const len = Math.hypot(def.direction[0], def.direction[1]) || 1
+    surface.direction = [def.direction[0] / len, def.direction[1] / len]
+  }
+
+  surface.contains = (x, z) => circleOverlap(surface.polygon, x, z, 0) !== null
+
+  return surface
+}
+
+// Topmost surface under (x, z), or null for plain green
+export function getSurfaceAt(surfaces, x, z) {
+  for (let i = surfaces.length - 1; i >= 0; i--) {
+    if (surfaces[i].contains(x, z)) return surfaces[i]
+  }
+  return null
+}
+
+// Bilinear height + analytic gradient inside the grid (clamped at the edges)
+export function sampleHeightfield({ origin, cellSize, heights }, x, z) {
+  const rows = heights.length
+  const cols = heights[0].length
+  const gx = Math.max(0, Math.min(cols - 1 - 1e-9, (x - origin[0]) / cellSize))
+  const gz = Math.max(0, Math.min(rows - 1 - 1e-9, (z - origin[1]) / cellSize))
+  const i = Math.floor(gx)
+  const j = Math.floor(gz)
+  const fx = gx - i
+  const fz = gz - j
+
+  const h00 = heights[j][i]
+  const h10 = heights[j][i + 1]
+  const h01 = heights[j + 1][i]
+  const h11 = heights[j + 1][i + 1]
+
+  const height = h00 * (1 - fx) * (1 - fz) + h10 * fx * (1 - fz) + h01 * (1 - fx) * fz + h11 * fx * fz
+  const dhdx = ((h10 - h00) * (1 - fz) + (h11 - h01) * fz) / cellSize
+  const dhdz = ((h01 - h00) * (1 - fx) + (h11 - h10) * fx) / cellSize
+  return { height, gradient: [dhdx, dhdz] }
+}
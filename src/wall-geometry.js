@@ -0,0 +1,42 @@
+/**
+ * Wall meshes — Three.js geometry for every wall type in wall-shapes.js.
+ * Boxes keep their BoxGeometry (rotated about Y); segments render as thin
+ * boxes along the line; convex polygons are extruded upward.
+ */
+
+import * as THREE from 'three'
+import { DEFAULT_WALL_HEIGHT } from './wall-shapes.js'
+
+// Visual thickness for zero-thickness line walls
+const LINE_WALL_THICKNESS = 0.06
+
+export function createWallMesh(w, material) {
+  const type = w.type || 'box'
+  let mesh
+
+  if (type === 'segment') {
+    const dx = w.to[0] - w.from[0]
+    const dz = w.to[1] - w.from[1]
+    const height = w.height || DEFAULT_WALL_HEIGHT
+    mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(Math.hypot(dx, dz), height, w.thickness || LINE_WALL_THICKNESS),
+      material
+    )
+    mesh.position.set((w.from[0] + w.to[0]) / 2, height / 2, (w.from[1] + w.to[1]) / 2)
+    mesh.rotation.y = -Math.atan2(dz, dx)
+  } else if (type === 'polygon') {
+    // Shape lives in XY; after rotating -90° about X, shape y maps to world -z
+    const shape = new THREE.Shape(w.points.map(([x, z]) => new THREE.Vector2(x, -z)))
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: w.height || DEFAULT_WALL_HEIGHT, bevelEnabled: false })
+    geometry.rotateX(-Math.PI / 2)
+    mesh = new THREE.Mesh(geometry, material)
+  } else {
+    mesh = new THREE.Mesh(new THREE.BoxGeometry(...w.size), material)
+    mesh.position.set(...w.pos)
+    mesh.rotation.y = ((w.rotation || 0) * Math.PI) / 180
+  }
+
+  mesh.castShadow = true
+  mesh.receiveShadow = true
+  return mesh
+}
@@ -0,0 +1,200 @@
+/**
+ * Wall shapes — collision geometry for course walls in the x/z plane.
+ * Every wall becomes a convex polygon (a 2-point polygon for thin line walls)
+ * that BallPhysics sweeps the ball against with rounded-corner normals.
+ *
+ * Wall types:
+ * - box (default): { pos: [x, y, z], size: [w, h, d], rotation?: degrees about Y }
+ * - segment:       { type: 'segment', from: [x, z], to: [x, z], thickness?, height? }
+ * - polygon:       { type: 'polygon', points: [[x, z], ...], height? } (convex)
+ */
+
+const EPSILON = 1e-6
+
+export const DEFAULT_WALL_HEIGHT = 0.3
+
+// Local (x, z) offset → world, matching Three.js rotation.y
+export function rotateXZ(lx, lz, radians) {
+  const c = Math.cos(radians)
+  const s = Math.sin(radians)
+  return [lx * c + lz * s, -lx * s + lz * c]
+}
+
+// Corner list of any wall in world x/z
+export function getWallPoints(w) {
+  const type = w.type || 'box'
+
+  if (type === 'segment') {
+    const t = w.thickness || 0
+    if (t <= 0) return [w.from.slice(), w.to.slice()]
+    // Thick segment → rotated rectangle around the centerline
+    const dx = w.to[0] - w.from[0]
+    const dz = w.to[1] - w.from[1]
+    const len = Math.hypot(dx, dz) || 1
+    const ox = (-dz / len) * t / 2
+    const oz = (dx / len) * t / 2
+    return [
+      [w.from[0] + ox, w.from[1] + oz], [w.to[0] + ox, w.to[1] + oz],
+      [w.to[0] - ox, w.to[1] - oz], [w.from[0] - ox, w.from[1] - oz],
+    ]
+  }
+
+  if (type === 'polygon') return w.points.map((p) => p.slice())
+
+  const hx = w.size[0] / 2
+  const hz = w.size[2] / 2
+  const rad = ((w.rotation || 0) * Math.PI) / 180
+  return [[-hx, -hz], [hx, -hz], [hx, hz], [-hx, hz]].map(([lx, lz]) => {
+    const [x, z] = rotateXZ(lx, lz, rad)
+    return [w.pos[0] + x, w.pos[2] + z]
+  })
+}
+
+// Wall → polygon with outward edge normals, ready for sweeping
+export function wallToPolygon(w) {
+  return makePolygon(getWallPoints(w))
+}
+
+export function getPolygonBounds(points) {
+  return {
+    minX: Math.min(...points.map((p) => p[0])),
+    maxX: Math.max(...points.map((p) => p[0])),
+    minZ: Math.min(...points.map((p) => p[1])),
+    maxZ: Math.max(...points.map((p) => p[1])),
+  }
+}
+
+// True if the points form a convex polygon (either winding, no repeats)
+export function isConvex(points) {
+  if (points.length < 3) return false
+  let sign = 0
+  for (let i = 0; i < points.length; i++) {
+    const [ax, az] = points[i]
+    const [bx, bz] = points[(i + 1) % points.length]
+    const [cx, cz] = points[(i + 2) % points.length]
+    const cross = (bx - ax) * (cz - bz) - (bz - az) * (cx - bx)
+    if (Math.abs(cross) < EPSILON) return false
+    if (sign === 0) sign = Math.sign(cross)
+    else if (Math.sign(cross) !== sign) return false
+  }
+  return true
+}
+
+// Does the straight line a → b cross the shape (optionally inflated by radius)?
+export function segmentHitsPolygon(poly, ax, az, bx, bz, radius = 0) {
+  if (circleOverlap(poly, ax, az, radius)) return true
+  return sweepCircle(poly, ax, az, bx - ax, bz - az, radius) !== null
+}
+
+export function makePolygon(points) {
+  const cx = points.reduce((s, p) => s + p[0], 0) / points.length
+  const cz = points.reduce((s, p) => s + p[1], 0) / points.length
+  const edges = points.map((a, i) => {
+    const b = points[(i + 1) % points.length]
+    const ex = b[0] - a[0]
+    const ez = b[1] - a[1]
+    const len = Math.hypot(ex, ez) || 1
+    let nx = ez / len
+    let nz = -ex / len
+    // Orient normals away from the centroid regardless of winding
+    if (nx * (a[0] - cx) + nz * (a[1] - cz) < 0) { nx = -nx; nz = -nz }
+    return { ax: a[0], az: a[1], bx: b[0], bz: b[1], nx, nz }
+  })
+  // Plain loop: obstacles rebuild their polygons every step
+  const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity }
+  for (const [x, z] of points) {
+    if (x < bounds.minX) bounds.minX = x
+    if (x > bounds.maxX) bounds.maxX = x
+    if (z < bounds.minZ) bounds.minZ = z
+    if (z > bounds.maxZ) bounds.maxZ = z
+  }
+  return { points, edges, bounds }
+}
+
+// Broad phase: can a circle of radius r anywhere in the box [x0, x1] × [z0, z1] touch the polygon?
+function nearBounds(poly, x0, x1, z0, z1, r) {
+  const b = poly.bounds
+  if (!b) return true
+  const m = r + EPSILON
+  return x1 > b.minX - m && x0 < b.maxX + m && z1 > b.minZ - m && z0 < b.maxZ + m
+}
+
+// Swept circle vs convex polygon: edges offset by radius + rounded corners
+export function sweepCircle(poly, px, pz, dx, dz, r) {
+  if (!nearBounds(poly, Math.min(px, px + dx), Math.max(px, px + dx), Math.min(pz, pz + dz), Math.max(pz, pz + dz), r)) return null
+  let best = null
+  const consider = (t, nx, nz) => {
+    if (t >= 0 && t <= 1 && (!best || t < best.t)) best = { t, nx, nz }
+  }
+
+  for (const e of poly.edges) {
+    const denom = e.nx * dx + e.nz * dz
+    if (denom >= -EPSILON) continue // moving parallel or away
+    const dist = e.nx * (px - e.ax) + e.nz * (pz - e.az) - r
+    if (dist < -EPSILON) continue // already past this face; corners/overlap handle it
+    const t = Math.max(0, dist / -denom)
+    const hx = px + dx * t - e.nx * r
+    const hz = pz + dz * t - e.nz * r
+    const ex = e.bx - e.ax
+    const ez = e.bz - e.az
+    const s = ((hx - e.ax) * ex + (hz - e.az) * ez) / (ex * ex + ez * ez)
+    if (s >= 0 && s <= 1) consider(t, e.nx, e.nz)
+  }
+
+  const a = dx * dx + dz * dz
+  if (a < EPSILON * EPSILON) return best
+  for (const [vx, vz] of poly.points) {
+    const fx = px - vx
+    const fz = pz - vz
+    const b = fx * dx + fz * dz
+    if (b >= 0) continue // moving away from the corner
+    const c = fx * fx + fz * fz - r * r
+    const disc = b * b - a * c
+    if (disc < 0) continue
+    const t = Math.max(0, (-b - Math.sqrt(disc)) / a)
+    const cx = fx + dx * t
+    const cz = fz + dz * t
+    const len = Math.hypot(cx, cz) || 1
+    consider(t, cx / len, cz / len)
+  }
+
+  return best
+}
+
+// Static overlap → push-out normal and depth, or null
+export function circleOverlap(poly, px, pz, r) {
+  if (!nearBounds(poly, px, px, pz, pz, r)) return null
+  let inside = poly.points.length > 2
+  let nearest = null
+  let nearestD = Infinity
+  let nearestX = 0
+  let nearestZ = 0
+
+  for (const e of poly.edges) {
+    const ex = e.bx - e.ax
+    const ez = e.bz - e.az
+    const s = Math.max(0, Math.min(1, ((px - e.ax) * ex + (pz - e.az) * ez) / (ex * ex + ez * ez)))
+    const qx = e.ax + ex * s
+    const qz = e.az + ez * s
+    const d = Math.hypot(px - qx, pz - qz)
+    if (d < nearestD) {
+      nearest = e
+      nearestD = d
+      nearestX = qx
+      nearestZ = qz
+    }
+    if (e.nx * (px - e.ax) + e.nz * (pz - e.az) > 0) inside = false
+  }
+
+  if (inside && nearest) {
+    // Center is inside the shape: exit through the nearest face
+    return { nx: nearest.nx, nz: nearest.nz, depth: nearestD + r }
+  }
+  if (nearestD >= r) return null
+  if (nearestD < EPSILON) return { nx: nearest.nx, nz: nearest.nz, depth: r }
+  return {
+    nx: (px - nearestX) / nearestD,
+    nz: (pz - nearestZ) / nearestD,
+    depth: r - nearestD,
+  }
+}
@@ -0,0 +1,120 @@
+// ARSession driven frame by frame by a mock XR runtime (npm test)
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ARSession, AR_FIT_WIDTH } from '../src/ar-session.js'
+
+const UP = { x: 0, y: 0, z: 0, w: 1 }
+const DOWN = { x: -Math.SQRT1_2, y: 0, z: 0, w: Math.SQRT1_2 } // -z axis pointing at the ground
+
+const pose = (position, orientation = UP) => ({ transform: { position, orientation } })
+
+// Just enough of navigator.xr and XRSession for ARSession
+function mockRuntime({ hitTest = true } = {}) {
+  const listeners = {}
+  const session = {
+    ended: false,
+    requestReferenceSpace: async (type) => ({ type }),
+    requestHitTestSource: async () => {
+      if (!hitTest) throw new Error('hit-test unavailable')
+      return { cancel() {} }
+    },
+    addEventListener: (type, fn) => (listeners[type] ||= []).push(fn),
+    dispatch: (type, e = {}) => (listeners[type] || []).forEach((fn) => fn(e)),
+    end: async () => {
+      session.ended = true
+      session.dispatch('end')
+    },
+  }
+  return {
+    session,
+    isSessionSupported: async () => true,
+    requestSession: async () => session,
+  }
+}
+
+// A frame whose hit test finds the surface at `hit` and whose touch ray starts at `touch`
+function mockFrame({ hit = null, viewer = { x: 0, y: 1.5, z: 1 }, touch = null } = {}) {
+  return {
+    getViewerPose: () => pose(viewer),
+    getHitTestResults: () => (hit ? [{ getPose: () => pose(hit), createAnchor: async () => ({ delete() {} }) }] : []),
+    getPose: (space) => (space === 'touch' && touch ? pose(touch, DOWN) : null),
+  }
+}
+
+function record(ar, events) {
+  const seen = []
+  events.forEach((event) => ar.on(event, (data) => seen.push([event, data])))
+  return seen
+}
+
+test('the course previews on the surface and a tap places it', async () => {
+  const runtime = mockRuntime()
+  const ar = new ARSession(runtime)
+  const seen = record(ar, ['state'])
+  await ar.start()
+  assert.equal(ar.state, 'placing')
+  assert.equal(ar.referenceSpaceType, 'local-floor')
+  ar.setCourseBounds({ minX: -2, maxX: 2, minZ: -3, maxZ: 3 })
+
+  // Nothing under the screen centre yet: tapping does nothing
+  ar.update(mockFrame())
+  assert.equal(ar.getTransform().visible, false)
+  runtime.session.dispatch('select')
+  assert.equal(ar.state, 'placing')
+
+  ar.update(mockFrame({ hit: { x: 0.5, y: 0, z: -1 } }))
+  assert.equal(ar.getTransform().visible, true)
+  assert.deepEqual(ar.position, { x: 0.5, y: 0, z: -1 })
+  runtime.session.dispatch('select')
+  assert.equal(ar.state, 'placed')
+  assert.deepEqual(seen.map(([, { state }]) => state), ['starting', 'placing', 'placed'])
+})
+
+test('a hit above table height fits the course to a table, one near the floor to the floor', async () => {
+  const ar = new ARSession(mockRuntime())
+  await ar.start()
+  ar.setCourseBounds({ minX: -2, maxX: 2, minZ: -1, maxZ: 1 })
+
+  ar.update(mockFrame({ hit: { x: 0, y: 0.74, z: -0.6 } }))
+  assert.equal(ar.surface, 'table')
+  assert.equal(ar.scale, AR_FIT_WIDTH.table / 4)
+
+  ar.update(mockFrame({ hit: { x: 0, y: 0.02, z: -2 } }))
+  assert.equal(ar.surface, 'floor')
+  assert.equal(ar.scale, AR_FIT_WIDTH.floor / 4)
+})
+
+test('a drag on the placed course reports aim-start, aim and aim-end in course units', async () => {
+  const runtime = mockRuntime()
+  const ar = new ARSession(runtime)
+  await ar.start()
+  ar.setCourseBounds({ minX: -1, maxX: 1, minZ: -1, maxZ: 1 })
+  // Viewer straight behind the hit so the course isn't turned
+  ar.update(mockFrame({ hit: { x: 0, y: 0, z: 0 }, viewer: { x: 0, y: 1.5, z: 2 } }))
+  runtime.session.dispatch('select')
+  const seen = record(ar, ['aim-start', 'aim', 'aim-end'])
+
+  runtime.session.dispatch('selectstart', { inputSource: { targetRaySpace: 'touch' } })
+  ar.update(mockFrame({ touch: { x: 0, y: 1, z: 0 } }))
+  ar.update(mockFrame({ touch: { x: 0, y: 1, z: ar.scale * 0.5 } }))
+  runtime.session.dispatch('selectend')
+
+  assert.deepEqual(seen.map(([event]) => event), ['aim-start', 'aim', 'aim', 'aim-end'])
+  const [, end] = seen[3]
+  assert.ok(Math.abs(end.from.x) < 1e-9 && Math.abs(end.from.z) < 1e-9)
+  assert.ok(Math.abs(end.to.x) < 1e-9)
+  assert.ok(Math.abs(end.to.z - 0.5) < 1e-9)
+})
+
+test('a failed hit-test request ends the session and goes back to idle', async () => {
+  const runtime = mockRuntime({ hitTest: false })
+  const ar = new ARSession(runtime)
+  const errors = record(ar, ['error'])
+  await assert.rejects(ar.start(), /hit-test unavailable/)
+  assert.equal(runtime.session.ended, true)
+  assert.equal(ar.state, 'idle')
+  assert.equal(ar.session, null)
+  assert.equal(errors.length, 1)
+  assert.match(errors[0][1].error.message, /hit-test unavailable/)
+})
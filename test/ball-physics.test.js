@@ -0,0 +1,81 @@
+// BallPhysics run headless in Node (npm test)
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BallPhysics } from '../src/ball-physics.js'
+
+// A closed 4 × 10 box, the open green inside running z -5 to 5
+const BOX = [
+  { pos: [0, 0.15, -5], size: [4, 0.3, 0.2] },
+  { pos: [0, 0.15, 5], size: [4, 0.3, 0.2] },
+  { pos: [-2, 0.15, 0], size: [0.2, 0.3, 10] },
+  { pos: [2, 0.15, 0], size: [0.2, 0.3, 10] },
+]
+
+test('the same shot on the same course ends in the same spot, whatever the frame rate', () => {
+  const play = (fps) => {
+    const physics = new BallPhysics({ walls: BOX }).setPosition(-1, 3)
+    physics.launch(4, -10)
+    const log = []
+    physics.on('collision', ({ x, z }) => log.push([x, z]))
+    let frames = 0
+    while (physics.moving && frames++ < fps * 30) physics.update(1 / fps)
+    return { x: physics.position.x, z: physics.position.z, time: physics.time, log }
+  }
+  const first = play(60)
+  assert.ok(first.log.length > 0)
+  assert.deepEqual(play(60), first)
+  assert.deepEqual(play(144), first)
+
+  // simulate() takes the same steps the accumulator does
+  const physics = new BallPhysics({ walls: BOX }).setPosition(-1, 3)
+  const rest = physics.launch(4, -10).simulate()
+  assert.ok(rest.resting)
+  assert.deepEqual([rest.x, rest.z], [first.x, first.z])
+})
+
+test('a ball bounces off a wall with the normal reversed and restitution applied', () => {
+  const physics = new BallPhysics({ walls: [{ pos: [0, 0.15, -2], size: [4, 0.3, 0.2] }], friction: 1 })
+  physics.setPosition(0, 0).launch(0, -3)
+  const hits = []
+  physics.on('collision', (hit) => hits.push(hit))
+  while (!hits.length) physics.step()
+
+  assert.equal(hits.length, 1)
+  assert.deepEqual(hits[0].normal, { x: 0, z: 1 })
+  assert.ok(Math.abs(hits[0].speed - 3) < 1e-9)
+  assert.ok(Math.abs(physics.velocity.z - 3 * physics.restitution) < 1e-9)
+  assert.ok(Math.abs(physics.velocity.x) < 1e-9)
+  // Stopped on the green side of the wall, one radius from its face
+  assert.ok(physics.position.z >= -1.9 + physics.radius - 1e-3)
+})
+
+test('a very fast shot can\'t tunnel through a thin line wall', () => {
+  // 200 units/s covers 1.7 units a step, far more than the wall and ball are thick
+  const physics = new BallPhysics({ walls: [{ type: 'segment', from: [-3, -1], to: [3, -1] }] })
+  physics.setPosition(0, 0).launch(0, -200)
+  let hits = 0
+  physics.on('collision', () => hits++)
+  for (let i = 0; i < 5; i++) physics.step()
+
+  assert.ok(hits >= 1)
+  assert.ok(physics.position.z > -1, `ball got through to z = ${physics.position.z}`)
+  assert.ok(physics.velocity.z > 0)
+})
+
+test('rolling into water resets the ball to where the shot started', () => {
+  const water = { type: 'water', shape: { pos: [0, 0, -3], size: [4, 0.1, 2] } }
+  const physics = new BallPhysics({ walls: BOX, surfaces: [water] }).setPosition(0.5, 2)
+  const hazards = []
+  physics.on('hazard', (e) => hazards.push(e))
+  physics.launch(0, -8)
+  physics.simulate()
+
+  assert.equal(hazards.length, 1)
+  assert.equal(hazards[0].type, 'water')
+  assert.equal(hazards[0].penalty, 1)
+  assert.ok(hazards[0].z <= -2)
+  assert.deepEqual(hazards[0].resetTo, { x: 0.5, z: 2 })
+  assert.deepEqual(physics.position, { x: 0.5, z: 2 })
+  assert.equal(physics.moving, false)
+})
@@ -0,0 +1,69 @@
+// Which sounds a hole fires, checked through a recording synth (npm test)
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { GameAudio, createRecordingSynth, SCORE_CUES } from '../src/game-audio.js'
+import { BallPhysics } from '../src/ball-physics.js'
+import { ScoreSystem } from '../src/score-system.js'
+
+// A green running down to a wall at z -5, with a pond on the left
+const WALLS = [
+  { pos: [0, 0.15, -5], size: [4, 0.3, 0.2] },
+  { pos: [-2, 0.15, 0], size: [0.2, 0.3, 10] },
+  { pos: [2, 0.15, 0], size: [0.2, 0.3, 10] },
+]
+const WATER = { type: 'water', shape: { pos: [-1, 0, 0], size: [2, 0.1, 2] } }
+
+// The demo's wiring, headless: physics and scoring drive the audio
+function playHole(audio, shots, par) {
+  const physics = new BallPhysics({ walls: WALLS, surfaces: [WATER] }).setPosition(1, 3)
+  const score = new ScoreSystem()
+  score.startHole(par)
+  physics.on('collision', (e) => audio.wallHit(e.speed, { obstacle: Boolean(e.obstacle) }))
+  physics.on('hazard', (e) => score.addPenalty(e.penalty, e.type))
+
+  for (const [vx, vz] of shots) {
+    score.addStroke()
+    audio.putt(Math.hypot(vx, vz) / 10)
+    physics.launch(vx, vz)
+    while (physics.moving) {
+      physics.update(1 / 60)
+      audio.roll(physics.moving ? physics.speed : 0)
+    }
+  }
+  const entry = score.scoreHole()
+  audio.cupDrop()
+  audio.scoreCue(entry.term)
+  return entry
+}
+
+test('a shot into the water, a bank shot off the wall and a holed putt fire their sounds in order', () => {
+  const synth = createRecordingSynth()
+  const audio = new GameAudio({ synth })
+  // Left into the water (back to the tee), then hard off the far wall, then the putt
+  const entry = playHole(audio, [[-3, -4], [0, -9], [0, -1]], 3)
+
+  assert.equal(entry.score, 4) // three shots and the water penalty
+  assert.equal(entry.penalties, 1)
+  assert.equal(entry.term, 'Bogey')
+  const names = synth.calls.map((c) => c.name)
+  assert.equal(names.filter((n) => n === 'putt').length, 3)
+  assert.deepEqual(names.slice(-2), ['cup', 'cue'])
+  // The water shot touches no wall; the bank shot is the first to
+  assert.deepEqual(names.slice(0, names.indexOf('wall') + 1), ['putt', 'putt', 'wall'])
+  assert.ok(synth.calls.find((c) => c.name === 'wall').strength > 0)
+  assert.deepEqual(synth.calls.at(-1), { name: 'cue', term: 'Bogey', notes: SCORE_CUES.Bogey, delay: 0.45 })
+
+  // The roll rises with each shot and always comes back to silence
+  assert.ok(synth.rolls.some((r) => r.level > 0))
+  assert.equal(synth.rolls.at(-1).level, 0)
+})
+
+test('a muted game sends no sounds at all', () => {
+  const synth = createRecordingSynth()
+  const audio = new GameAudio({ synth, muted: true })
+  playHole(audio, [[-3, -4], [0, -9]], 3)
+  assert.deepEqual(synth.calls, [])
+  assert.ok(synth.rolls.every((r) => r.level === 0))
+  assert.equal(synth.volume, 0)
+})
@@ -0,0 +1,78 @@
+// Two NetSessions over WebSocketTransport against a local relay (npm test)
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import WebSocket from 'ws'
+import { NetSession, WebSocketTransport } from '../src/net-sync.js'
+import { startRelayServer } from '../server/relay.js'
+
+// Resolves with the next `event` the session emits (later ones are ignored)
+function next(session, event) {
+  return new Promise((resolve) => {
+    let done = false
+    session.on(event, (data) => {
+      if (done) return
+      done = true
+      resolve(data)
+    })
+  })
+}
+
+function openSession(port, options) {
+  const transport = new WebSocketTransport(`ws://localhost:${port}`, { WebSocket, retryDelay: 20 })
+  return new NetSession(transport, options)
+}
+
+test('two sessions play a round through the relay and one reconnects', async () => {
+  const server = await startRelayServer({ port: 0 })
+  const host = openSession(server.port, { name: 'Ann' })
+  let guest
+  try {
+    await host.join()
+    assert.equal(host.isHost, true)
+
+    guest = openSession(server.port, { name: 'Bob', room: host.room })
+    const joined = next(host, 'member-join')
+    await guest.join()
+    assert.equal((await joined).name, 'Bob')
+    assert.deepEqual(guest.players, ['Ann', 'Bob'])
+    assert.equal(guest.playerIndex, 1)
+
+    // Only the host starts rounds and sends the scorecard
+    assert.equal(guest.startRound(), false)
+    const started = next(guest, 'start')
+    host.startRound({ course: 'classic' })
+    const start = await started
+    assert.deepEqual(start.players.map((p) => p.name), ['Ann', 'Bob'])
+    assert.equal(start.course, 'classic')
+
+    const shot = next(host, 'shot')
+    guest.sendShot({ x: 0, z: 2, vx: 1, vz: -3, time: 0.5, hole: 0, player: 1 })
+    assert.deepEqual(await shot, { kind: 'shot', x: 0, z: 2, vx: 1, vz: -3, time: 0.5, hole: 0, player: 1, from: guest.clientId, seq: 2 })
+
+    const scored = next(guest, 'score')
+    host.sendScore({ toJSON: () => ({ turn: 1, strokes: [[1, 0]] }) })
+    assert.deepEqual((await scored).score, { turn: 1, strokes: [[1, 0]] })
+
+    // The guest's socket drops; the host shoots while it's away
+    const { clientId, token } = guest
+    const reconnecting = next(guest, 'status')
+    guest.transport.socket.terminate()
+    assert.equal(await reconnecting, 'reconnecting')
+    host.sendShot({ x: 1, z: 1, vx: 0, vz: 2, time: 1, hole: 0, player: 0 })
+
+    const synced = next(guest, 'sync')
+    const rejoined = await next(guest, 'joined')
+    assert.equal(rejoined.reconnected, true)
+    assert.equal(guest.clientId, clientId)
+    assert.equal(guest.token, token)
+    const { history } = await synced
+    assert.deepEqual(history.map((m) => [m.kind, m.seq, m.own]), [['shot', 4, false]])
+    assert.deepEqual(guest.players, ['Ann', 'Bob'])
+    assert.equal(guest.lastSeq, 4)
+  } finally {
+    host.leave()
+    guest?.leave()
+    await server.close()
+  }
+})
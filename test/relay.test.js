@@ -0,0 +1,197 @@
+// Two clients against a local relay on a free port (npm test)
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawnSync } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+import WebSocket from 'ws'
+import { startRelayServer } from '../server/relay.js'
+
+const RELAY_URL = new URL('../server/relay.js', import.meta.url).href
+
+// Open a client that queues what it receives; next(type) waits for the next message of that type
+function connect(port) {
+  const socket = new WebSocket(`ws://localhost:${port}`)
+  const inbox = []
+  const waiting = []
+  socket.on('message', (raw) => {
+    const msg = JSON.parse(String(raw))
+    const i = waiting.findIndex((w) => w.type === msg.type)
+    if (i >= 0) waiting.splice(i, 1)[0].resolve(msg)
+    else inbox.push(msg)
+  })
+  const client = {
+    socket,
+    send: (msg) => socket.send(typeof msg === 'string' ? msg : JSON.stringify(msg)),
+    next: (type) => {
+      const i = inbox.findIndex((m) => m.type === type)
+      if (i >= 0) return Promise.resolve(inbox.splice(i, 1)[0])
+      return new Promise((resolve) => waiting.push({ type, resolve }))
+    },
+    close: () => new Promise((resolve) => {
+      socket.once('close', resolve)
+      socket.close()
+    }),
+  }
+  return new Promise((resolve, reject) => {
+    socket.once('open', () => resolve(client))
+    socket.once('error', reject)
+  })
+}
+
+test('a second client joins the first one\'s room', async () => {
+  const server = await startRelayServer({ port: 0 })
+  try {
+    const ann = await connect(server.port)
+    ann.send({ type: 'join', name: 'Ann' })
+    const created = await ann.next('welcome')
+    assert.match(created.room, /^[A-Z2-9]{4}$/)
+    assert.equal(created.host, created.clientId)
+
+    const bob = await connect(server.port)
+    bob.send({ type: 'join', room: created.room.toLowerCase(), name: 'Bob' })
+    const joined = await bob.next('welcome')
+    assert.equal(joined.room, created.room)
+    assert.equal(joined.host, created.clientId)
+    assert.deepEqual(joined.members.map((m) => m.name), ['Ann', 'Bob'])
+
+    const seen = await ann.next('member-join')
+    assert.equal(seen.member.name, 'Bob')
+    await Promise.all([ann.close(), bob.close()])
+  } finally {
+    await server.close()
+  }
+})
+
+test('broadcasts reach every member, the sender included, in sequence', async () => {
+  const server = await startRelayServer({ port: 0 })
+  try {
+    const ann = await connect(server.port)
+    ann.send({ type: 'join', name: 'Ann' })
+    const { room } = await ann.next('welcome')
+    const bob = await connect(server.port)
+    bob.send({ type: 'join', room, name: 'Bob' })
+    const { clientId: bobId } = await bob.next('welcome')
+
+    bob.send({ type: 'broadcast', data: { shot: 1 } })
+    bob.send({ type: 'broadcast', data: { shot: 2 } })
+    for (const client of [ann, bob]) {
+      const first = await client.next('message')
+      const second = await client.next('message')
+      assert.deepEqual([first.seq, first.from, first.data], [1, bobId, { shot: 1 }])
+      assert.deepEqual([second.seq, second.data], [2, { shot: 2 }])
+    }
+    await Promise.all([ann.close(), bob.close()])
+  } finally {
+    await server.close()
+  }
+})
+
+test('a dropped client reconnecting within the grace period keeps its seat and catches up', async () => {
+  const server = await startRelayServer({ port: 0, reconnectGrace: 5000 })
+  try {
+    const ann = await connect(server.port)
+    ann.send({ type: 'join', name: 'Ann' })
+    const { room } = await ann.next('welcome')
+    const bob = await connect(server.port)
+    bob.send({ type: 'join', room, name: 'Bob' })
+    const { clientId, token } = await bob.next('welcome')
+    ann.send({ type: 'broadcast', data: 'before' })
+    assert.equal((await bob.next('message')).seq, 1)
+
+    await bob.close()
+    const dropped = await ann.next('member-drop')
+    assert.equal(dropped.member.connected, false)
+    ann.send({ type: 'broadcast', data: 'missed' })
+
+    const back = await connect(server.port)
+    back.send({ type: 'join', room, name: 'Bob', clientId, token, since: 1 })
+    const welcome = await back.next('welcome')
+    assert.equal(welcome.reconnected, true)
+    assert.equal(welcome.clientId, clientId)
+    assert.equal(welcome.members.length, 2)
+    assert.deepEqual(welcome.history.map((m) => m.data), ['missed'])
+    await Promise.all([ann.close(), back.close()])
+  } finally {
+    await server.close()
+  }
+})
+
+test('a member\'s public clientId without its token doesn\'t take over the seat', async () => {
+  const server = await startRelayServer({ port: 0 })
+  try {
+    const ann = await connect(server.port)
+    ann.send({ type: 'join', name: 'Ann' })
+    const created = await ann.next('welcome')
+    assert.ok(created.token)
+
+    const bob = await connect(server.port)
+    bob.send({ type: 'join', room: created.room, name: 'Bob' })
+    const joined = await bob.next('welcome')
+    assert.ok(joined.members.every((m) => !('token' in m)))
+    assert.ok(!('token' in (await ann.next('member-join')).member))
+
+    const eve = await connect(server.port)
+    eve.send({ type: 'join', room: created.room, name: 'Eve', clientId: created.host, token: 'guess' })
+    const welcome = await eve.next('welcome')
+    assert.equal(welcome.reconnected, false)
+    assert.notEqual(welcome.clientId, created.clientId)
+    assert.equal(welcome.host, created.clientId)
+    assert.deepEqual(welcome.members.map((m) => m.name), ['Ann', 'Bob', 'Eve'])
+    await Promise.all([ann.close(), bob.close(), eve.close()])
+  } finally {
+    await server.close()
+  }
+})
+
+test('messages that are not JSON objects get an error and leave the relay running', async () => {
+  const server = await startRelayServer({ port: 0 })
+  try {
+    const ann = await connect(server.port)
+    for (const raw of ['null', '42', '"join"', '[]', 'not json']) {
+      ann.send(raw)
+      assert.equal((await ann.next('error')).code, 'bad-message')
+    }
+    ann.send({ type: 'join', name: 'Ann' })
+    assert.ok((await ann.next('welcome')).room)
+    await ann.close()
+  } finally {
+    await server.close()
+  }
+})
+
+test('close() leaves nothing running, even with seats held for dropped clients', () => {
+  // In a process of its own, so a leftover timer or socket shows up as a late exit
+  const script = `
+    import WebSocket from 'ws'
+    import { startRelayServer } from ${JSON.stringify(RELAY_URL)}
+    const server = await startRelayServer({ port: 0, reconnectGrace: 30000 })
+    const socket = new WebSocket('ws://localhost:' + server.port)
+    await new Promise((resolve) => socket.once('open', resolve))
+    socket.send(JSON.stringify({ type: 'join', name: 'Ann' }))
+    await new Promise((resolve) => socket.once('message', resolve))
+    await server.close()
+  `
+  const started = Date.now()
+  const run = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    timeout: 15000,
+    encoding: 'utf8',
+  })
+  assert.equal(run.status, 0, run.stderr)
+  assert.ok(Date.now() - started < 10000, `exited after ${Date.now() - started}ms`)
+})
+
+test('the CLI reports a port already in use and exits with an error', async () => {
+  const server = await startRelayServer({ port: 0 })
+  try {
+    const run = spawnSync(process.execPath, [fileURLToPath(RELAY_URL), '--port', String(server.port)], {
+      timeout: 15000,
+      encoding: 'utf8',
+    })
+    assert.equal(run.status, 1, run.stderr)
+    assert.match(run.stderr, /EADDRINUSE/)
+  } finally {
+    await server.close()
+  }
+})
@@ -0,0 +1,101 @@
+// RoundHistory on the memory and file storage adapters (npm test)
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { RoundHistory, createMemoryStorage } from '../src/round-history.js'
+import { createFileStorage } from '../src/file-storage.js'
+import { ScoreSystem } from '../src/score-system.js'
+
+const KEY = 'webar-game-kit:rounds'
+
+// A finished round: strokes[player][hole] on holes of the given pars
+function playRound(players, pars, strokes) {
+  const score = new ScoreSystem({ players })
+  pars.forEach((par, hole) => {
+    score.startHole(par)
+    players.forEach((_, p) => {
+      score.turn = p
+      for (let s = 0; s < strokes[p][hole]; s++) score.addStroke()
+      score.scoreHole(par)
+    })
+  })
+  return score
+}
+
+test('rounds, bests and hole averages in memory', () => {
+  const history = new RoundHistory()
+  history.recordRound(playRound(['Ann', 'Bob'], [2, 3], [[2, 4], [3, 3]]), { course: 'classic', date: '2024-05-01T10:00:00Z' })
+  history.recordRound(playRound(['Ann'], [2, 3], [[1, 3]]), { course: 'classic', date: '2024-05-02T10:00:00Z' })
+
+  assert.equal(history.getRounds({ course: 'classic' }).length, 3)
+  assert.equal(history.getRounds({ player: 'Bob' })[0].diff, 1)
+  const best = history.getPersonalBest('classic', { player: 'Ann' })
+  assert.deepEqual([best.score, best.diff, best.date], [4, -1, '2024-05-02T10:00:00Z'])
+  assert.deepEqual(history.getHoleAverages('classic', { player: 'Ann' }), [
+    { hole: 1, par: 2, best: 1, rounds: 2, average: 1.5 },
+    { hole: 2, par: 3, best: 3, rounds: 2, average: 3.5 },
+  ])
+
+  history.saveProgress({ course: 'classic', hole: 1, score: { turn: 0 } })
+  assert.equal(history.loadProgress().hole, 1)
+  history.clearProgress()
+  assert.equal(history.loadProgress(), null)
+})
+
+test('rounds saved to a file are there for the next process', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'round-history-'))
+  const file = join(dir, 'nested', 'history.json')
+  try {
+    const first = new RoundHistory(createFileStorage(file))
+    first.recordRound(playRound(['Ann'], [3], [[2]]), { course: 'classic' })
+    first.saveProgress({ course: 'classic', hole: 0, score: { turn: 0 } })
+    assert.ok(JSON.parse(readFileSync(file, 'utf8'))[KEY])
+
+    const second = new RoundHistory(createFileStorage(file))
+    assert.deepEqual(second.rounds, first.rounds)
+    assert.equal(second.getPersonalBest('classic').diff, -1)
+    assert.equal(second.loadProgress().course, 'classic')
+
+    writeFileSync(file, '{ not json')
+    assert.throws(() => createFileStorage(file), /Could not read storage file/)
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+test('malformed stored history is dropped rather than breaking bests and averages', () => {
+  const good = { id: 'a', date: '', course: 'classic', player: 'Ann', holes: [{ hole: 1, par: 3, score: 2 }] }
+  for (const rounds of [{ length: 2 }, 'rounds', 7]) {
+    const history = new RoundHistory(createMemoryStorage({ [KEY]: JSON.stringify({ version: 1, rounds }) }))
+    assert.deepEqual(history.rounds, [])
+    assert.equal(history.getPersonalBest('classic'), null)
+  }
+  const stored = [null, 3, good, { ...good, holes: 'lots' }, { ...good, holes: [null] }, { ...good, player: 4 }, { ...good, course: {} }]
+  const history = new RoundHistory(createMemoryStorage({ [KEY]: JSON.stringify({ version: 1, rounds: stored }) }))
+  assert.equal(history.rounds.length, 1)
+  assert.equal(history.getPersonalBest('classic').diff, -1)
+  assert.deepEqual(history.getHoleAverages('classic').map((h) => h.average), [2])
+})
+
+test('a full or blocked storage doesn\'t interrupt the round', () => {
+  const storage = createMemoryStorage()
+  storage.setItem = () => { throw new Error('QuotaExceededError') }
+  const history = new RoundHistory(storage)
+  const saved = history.recordRound(playRound(['Ann'], [3], [[3]]), { course: 'classic' })
+  assert.equal(saved.length, 1)
+  assert.equal(history.getRounds().length, 1)
+  assert.equal(history.saveProgress({ course: 'classic', hole: 0, score: {} }), false)
+})
+
+test('imported JSON needs string ids, dates and courses', () => {
+  const history = new RoundHistory()
+  const round = { id: 'r1', date: '2024-05-01', course: 'classic', player: 'Ann', holes: [{ hole: 1, par: 3, score: 3 }] }
+  for (const key of ['id', 'date', 'course']) {
+    assert.throws(() => history.import(JSON.stringify({ rounds: [{ ...round, [key]: { html: '<b>' } }] })), /id, date and course must be strings/)
+  }
+  assert.equal(history.import(JSON.stringify({ rounds: [round] })), 1)
+  assert.equal(history.import(history.exportCSV()), 0)
+})
@@ -0,0 +1,123 @@
+/**
+ * Course analyzer — simulates bot rounds on a course file and prints a
+ * recommended par, a difficulty rating and a resting-spot heatmap per hole,
+ * and flags holes that can't be won. Node only, no browser.
+ *
+ * Usage: node tools/analyze-course.js [course.json] [--rounds 50] [--bot hard]
+ *          [--seed 1] [--cell 0.25] [--hole 3] [--json] [--no-heatmap]
+ *
+ * Exits with code 1 when a hole is unwinnable, so it can gate a local
+ * workflow (npm run analyze -- my-course.json && ...), and with code 2 on
+ * bad arguments or a course file that can't be read or parsed.
+ */
+
+import { readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { parseCourse } from '../src/course-loader.js'
+import { analyzeCourse } from '../src/course-analysis.js'
+import { createDistanceField } from '../src/distance-field.js'
+import { BOT_LEVELS } from '../src/bot-player.js'
+
+const DEFAULT_COURSE = fileURLToPath(new URL('../src/courses/classic.json', import.meta.url))
+const SHADES = ' .:-=+*%@'
+
+function parseArgs(argv) {
+  const args = { course: DEFAULT_COURSE, rounds: 50, bot: 'hard', seed: 1, cell: 0.25, hole: null, json: false, heatmap: true }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--json') args.json = true
+    else if (arg === '--no-heatmap') args.heatmap = false
+    else if (arg === '--bot') args.bot = argv[++i]
+    else if (['--rounds', '--seed', '--cell', '--hole'].includes(arg)) args[arg.slice(2)] = Number(argv[++i])
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`)
+    else args.course = arg
+  }
+  if (!BOT_LEVELS[args.bot]) throw new Error(`--bot must be one of ${Object.keys(BOT_LEVELS).join(', ')}`)
+  if (!(args.rounds > 0)) throw new Error('--rounds must be a positive number')
+  return args
+}
+
+// Top-down view: walls '#', tee 'T', cup 'O', resting spots shaded by count.
+// Cells are two characters wide so the map keeps its proportions in a terminal.
+function renderHeatmap(heatmap, hole) {
+  const field = createDistanceField(hole)
+  const { cellSize, minX, minZ, cols, rows, counts, max } = heatmap
+  const cellOf = ([x, , z]) => Math.floor((z - minZ) / cellSize) * cols + Math.floor((x - minX) / cellSize)
+  const tee = cellOf(hole.ballStart)
+  const cup = cellOf(hole.holePos)
+  const lines = []
+  for (let j = 0; j < rows; j++) {
+    let line = ''
+    for (let i = 0; i < cols; i++) {
+      const cell = j * cols + i
+      if (cell === cup) line += 'O '
+      else if (cell === tee) line += 'T '
+      else if (!field.isOpen(minX + (i + 0.5) * cellSize, minZ + (j + 0.5) * cellSize)) line += '##'
+      else if (!counts[cell]) line += '  '
+      else line += SHADES[Math.max(1, Math.ceil((counts[cell] / max) * (SHADES.length - 1)))].repeat(2)
+    }
+    lines.push(`    ${line}`)
+  }
+  return lines.join('\n')
+}
+
+function formatReport(report, course, { heatmap }) {
+  const percent = (v) => `${Math.round(v * 100)}%`
+  const out = [`${report.name || 'Course'} — ${report.rounds} rounds, ${report.bot.level} bot`, '']
+  report.holes.forEach((row) => {
+    const hole = course.holes[row.hole - 1]
+    out.push(`Hole ${row.hole}: ${row.label}`)
+    if (row.average === null) {
+      out.push(`  UNWINNABLE: ${row.problems.join('; ')}`, '')
+      return
+    }
+    out.push(`  par ${row.par} → recommended ${row.recommendedPar}   avg ${row.average.toFixed(2)} ± ${row.stdDev.toFixed(2)}   best ${row.best}, worst ${row.worst}`)
+    out.push(`  difficulty: ${row.rating}   holed ${percent(row.holedRate)}   hole in one ${percent(row.holeInOneRate)}   hazards ${row.hazards}`)
+    row.warnings.forEach((w) => out.push(`  ! ${w}`))
+    if (heatmap) out.push(renderHeatmap(row.heatmap, hole))
+    out.push('')
+  })
+  const partial = report.unwinnable.length ? ' (winnable holes only)' : ''
+  out.push(`Total: par ${report.par} → recommended ${report.recommendedPar}${partial} (avg ${report.average.toFixed(1)}), difficulty ${report.rating}`)
+  if (report.unwinnable.length) out.push(`Unwinnable holes: ${report.unwinnable.join(', ')}`)
+  return out.join('\n')
+}
+
+function main() {
+  let args
+  try {
+    args = parseArgs(process.argv.slice(2))
+  } catch (err) {
+    console.error(err.message)
+    process.exit(2)
+  }
+
+  let course
+  try {
+    course = parseCourse(readFileSync(args.course, 'utf8'))
+  } catch (err) {
+    console.error(`Could not load ${args.course}: ${err.message}`)
+    process.exit(2)
+  }
+  if (args.hole) course.holes = [course.holes[args.hole - 1]].filter(Boolean)
+  if (!course.holes.length) {
+    console.error(`No hole ${args.hole} in ${args.course}`)
+    process.exit(2)
+  }
+
+  const progress = process.stderr.isTTY && !args.json
+    ? (_, i) => process.stderr.write(`\rSimulating round ${i + 1}/${args.rounds}`)
+    : undefined
+  const report = analyzeCourse(course, {
+    rounds: args.rounds,
+    bot: { level: args.bot, seed: args.seed },
+    cellSize: args.cell,
+    onRound: progress,
+  })
+  if (progress) process.stderr.write('\r\x1b[K')
+
+  console.log(args.json ? JSON.stringify(report, null, 2) : formatReport(report, course, args))
+  process.exitCode = report.unwinnable.length ? 1 : 0
+}
+
+main()